@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+// Hosts online High Card games for the web app's "Play online" view.
+// Run `node bin/high-card-server.js --help` for the options.
+
+import { parseArgs } from "node:util";
+import { DEFAULT_SERVER_PORT } from "../src/net/protocol.js";
+import { createGameServer } from "../src/server/server.js";
+
+const USAGE = `Usage: high-card-server [options]
+
+Options:
+  --port <n>     port to listen on (default ${DEFAULT_SERVER_PORT})
+  --host <name>  interface to listen on (default: all)
+  -h, --help     show this help`;
+
+const main = async () => {
+    let values;
+    try {
+        ({ values } = parseArgs({
+            options: {
+                port: { type: "string", default: String(DEFAULT_SERVER_PORT) },
+                host: { type: "string" },
+                help: { type: "boolean", short: "h", default: false },
+            },
+        }));
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        console.error(USAGE);
+        process.exitCode = 1;
+        return;
+    }
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+
+    const port = Number(values.port);
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+        console.error("Error: --port must be a whole number from 0 to 65535");
+        process.exitCode = 1;
+        return;
+    }
+
+    let server;
+    try {
+        server = await createGameServer({ port, host: values.host });
+    } catch (error) {
+        console.error(`Error: could not start the server: ${error.message}`);
+        process.exitCode = 1;
+        return;
+    }
+    console.log(`High Card server listening on ws://${values.host ?? "localhost"}:${server.port}`);
+
+    const shutdown = () => {
+        server.close().then(() => process.exit(0));
+    };
+    process.on("SIGINT", shutdown);
+    process.on("SIGTERM", shutdown);
+};
+
+main();
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// Plays a High Card game in the terminal with the same engine as the web app.
+// Run `node bin/high-card.js --help` for the options.
+
+import { createInterface } from "node:readline/promises";
+import { createCliGame, formatRound, formatScoreboard, parseCliArgs, USAGE } from "../src/cli/runner.js";
+
+const fail = (errors) => {
+    for (const error of errors) {
+        console.error(`Error: ${error}`);
+    }
+    console.error("Run with --help to see the options.");
+    process.exitCode = 1;
+};
+
+// Plays one round per Enter; "q" stops early and prints the scoreboard so far.
+// Without a terminal to read from, every round is printed straight away.
+const playRoundByRound = async (game) => {
+    const prompt = process.stdin.isTTY
+        ? createInterface({ input: process.stdin, output: process.stdout })
+        : null;
+    try {
+        while (game.runRound().ok) {
+            console.log(formatRound(game.getLastRoundResult(), game.getPlayers()));
+            if (prompt && !game.isGameOver()) {
+                const answer = await prompt.question("Enter for the next round, q to stop: ");
+                if (answer.trim().toLowerCase() === "q") break;
+            }
+        }
+    } finally {
+        prompt?.close();
+    }
+};
+
+const main = async () => {
+    const args = parseCliArgs(process.argv.slice(2));
+    if (args.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (args.errors.length > 0) {
+        fail(args.errors);
+        return;
+    }
+
+    let game;
+    try {
+        game = createCliGame(args);
+    } catch (error) {
+        fail(error.errors ?? [error.message]);
+        return;
+    }
+
+    if (args.step) {
+        await playRoundByRound(game);
+        console.log("");
+    } else {
+        game.runGameLoop();
+    }
+    console.log(formatScoreboard(game, args.format));
+};
+
+main();
@@ -1,120 +1,1011 @@
-import React, { useState, useEffect, useMemo } from "react";
+import React, { useState, useEffect, useMemo, useRef } from "react";
 import createGameLogic from "./game/gameLogic";
+import {
+  MAX_PLAYERS,
+  MIN_PLAYERS,
+  maxRoundsFor,
+  resolveConfig,
+  validateConfig,
+} from "./game/config";
+import { TIE_POLICY_LABELS } from "./game/tieRules";
+import {
+  SCORING_MODES,
+  SCORING_MODE_DESCRIPTIONS,
+  SCORING_MODE_LABELS,
+  formatScore,
+} from "./game/scoringRules";
+import { PHASES } from "./game/phases";
+import { validateSeed } from "./game/random";
+import {
+  DECK_TYPES,
+  SUITS,
+  SUIT_SYMBOLS,
+  describeCard,
+  formatCard,
+} from "./game/cards";
+import CardFace from "./components/CardFace";
+import PlayerHand from "./components/PlayerHand";
+import PlayerNameInput from "./components/PlayerNameInput";
+import OnlinePlay from "./components/OnlinePlay";
+import {
+  DEAL_MODES,
+  DEAL_MODE_LABELS,
+  STRATEGIES,
+  STRATEGY_LABELS,
+  defaultStrategies,
+} from "./game/hands";
+import { TURN_MODES, TURN_MODE_LABELS } from "./game/turns";
+import { clearSave, loadSave, saveMatch } from "./game/persistence";
+import createMatch, {
+  DEFAULT_MATCH,
+  MATCH_FORMAT_LABELS,
+  MAX_MATCH_GAMES,
+  describeMatch,
+  validateMatchOptions,
+} from "./game/match";
+import MatchStandings from "./components/MatchStandings";
+import SimulationPanel from "./components/SimulationPanel";
+import { ordinal, rankPlayers } from "./game/ranking";
+import useGame from "./hooks/useGame";
+import useKeyboardShortcuts from "./hooks/useKeyboardShortcuts";
+import ShortcutHelp from "./components/ShortcutHelp";
+import { GAME_EVENTS } from "./game/events";
+import { announceGameOver, announceRound } from "./game/announcements";
+import useAutoPlay from "./hooks/useAutoPlay";
+import AutoPlayControls from "./components/AutoPlayControls";
+import usePrefersReducedMotion from "./hooks/usePrefersReducedMotion";
+import useMatch from "./hooks/useMatch";
+import Leaderboard from "./components/Leaderboard";
+import {
+  clearLeaderboard,
+  loadLeaderboard,
+  recordGame,
+} from "./game/leaderboard";
+import {
+  createShareLink,
+  openShareLink,
+  parseShareLink,
+} from "./game/shareLink";
 
-const Scoreboard = ({ players }) => {
-  const sortedPlayers = useMemo(() => {
-    return [...players].sort((a, b) => b.score - a.score);
-  }, [players]);
+// Scrollable round-by-round log of who drew what and who won, newest round first
+const RoundTimeline = ({ history, players }) => {
+  return (
+    <div className="roundTimeline w-full bg-gray-50 rounded-xl border border-gray-200 p-4 text-left">
+      <h3 className="text-lg font-bold text-gray-700 mb-2">Round Timeline</h3>
+      {history.length === 0 ? (
+        <p className="text-sm text-gray-400">No rounds played yet.</p>
+      ) : (
+        <ol className="max-h-80 overflow-y-auto space-y-2 list-none p-0 pr-1">
+          {[...history].reverse().map((entry) => (
+            <li
+              key={entry.round}
+              className="p-2 bg-white rounded-lg shadow-sm text-sm"
+            >
+              <div className="flex justify-between font-semibold text-gray-700">
+                <span>Round {entry.round}</span>
+                {entry.tiePolicy && (
+                  <span className="text-orange-600">Tie</span>
+                )}
+                {entry.suitTiebreak && (
+                  <span className="text-indigo-600">Won on suit</span>
+                )}
+              </div>
+              <div className="flex flex-wrap gap-x-3 text-gray-500">
+                {entry.cards.map((card, playerIndex) =>
+                  card === null ? null : (
+                    <span
+                      key={playerIndex}
+                      className={
+                        entry.winners.includes(playerIndex)
+                          ? "font-bold text-green-700"
+                          : undefined
+                      }
+                    >
+                      {players[playerIndex].name}: {formatCard(card)}
+                    </span>
+                  ),
+                )}
+              </div>
+              {entry.eliminated?.length > 0 && (
+                <div className="text-red-600">
+                  Knocked out:{" "}
+                  {entry.eliminated
+                    .map((playerIndex) => players[playerIndex].name)
+                    .join(", ")}
+                </div>
+              )}
+              <div className="text-gray-600">
+                {entry.winners.length > 0
+                  ? entry.winners
+                      .map(
+                        (playerIndex) =>
+                          `${players[playerIndex].name} +${formatScore(
+                            entry.scoreDeltas[playerIndex],
+                          )}`,
+                      )
+                      .join(", ")
+                  : "No points awarded"}
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+};
+
+// Stats shown when a Scoreboard row is expanded
+const PlayerStats = ({ stats }) => (
+  <dl className="playerStats grid grid-cols-2 gap-x-4 gap-y-1 px-3 pb-3 text-sm text-gray-600">
+    <dt>Rounds won</dt>
+    <dd className="text-right font-mono">{stats.roundsWon}</dd>
+    <dt>Ties</dt>
+    <dd className="text-right font-mono">{stats.ties}</dd>
+    <dt>Average card</dt>
+    <dd className="text-right font-mono">
+      {stats.averageCard === null ? "–" : stats.averageCard.toFixed(1)}
+    </dd>
+    <dt>Highest card</dt>
+    <dd className="text-right font-mono">
+      {stats.highestCard === null ? "–" : formatCard(stats.highestCard)}
+    </dd>
+    <dt>Longest win streak</dt>
+    <dd className="text-right font-mono">{stats.longestWinStreak}</dd>
+  </dl>
+);
+
+// Players placed by competition ranking; every row expands to that player's stats.
+// `match` is a useMatch snapshot; its standings are shown for matches of more than one game
+const Scoreboard = ({ players, stats, history, scoringMode, match }) => {
+  const rankedPlayers = useMemo(() => rankPlayers(players), [players]);
+  const [expanded, setExpanded] = useState(null);
 
-  const indexify = ["st", "nd", "rd", "th"];
+  const toggleExpanded = (playerIndex) => {
+    setExpanded(expanded === playerIndex ? null : playerIndex);
+  };
 
   return (
     <div className="mt-8 p-6 bg-white shadow-xl rounded-xl w-full max-w-sm mx-auto text-center">
-      <h3 className="text-2xl font-extrabold text-blue-700 mb-4 flex items-center justify-center">
-        Final Scoreboard <span className="ml-2 text-3xl">🏆</span>
-      </h3>
-      <ul className="space-y-3 list-none p-0 inline-block max-w-xs w-full text-left mx-auto">
-        {sortedPlayers.map((player, index) => {
-          const rank = index + 1;
-          const suffix = rank <= 3 ? indexify[index] : "th";
-          const isWinner = index === 0;
-          return (
-            <li
-              key={player.name}
-              className={`flex justify-between items-center p-3 rounded-lg ${
-                isWinner
-                  ? "bg-yellow-100 font-bold border-2 border-yellow-400"
-                  : "bg-gray-50"
-              }`}
-            >
-              <span
-                className={`text-lg font-mono ${
-                  isWinner ? "text-yellow-600" : "text-gray-500"
-                }`}
+      <h2 className="text-2xl font-extrabold text-blue-700 mb-4 flex items-center justify-center">
+        Final Scoreboard{" "}
+        <span className="ml-2 text-3xl" aria-hidden="true">
+          🏆
+        </span>
+      </h2>
+      <p className="scoringMode -mt-2 mb-4 text-sm text-gray-500">
+        <strong>{SCORING_MODE_LABELS[scoringMode]}:</strong>{" "}
+        {SCORING_MODE_DESCRIPTIONS[scoringMode]}
+      </p>
+      <table className="scoreboard w-full max-w-xs mx-auto text-left border-separate border-spacing-y-2">
+        <caption className="sr-only">
+          Final scores, best first. Choose a player to see their stats.
+        </caption>
+        <thead>
+          <tr className="text-sm text-gray-500">
+            <th scope="col" className="px-3 font-semibold">
+              Place
+            </th>
+            <th scope="col" className="px-3 font-semibold">
+              Player
+            </th>
+            <th scope="col" className="px-3 font-semibold text-right">
+              Score
+            </th>
+          </tr>
+        </thead>
+        <tbody>
+          {rankedPlayers.map((player) => {
+            const isWinner = player.place === 1;
+            const isExpanded = expanded === player.playerIndex;
+            const rowClassName = isWinner
+              ? "bg-yellow-100 font-bold"
+              : "bg-gray-50";
+            return (
+              <React.Fragment key={player.id}>
+                <tr className={rowClassName}>
+                  <td
+                    className={`p-3 rounded-l-lg text-lg font-mono ${
+                      isWinner ? "text-yellow-600" : "text-gray-500"
+                    }`}
+                    title={
+                      player.shared
+                        ? `Shared ${ordinal(player.place)} place`
+                        : undefined
+                    }
+                  >
+                    {player.label}
+                  </td>
+                  <th scope="row" className="p-3">
+                    <button
+                      type="button"
+                      className="text-gray-800 font-bold hover:underline"
+                      aria-expanded={isExpanded}
+                      aria-controls={`player-stats-${player.playerIndex}`}
+                      onClick={() => toggleExpanded(player.playerIndex)}
+                    >
+                      {player.name}
+                    </button>
+                  </th>
+                  <td
+                    className={`p-3 rounded-r-lg text-right text-xl font-extrabold ${
+                      isWinner ? "text-yellow-700" : "text-green-600"
+                    }`}
+                  >
+                    {formatScore(player.score)}
+                  </td>
+                </tr>
+                {isExpanded && (
+                  <tr
+                    id={`player-stats-${player.playerIndex}`}
+                    className={rowClassName}
+                  >
+                    <td colSpan={3} className="rounded-lg">
+                      <PlayerStats stats={stats[player.playerIndex]} />
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </tbody>
+      </table>
+      {match.games > 1 && (
+        <div className="mt-6">
+          <MatchStandings match={match} />
+        </div>
+      )}
+      <div className="mt-6">
+        <RoundTimeline history={history} players={players} />
+      </div>
+    </div>
+  );
+};
+
+// The game in the page's share link: { game } once rebuilt, { error } for a link that cannot
+// be opened, or null when the address has no link
+const readShareLink = () => {
+  if (typeof window === "undefined") return null;
+  const { link, error } = parseShareLink(window.location.hash);
+  if (error) return { game: null, error };
+  return link ? openShareLink(link) : null;
+};
+
+// Takes the link out of the address bar once it has been read, so a reload
+// resumes the autosave rather than opening the link again
+const clearShareLink = () => {
+  if (window.location.hash) {
+    window.history.replaceState(
+      null,
+      "",
+      window.location.pathname + window.location.search,
+    );
+  }
+};
+
+// Listed in the help overlay; "?" opens it
+const SHORTCUTS = [
+  { key: "n", label: "Run the next round" },
+  { key: "u", label: "Undo the last turn or round" },
+  { key: "f", label: "Run the full game" },
+  { key: "p", label: "Start or pause auto-play" },
+  { key: "r", label: "Reset the game" },
+  { key: "?", label: "Show these shortcuts" },
+];
+
+const SETUP_FIELDS = [
+  { key: "playerCount", label: "Players", min: MIN_PLAYERS, max: MAX_PLAYERS },
+  { key: "deckSize", label: "Deck size", min: 1 },
+  { key: "maxCardValue", label: "Highest card", min: 1 },
+  { key: "pointsPerScore", label: "Points per win", min: 1 },
+  { key: "totalRounds", label: "Rounds", min: 1 },
+];
+
+// Margin and cumulative scoring award card values, so points per win has no effect
+const SCORING_MODES_WITHOUT_POINTS = [
+  SCORING_MODES.MARGIN,
+  SCORING_MODES.CUMULATIVE,
+];
+
+// Only the size and card range of numbered decks can be changed
+const STANDARD_DECK_LOCKED_FIELDS = ["deckSize", "maxCardValue"];
+
+// Suit orders offered in setup, lowest suit first
+const SUIT_ORDER_PRESETS = {
+  none: { label: "Ties stand", order: null },
+  bridge: { label: "♣ < ♦ < ♥ < ♠", order: SUITS },
+  reverse: { label: "♠ < ♥ < ♦ < ♣", order: [...SUITS].reverse() },
+};
+
+// Picks the preset matching a config, or a one-off "custom" entry (e.g. from a replay)
+const suitOrderPresets = (suitOrder) => {
+  const matches = Object.values(SUIT_ORDER_PRESETS).some(
+    ({ order }) => JSON.stringify(order) === JSON.stringify(suitOrder),
+  );
+  if (matches) return SUIT_ORDER_PRESETS;
+  return {
+    ...SUIT_ORDER_PRESETS,
+    custom: {
+      label: suitOrder.map((suit) => SUIT_SYMBOLS[suit]).join(" < "),
+      order: suitOrder,
+    },
+  };
+};
+
+// "single" stands for the default one-game match in the setup form
+const SINGLE_GAME = "single";
+
+// Turns the draft's match fields into match options
+const draftToMatch = (draft) =>
+  draft.matchFormat === SINGLE_GAME
+    ? { ...DEFAULT_MATCH }
+    : { format: draft.matchFormat, games: Number(draft.matchGames) };
+
+// Keeps the strategies picked so far as the player count changes; new seats get the defaults
+const seatStrategies = (strategies, playerCount) => {
+  const count = playerCount ?? resolveConfig().playerCount;
+  return defaultStrategies(count).map(
+    (strategy, seat) => strategies[seat] ?? strategy,
+  );
+};
+
+// Turns the draft's text inputs into a config; blank fields fall back to the defaults
+const draftToConfig = (draft) => {
+  const config = {};
+  for (const { key } of SETUP_FIELDS) {
+    config[key] = draft[key] === "" ? undefined : Number(draft[key]);
+  }
+  config.tiePolicy = draft.tiePolicy;
+  config.scoringMode = draft.scoringMode;
+  config.deckType = draft.deckType;
+  config.aceHigh = draft.aceHigh;
+  config.suitOrder = draft.suitOrderPresets[draft.suitOrder].order;
+  config.dealMode = draft.dealMode;
+  config.turnMode = draft.turnMode;
+  config.strategies =
+    draft.dealMode === DEAL_MODES.HAND
+      ? seatStrategies(draft.strategies, config.playerCount)
+      : null;
+  return resolveConfig(config);
+};
+
+const GameSetup = ({ config, seed, matchOptions, onApply }) => {
+  const [draft, setDraft] = useState(() => {
+    const initial = {
+      seed: seed === null ? "" : String(seed),
+      matchFormat: matchOptions.games === 1 ? SINGLE_GAME : matchOptions.format,
+      matchGames: String(matchOptions.games),
+      tiePolicy: config.tiePolicy,
+      scoringMode: config.scoringMode,
+      deckType: config.deckType,
+      aceHigh: config.aceHigh,
+      suitOrderPresets: suitOrderPresets(config.suitOrder),
+      dealMode: config.dealMode,
+      turnMode: config.turnMode,
+      strategies: config.strategies ?? defaultStrategies(config.playerCount),
+    };
+    initial.suitOrder = Object.keys(initial.suitOrderPresets).find(
+      (key) =>
+        JSON.stringify(initial.suitOrderPresets[key].order) ===
+        JSON.stringify(config.suitOrder),
+    );
+    for (const { key } of SETUP_FIELDS) {
+      initial[key] = String(config[key]);
+    }
+    // Leave rounds blank while it matches the deck, so changing the deck updates it too
+    if (config.totalRounds === maxRoundsFor(config)) {
+      initial.totalRounds = "";
+    }
+    return initial;
+  });
+  const [errors, setErrors] = useState([]);
+
+  const handleChange = (key, event) => {
+    const value =
+      event.target.type === "checkbox"
+        ? event.target.checked
+        : event.target.value;
+    setDraft({ ...draft, [key]: value });
+  };
+
+  const handleStrategyChange = (seat, event) => {
+    const strategies = [...draft.strategies];
+    strategies[seat] = event.target.value;
+    setDraft({ ...draft, strategies });
+  };
+
+  const isStandard = draft.deckType === DECK_TYPES.STANDARD;
+
+  // Checked as it is typed; nothing is applied until the seed is blank or a whole number
+  const seedError = validateSeed(draft.seed);
+
+  const handleBlur = () => {
+    const nextConfig = draftToConfig(draft);
+    const nextMatch = draftToMatch(draft);
+    const nextErrors = [
+      ...validateConfig(nextConfig),
+      ...validateMatchOptions(nextMatch),
+    ];
+    setErrors(nextErrors);
+    if (nextErrors.length === 0 && seedError === null) {
+      onApply(nextConfig, draft.seed, nextMatch);
+    }
+  };
+
+  const inputClassName =
+    "w-20 font-mono text-center bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600";
+
+  return (
+    <div className="setup mb-8 p-4 bg-indigo-50 rounded-xl">
+      <h2 className="text-lg font-bold text-indigo-800 text-center mb-3">
+        Game Setup
+      </h2>
+      <div className="flex flex-wrap justify-center gap-4 text-sm text-gray-600">
+        {SETUP_FIELDS.map(({ key, label, min, max }) => (
+          <label key={key} className="flex flex-col items-center gap-1">
+            {label}
+            <input
+              className={inputClassName}
+              type="number"
+              min={min}
+              max={max}
+              value={draft[key]}
+              disabled={
+                (isStandard && STANDARD_DECK_LOCKED_FIELDS.includes(key)) ||
+                (key === "pointsPerScore" &&
+                  SCORING_MODES_WITHOUT_POINTS.includes(draft.scoringMode))
+              }
+              placeholder={
+                key === "totalRounds"
+                  ? String(
+                      maxRoundsFor(
+                        draftToConfig({ ...draft, totalRounds: "" }),
+                      ),
+                    )
+                  : undefined
+              }
+              onChange={(e) => handleChange(key, e)}
+              onBlur={handleBlur}
+            />
+          </label>
+        ))}
+        <label className="flex flex-col items-center gap-1">
+          Deck
+          <select
+            className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+            value={draft.deckType}
+            onChange={(e) => handleChange("deckType", e)}
+            onBlur={handleBlur}
+          >
+            <option value={DECK_TYPES.NUMBERED}>Numbered cards</option>
+            <option value={DECK_TYPES.STANDARD}>Standard 52 cards</option>
+          </select>
+        </label>
+        {isStandard && (
+          <>
+            <label className="flex flex-col items-center gap-1">
+              Ace high
+              <input
+                type="checkbox"
+                checked={draft.aceHigh}
+                onChange={(e) => handleChange("aceHigh", e)}
+                onBlur={handleBlur}
+              />
+            </label>
+            <label className="flex flex-col items-center gap-1">
+              Suit tiebreak
+              <select
+                className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+                value={draft.suitOrder}
+                onChange={(e) => handleChange("suitOrder", e)}
+                onBlur={handleBlur}
               >
-                {`${rank}${suffix}`}
-              </span>
-              <strong className="text-gray-800">{player.name}</strong>
-              <span
-                className={`text-xl font-extrabold ${
-                  isWinner ? "text-yellow-700" : "text-green-600"
-                }`}
+                {Object.entries(draft.suitOrderPresets).map(
+                  ([key, { label }]) => (
+                    <option key={key} value={key}>
+                      {label}
+                    </option>
+                  ),
+                )}
+              </select>
+            </label>
+          </>
+        )}
+        <label className="flex flex-col items-center gap-1">
+          Scoring
+          <select
+            className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+            value={draft.scoringMode}
+            onChange={(e) => handleChange("scoringMode", e)}
+            onBlur={handleBlur}
+          >
+            {Object.entries(SCORING_MODE_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col items-center gap-1">
+          Cards
+          <select
+            className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+            value={draft.dealMode}
+            onChange={(e) => handleChange("dealMode", e)}
+            onBlur={handleBlur}
+          >
+            {Object.entries(DEAL_MODE_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col items-center gap-1">
+          Turns
+          <select
+            className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+            value={draft.turnMode}
+            onChange={(e) => handleChange("turnMode", e)}
+            onBlur={handleBlur}
+          >
+            {Object.entries(TURN_MODE_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col items-center gap-1">
+          Ties
+          <select
+            className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+            value={draft.tiePolicy}
+            onChange={(e) => handleChange("tiePolicy", e)}
+            onBlur={handleBlur}
+          >
+            {Object.entries(TIE_POLICY_LABELS).map(([policy, label]) => (
+              <option key={policy} value={policy}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="flex flex-col items-center gap-1">
+          Match
+          <select
+            className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+            value={draft.matchFormat}
+            onChange={(e) => handleChange("matchFormat", e)}
+            onBlur={handleBlur}
+          >
+            <option value={SINGLE_GAME}>Single game</option>
+            {Object.entries(MATCH_FORMAT_LABELS).map(([format, label]) => (
+              <option key={format} value={format}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {draft.matchFormat !== SINGLE_GAME && (
+          <label className="flex flex-col items-center gap-1">
+            Games
+            <input
+              className={inputClassName}
+              type="number"
+              min={1}
+              max={MAX_MATCH_GAMES}
+              value={draft.matchGames}
+              onChange={(e) => handleChange("matchGames", e)}
+              onBlur={handleBlur}
+            />
+          </label>
+        )}
+        <label className="flex flex-col items-center gap-1">
+          Seed
+          <input
+            className={`${inputClassName} w-32`}
+            type="text"
+            inputMode="numeric"
+            value={draft.seed}
+            placeholder="random"
+            aria-invalid={seedError !== null}
+            aria-describedby={seedError ? "setup-seed-error" : undefined}
+            onChange={(e) => handleChange("seed", e)}
+            onBlur={handleBlur}
+            onKeyDown={(e) => e.key === "Enter" && e.target.blur()}
+          />
+          {seedError && (
+            <span id="setup-seed-error" className="text-red-600">
+              {seedError}
+            </span>
+          )}
+        </label>
+      </div>
+      {draft.dealMode === DEAL_MODES.HAND && (
+        <div className="seatStrategies mt-3 flex flex-wrap justify-center gap-4 text-sm text-gray-600">
+          {seatStrategies(
+            draft.strategies,
+            draftToConfig(draft).playerCount,
+          ).map((strategy, seat) => (
+            <label key={seat} className="flex flex-col items-center gap-1">
+              Seat {seat + 1}
+              <select
+                className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+                value={strategy}
+                onChange={(e) => handleStrategyChange(seat, e)}
+                onBlur={handleBlur}
               >
-                {player.score}
-              </span>
-            </li>
-          );
-        })}
-      </ul>
+                {Object.entries(STRATEGY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+      {errors.length > 0 && (
+        <ul className="mt-3 text-sm text-red-600 text-center list-none p-0">
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
 
+// The tabs under the title
+const VIEWS = {
+  LOCAL: "local",
+  ONLINE: "online",
+  LEADERBOARD: "leaderboard",
+};
+
+const VIEW_LABELS = {
+  [VIEWS.LOCAL]: "Local game",
+  [VIEWS.ONLINE]: "Play online",
+  [VIEWS.LEADERBOARD]: "Leaderboard",
+};
+
 function App() {
-  const [game, setGame] = useState(() => createGameLogic());
-  const [players, setPlayers] = useState(game.getPlayers());
-  const [gameState, setGameState] = useState("ready");
+  const [initialLink] = useState(readShareLink);
+  const [match, setMatch] = useState(() =>
+    createMatch(initialLink?.game ? { game: initialLink.game } : {}),
+  );
+  const [linkError, setLinkError] = useState(initialLink?.error ?? null);
+  // The last link made with "Copy link", whether it reached the clipboard and the
+  // game and version it was made from; it is only shown until the game changes
+  const [copiedLink, setCopiedLink] = useState(null);
+  // The open tab; the local game keeps its state while online play or the leaderboard is shown
+  const [view, setView] = useState(VIEWS.LOCAL);
+  const [leaderboard, setLeaderboard] = useState(() => loadLeaderboard());
+  const matchSnapshot = useMatch(match);
+  const { game, gameNumber } = matchSnapshot;
+  const matchOptions = {
+    format: matchSnapshot.format,
+    games: matchSnapshot.games,
+  };
+  const {
+    version,
+    phase,
+    players,
+    currentRound,
+    totalRounds,
+    furthestRound,
+    remainingCards,
+    config,
+    seed,
+    gameId,
+    pot,
+    lastRound,
+    roundHistory,
+    playerStats,
+    viewer,
+    viewerHand,
+    handSizes,
+    pendingPlays,
+    awaitingPlayers,
+    strategies,
+    currentTurn,
+    turnsTaken,
+  } = useGame(game);
+  const handMode = config.dealMode === DEAL_MODES.HAND;
+  const turnMode = config.turnMode === TURN_MODES.TURNS;
+  // Winners stay marked until the next round's first card is flipped
+  const roundWinners = turnsTaken === 0 && lastRound ? lastRound.winners : [];
+  // Hot-seat games with several people: a seat's cards stay face down until whoever is
+  // holding the device confirms they are that player. Keyed on the game, round, turn and
+  // seat, so every new pick starts hidden again.
+  const humanSeats = strategies.filter(
+    (strategy) => strategy === STRATEGIES.HUMAN,
+  ).length;
+  const handoffKey = `${gameId}:${currentRound}:${turnsTaken}:${viewer}`;
+  const [revealedFor, setRevealedFor] = useState(null);
+  const needsHandoff =
+    handMode && humanSeats > 1 && viewer !== null && revealedFor !== handoffKey;
+  const shownSeat = needsHandoff ? null : viewer;
+  const autoPlay = useAutoPlay(game);
+  const reducedMotion = usePrefersReducedMotion();
+  const waitingForPicks = awaitingPlayers.length > 0;
+  const canRunRound = phase !== PHASES.FINISHED && !waitingForPicks;
+  const canUndo = currentRound > 0 || turnsTaken > 0;
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  // Read out by screen readers through the live region whenever it changes
+  const [announcement, setAnnouncement] = useState("");
+  // A save found on load waits here until the user continues it or starts over;
+  // autosave is paused meanwhile so the fresh game does not overwrite it
+  const [pendingSave, setPendingSave] = useState(() => loadSave());
+  const [importErrors, setImportErrors] = useState([]);
+  const replayInputRef = useRef(null);
+
+  // Names can only change during setup
+  const handleRenamePlayer = (playerIndex, name) =>
+    game.modifyPlayerName(playerIndex, name);
 
-  const totalRounds = game.getTotalRounds();
-  const [currentRound, setCurrentRound] = useState(game.getCurrentRound());
+  // Players join and leave during setup; a table the deck cannot deal to is explained here
+  const [seatError, setSeatError] = useState(null);
 
-  const handlePlayerNameBlur = (playerIndex, event) => {
-    game.modifyPlayerName(playerIndex, event.target.value);
-    setPlayers([...game.getPlayers()]);
+  const handleAddPlayer = () => {
+    const result = game.addPlayer();
+    setSeatError(result.ok ? null : result.error.message);
   };
 
-  const syncState = () => {
-    const newRound = game.getCurrentRound();
-    const newPlayers = game.getPlayers();
+  const handleRemovePlayer = (playerIndex) => {
+    const result = game.removePlayer(playerIndex);
+    setSeatError(result.ok ? null : result.error.message);
+  };
 
-    setPlayers([...newPlayers]);
-    setCurrentRound(newRound);
+  // Setup can only change before the first round of a match; the match starts over
+  // with the new config, seed and format while keeping the names already entered
+  const handleApplySetup = (nextConfig, nextSeed, nextMatch) => {
+    const unchanged =
+      JSON.stringify(nextConfig) === JSON.stringify(config) &&
+      nextSeed === String(seed) &&
+      JSON.stringify(nextMatch) === JSON.stringify(matchOptions);
+    if (unchanged) return;
 
-    if (newRound >= totalRounds && totalRounds > 0) {
-      setGameState("finished");
-    } else if (newRound > 0) {
-      setGameState("playing");
-    } else {
-      setGameState("ready");
-    }
+    setMatch(
+      createMatch({
+        ...nextMatch,
+        config: nextConfig,
+        seed: nextSeed,
+        players,
+      }),
+    );
   };
 
+  // Auto-plays the rest of the game; a second click, or a preference for reduced
+  // motion, goes straight to the end
   const handleRunFullGame = () => {
-    game.runGameLoop();
-    syncState();
+    if (autoPlay.playing || reducedMotion) {
+      autoPlay.pause();
+      game.runGameLoop();
+    } else {
+      autoPlay.setStopRound(null);
+      autoPlay.play();
+    }
   };
 
   const handleRunRound = () => {
-    if (game.runRound()) {
-      syncState();
+    game.runRound();
+  };
+
+  // Once the last person has picked, the round plays straight away; in
+  // turn-based games picking a card is the player's turn
+  const handlePlayCard = (playerIndex, handIndex) => {
+    if (turnMode) {
+      game.takeTurn(handIndex);
+      return;
+    }
+    const result = game.playCard(playerIndex, handIndex);
+    if (result.ok && game.getAwaitingPlayers().length === 0) {
+      game.runRound();
     }
   };
 
+  const handleTakeTurn = () => {
+    game.takeTurn();
+  };
+
+  const handleUndoTurn = () => {
+    game.undoTurn();
+  };
+
   const handleRevertRound = () => {
-    const success = game.undoLastRound();
-    if (success) {
-      syncState(); // Synchronization handles all state updates (players, round count, game state)
-    } else {
-      // If undo fails (no history), ensure the state reflects the start
-      syncState();
+    autoPlay.pause();
+    game.undoLastRound();
+  };
+
+  const handleRedoRound = () => {
+    autoPlay.pause();
+    game.redoRound();
+  };
+
+  const handleGoToRound = (event) => {
+    autoPlay.pause();
+    game.goToRound(Number(event.target.value));
+  };
+
+  const handleCopyLink = async () => {
+    const url = new URL(window.location.href);
+    url.hash = createShareLink(game);
+    try {
+      await navigator.clipboard.writeText(url.href);
+      setCopiedLink({ url: url.href, copied: true, game, version });
+    } catch {
+      // No clipboard access (e.g. an insecure page); the link is shown to copy by hand
+      setCopiedLink({ url: url.href, copied: false, game, version });
     }
   };
 
+  const handleDownloadReplay = () => {
+    const blob = new Blob([game.exportGame()], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `high-card-game-${seed ?? "replay"}-round-${currentRound}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleUploadReplay = async (event) => {
+    const file = event.target.files[0];
+    // Clear the input so choosing the same file again still fires onChange
+    event.target.value = "";
+    if (!file) return;
+
+    const result = game.importGame(await file.text());
+    setImportErrors(result.ok ? [] : result.error.errors);
+  };
+
+  // A finished game of a longer match has to be counted before anything replaces it
+  const canResetGame = phase !== PHASES.FINISHED || matchSnapshot.games === 1;
+
+  // Re-deals the current game with a fresh seed; earlier games of the match still count
   const handleResetGame = () => {
-    const newGame = createGameLogic();
-    setGame(newGame);
-    // Synchronize with the new game's initial state
-    setPlayers(newGame.getPlayers());
-    setCurrentRound(newGame.getCurrentRound());
-    setGameState("ready");
+    autoPlay.pause();
+    match.restartGame();
+  };
+
+  const handleNextGame = () => {
+    match.nextGame();
   };
 
-  // Use useEffect to update gameState if currentRound hits totalRounds via external actions
+  // Starts a whole new match with the same setup and a fresh seed
+  const handleNewMatch = () => {
+    setMatch(createMatch({ ...matchOptions, config }));
+  };
+
+  const handleContinueSavedGame = () => {
+    setPendingSave(null);
+    try {
+      setMatch(
+        createMatch({
+          ...pendingSave.match,
+          game: createGameLogic(pendingSave.game),
+        }),
+      );
+    } catch {
+      // The save's config or match no longer validates; keep the fresh game instead
+      clearSave();
+    }
+  };
+
+  const handleDiscardSavedGame = () => {
+    clearSave();
+    setPendingSave(null);
+  };
+
+  // U takes back a turn while a round is under way, otherwise the last round
+  const handleUndo = () => {
+    if (turnsTaken > 0) {
+      handleUndoTurn();
+    } else {
+      handleRevertRound();
+    }
+  };
+
+  // Shortcuts only drive the local game, and only do what the matching button could do
+  useKeyboardShortcuts(
+    view !== VIEWS.LOCAL
+      ? {}
+      : showShortcuts
+        ? {
+            escape: () => setShowShortcuts(false),
+            "?": () => setShowShortcuts(false),
+          }
+        : {
+            n: () => canRunRound && handleRunRound(),
+            u: () => canUndo && handleUndo(),
+            f: () => canRunRound && handleRunFullGame(),
+            p: () =>
+              autoPlay.playing
+                ? autoPlay.pause()
+                : canRunRound && autoPlay.play(),
+            r: handleResetGame,
+            "?": () => setShowShortcuts(true),
+          },
+  );
+
+  useEffect(() => {
+    const nameOf = (playerIndex) => game.getPlayers()[playerIndex].name;
+    const unsubscribes = [
+      game.on(GAME_EVENTS.TURN_TAKEN, ({ playerIndex, card }) =>
+        setAnnouncement(`${nameOf(playerIndex)} flips ${describeCard(card)}.`),
+      ),
+      game.on(GAME_EVENTS.ROUND_RESOLVED, (entry) =>
+        setAnnouncement(announceRound(entry, game.getPlayers())),
+      ),
+      // Follows the last round's announcement, so both are read out
+      game.on(GAME_EVENTS.GAME_FINISHED, ({ players: finalPlayers }) =>
+        setAnnouncement(
+          (previous) => `${previous} ${announceGameOver(finalPlayers)}`,
+        ),
+      ),
+      game.on(GAME_EVENTS.ROUND_UNDONE, ({ round }) =>
+        setAnnouncement(`Round ${round} undone.`),
+      ),
+      game.on(GAME_EVENTS.TURN_UNDONE, ({ playerIndex }) =>
+        setAnnouncement(`Turn undone. ${nameOf(playerIndex)} to play.`),
+      ),
+      game.on(GAME_EVENTS.GAME_RESET, () =>
+        setAnnouncement("The game was reset."),
+      ),
+    ];
+    return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+  }, [game]);
+
+  // Links opened while the app is running, e.g. pasted into the address bar
   useEffect(() => {
-    if (currentRound === totalRounds && totalRounds > 0) {
-      setGameState("finished");
+    const handleHashChange = () => {
+      const opened = readShareLink();
+      if (!opened) return;
+      clearShareLink();
+      setLinkError(opened.error);
+      if (opened.game) {
+        setView(VIEWS.LOCAL);
+        setMatch(createMatch({ game: opened.game }));
+      }
+    };
+    clearShareLink();
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  // Finished games go on the leaderboard; undoing and replaying the last round finishes
+  // the same game again, which recordGame knows by its id and skips
+  useEffect(
+    () =>
+      game.on(GAME_EVENTS.GAME_FINISHED, () => {
+        if (recordGame(game)) {
+          setLeaderboard(loadLeaderboard());
+        }
+      }),
+    [game],
+  );
+
+  const handleShowView = (nextView) => {
+    // Other tabs may have finished games since this one last looked
+    if (nextView === VIEWS.LEADERBOARD) {
+      setLeaderboard(loadLeaderboard());
     }
-  }, [currentRound, totalRounds]);
+    setView(nextView);
+  };
+
+  const handleClearLeaderboard = () => {
+    clearLeaderboard();
+    setLeaderboard(loadLeaderboard());
+  };
+
+  // Autosave now and after every change the match reports, which includes every change
+  // to its current game
+  useEffect(() => {
+    if (pendingSave) return undefined;
+    saveMatch(match);
+    return match.subscribe(() => saveMatch(match));
+  }, [match, pendingSave]);
 
   return (
     <div className="min-h-screen bg-gray-100 p-4 sm:p-8 flex flex-col items-center font-sans">
@@ -124,88 +1015,513 @@ function App() {
           High Card Game Simulator
         </h1>
 
-        <div className="text-center mb-6">
-          <p className="status-text text-xl font-semibold">
-            Status:{" "}
-            <strong
-              className={`font-extrabold ${
-                gameState === "finished" ? "text-red-600" : "text-green-600"
+        <p
+          role="status"
+          aria-live="polite"
+          aria-atomic="true"
+          className="announcer sr-only"
+        >
+          {announcement}
+        </p>
+
+        <div
+          role="tablist"
+          className="playModes flex justify-center gap-2 -mt-2 mb-6"
+        >
+          {Object.values(VIEWS).map((tab) => (
+            <button
+              key={tab}
+              role="tab"
+              aria-selected={view === tab}
+              onClick={() => handleShowView(tab)}
+              className={`px-4 py-2 rounded-full text-sm font-semibold transition duration-300 ${
+                view === tab
+                  ? "bg-blue-600 text-white"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
               }`}
             >
-              {gameState.toUpperCase()}
-            </strong>
-          </p>
-          <p className="text-sm text-gray-500">
-            Round: {currentRound}/{totalRounds}
-          </p>
+              {VIEW_LABELS[tab]}
+            </button>
+          ))}
         </div>
 
-        <div className="controls flex flex-col md:flex-row justify-center gap-3 mb-8">
-          <button
-            onClick={handleRunFullGame}
-            disabled={gameState === "finished"}
-            className="flex-1 w-full md:w-auto px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Run Full Game ({totalRounds} Rounds)
-          </button>
-          <button
-            onClick={handleRunRound}
-            disabled={gameState === "finished"}
-            className="flex-1 w-full md:w-auto px-6 py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Run Next Round ({currentRound + 1}/{totalRounds})
-          </button>
-          <button
-            onClick={handleRevertRound}
-            disabled={currentRound === 0}
-            className="flex-1 w-full md:w-auto px-6 py-3 bg-yellow-500 hover:bg-yellow-600 text-gray-800 font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Revert Prev Round ({currentRound}/{totalRounds})
-          </button>
-          <button
-            onClick={handleResetGame}
-            className="flex-1 w-full md:w-auto px-6 py-3 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Reset Game
-          </button>
-        </div>
+        {view === VIEWS.ONLINE ? (
+          <OnlinePlay />
+        ) : view === VIEWS.LEADERBOARD ? (
+          <Leaderboard
+            leaderboard={leaderboard}
+            onClear={handleClearLeaderboard}
+          />
+        ) : (
+          <>
+            {pendingSave && (
+              <div className="savePrompt mb-6 p-4 bg-blue-50 border border-blue-200 rounded-xl text-center">
+                <p className="font-semibold text-blue-800 mb-3">
+                  You have a saved game at round {pendingSave.game.currentRound}
+                  {pendingSave.match?.games > 1 &&
+                    ` (${describeMatch({
+                      ...pendingSave.match,
+                      gameNumber: pendingSave.match.results.length + 1,
+                    })})`}
+                  {pendingSave.savedAt &&
+                    ` from ${new Date(pendingSave.savedAt).toLocaleString()}`}
+                  .
+                </p>
+                <div className="flex justify-center gap-3">
+                  <button
+                    onClick={handleContinueSavedGame}
+                    className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+                  >
+                    Continue saved game
+                  </button>
+                  <button
+                    onClick={handleDiscardSavedGame}
+                    className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold rounded-lg shadow-md transition duration-300"
+                  >
+                    Start new game
+                  </button>
+                </div>
+              </div>
+            )}
 
-        {gameState !== "finished" ? (
-          <div className="playersList grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6 justify-items-center">
-            {players.map((player, playerIndex) => (
-              <div
-                key={player.name}
-                className="playerCard w-full max-w-xs bg-gray-50 p-5 rounded-xl shadow-lg border border-gray-200 text-center transition duration-300 hover:shadow-xl"
+            <div className="text-center mb-6">
+              <p className="status-text text-xl font-semibold">
+                Status:{" "}
+                <strong
+                  className={`font-extrabold ${
+                    phase === PHASES.FINISHED
+                      ? "text-red-600"
+                      : "text-green-600"
+                  }`}
+                >
+                  {phase.toUpperCase()}
+                </strong>
+              </p>
+              {matchSnapshot.games > 1 && (
+                <p className="gameNumber text-sm font-semibold text-blue-700">
+                  {describeMatch(matchSnapshot)}
+                </p>
+              )}
+              <p className="text-sm text-gray-500">
+                Round: {currentRound}/{totalRounds} · Cards left:{" "}
+                {remainingCards}
+              </p>
+              <p className="scoringMode text-sm text-gray-500">
+                Scoring: {SCORING_MODE_LABELS[config.scoringMode]} ·{" "}
+                {SCORING_MODE_DESCRIPTIONS[config.scoringMode]}
+              </p>
+              <p className="text-sm text-gray-500">
+                Seed: <span className="font-mono">{seed}</span>
+              </p>
+              {lastRound?.tiePolicy && (
+                <p className="tie-notice mt-2 text-sm font-semibold text-orange-600">
+                  Round {lastRound.round} was a tie between{" "}
+                  {lastRound.tied
+                    .map((index) => players[index].name)
+                    .join(", ")}
+                  : {TIE_POLICY_LABELS[lastRound.tiePolicy]}
+                </p>
+              )}
+              {pot > 0 && (
+                <p className="text-sm font-semibold text-orange-600">
+                  Pot: {formatScore(pot)} point(s) carried into the next round
+                </p>
+              )}
+            </div>
+
+            {phase === PHASES.SETUP && gameNumber === 1 && (
+              <GameSetup
+                key={`${seed}:${config.playerCount}`}
+                config={config}
+                seed={seed}
+                matchOptions={matchOptions}
+                onApply={handleApplySetup}
+              />
+            )}
+
+            <div className="controls flex flex-col md:flex-row justify-center gap-3 mb-8">
+              <button
+                onClick={handleRunFullGame}
+                disabled={!canRunRound}
+                aria-keyshortcuts="F"
+                className="flex-1 w-full md:w-auto px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {autoPlay.playing
+                  ? "Skip to End"
+                  : `Run Full Game (${totalRounds} Rounds)`}
+              </button>
+              <button
+                onClick={handleRunRound}
+                disabled={!canRunRound}
+                aria-keyshortcuts="N"
+                className="flex-1 w-full md:w-auto px-6 py-3 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Run Next Round ({currentRound + 1}/{totalRounds})
+              </button>
+              {turnMode && (
+                <button
+                  onClick={handleUndoTurn}
+                  disabled={turnsTaken === 0}
+                  aria-keyshortcuts={turnsTaken > 0 ? "U" : undefined}
+                  className="flex-1 w-full md:w-auto px-6 py-3 bg-orange-500 hover:bg-orange-600 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Undo Turn ({turnsTaken})
+                </button>
+              )}
+              <button
+                onClick={handleRevertRound}
+                disabled={!canUndo}
+                aria-keyshortcuts={turnsTaken > 0 ? undefined : "U"}
+                className="flex-1 w-full md:w-auto px-6 py-3 bg-yellow-500 hover:bg-yellow-600 text-gray-800 font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Revert Prev Round ({currentRound}/{totalRounds})
+              </button>
+              <button
+                onClick={handleRedoRound}
+                disabled={currentRound >= furthestRound}
+                className="flex-1 w-full md:w-auto px-6 py-3 bg-purple-600 hover:bg-purple-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
               >
+                Redo Round ({furthestRound - currentRound})
+              </button>
+              <button
+                onClick={handleResetGame}
+                disabled={!canResetGame}
+                title={
+                  canResetGame
+                    ? undefined
+                    : `This game counts towards the match; start ${
+                        matchSnapshot.isOver ? "a new match" : "the next game"
+                      }`
+                }
+                aria-keyshortcuts="R"
+                className="flex-1 w-full md:w-auto px-6 py-3 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                Reset Game
+              </button>
+              {matchSnapshot.games > 1 && (
+                <button
+                  onClick={handleNewMatch}
+                  className="flex-1 w-full md:w-auto px-6 py-3 bg-gray-600 hover:bg-gray-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+                >
+                  New Match
+                </button>
+              )}
+            </div>
+
+            <AutoPlayControls
+              autoPlay={autoPlay}
+              canPlay={canRunRound}
+              totalRounds={totalRounds}
+            />
+
+            {currentTurn !== null && (
+              <p className="turnIndicator -mt-4 mb-8 text-center text-xl font-bold text-indigo-700">
+                {players[currentTurn].name}&apos;s turn
+              </p>
+            )}
+
+            {needsHandoff && (
+              <div className="handoff -mt-4 mb-8 p-4 bg-indigo-50 border border-indigo-200 rounded-xl text-center">
+                <p className="font-semibold text-indigo-800 mb-3">
+                  Pass the device to {players[viewer].name}
+                </p>
+                <button
+                  type="button"
+                  onClick={() => setRevealedFor(handoffKey)}
+                  className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+                >
+                  I&apos;m {players[viewer].name}, show my cards
+                </button>
+              </div>
+            )}
+
+            {phase !== PHASES.FINISHED && waitingForPicks && !turnMode && (
+              <p className="awaitingPlays -mt-4 mb-8 text-center text-sm font-semibold text-indigo-700">
+                Waiting for{" "}
+                {awaitingPlayers.map((index) => players[index].name).join(", ")}{" "}
+                to pick a card
+              </p>
+            )}
+
+            {phase === PHASES.FINISHED && !matchSnapshot.isOver && (
+              <div className="flex justify-center -mt-4 mb-8">
+                <button
+                  onClick={handleNextGame}
+                  className="nextGame px-6 py-3 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+                >
+                  Next Game ({gameNumber + 1})
+                </button>
+              </div>
+            )}
+
+            {furthestRound > 0 && (
+              <div className="roundScrubber flex items-center justify-center gap-3 -mt-4 mb-8 text-sm text-gray-600">
+                <label htmlFor="round-scrubber">Jump to round</label>
                 <input
-                  className="text-xl font-bold text-gray-700 mb-2 w-full text-center bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600 transition duration-150"
-                  type="text"
-                  defaultValue={player.name}
-                  onBlur={(e) => handlePlayerNameBlur(playerIndex, e)}
-                  maxLength={15}
-                  placeholder="Enter Name"
+                  id="round-scrubber"
+                  type="range"
+                  min={0}
+                  max={furthestRound}
+                  value={currentRound}
+                  onChange={handleGoToRound}
                 />
-                <p className="text-sm text-gray-500 mb-3">
-                  Score:{" "}
-                  <span className="font-extrabold text-lg text-green-700">
-                    {player.score}
-                  </span>
-                </p>
-                {currentRound > 0 && player.cardHeld !== null && (
-                  <div className="card inline-block text-3xl font-extrabold px-5 py-3 border-4 border-indigo-500 bg-white rounded-lg shadow-inner select-none">
-                    {player.cardHeld}
-                  </div>
-                )}
-                {currentRound === 0 && (
-                  <div className="card inline-block text-lg font-semibold px-5 py-3 border-4 border-gray-300 bg-gray-200 text-gray-500 rounded-lg shadow-inner select-none">
-                    Waiting
-                  </div>
+                <span className="font-mono">
+                  {currentRound}/{furthestRound}
+                </span>
+              </div>
+            )}
+
+            <div className="replayControls flex justify-center gap-3 -mt-4 mb-8 text-sm">
+              <button
+                onClick={handleDownloadReplay}
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold rounded-lg shadow-sm transition duration-300"
+              >
+                Download replay
+              </button>
+              <button
+                onClick={() => replayInputRef.current.click()}
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold rounded-lg shadow-sm transition duration-300"
+              >
+                Upload replay
+              </button>
+              <button
+                onClick={handleCopyLink}
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold rounded-lg shadow-sm transition duration-300"
+              >
+                Copy link
+              </button>
+              <button
+                onClick={() => setShowShortcuts(true)}
+                aria-keyshortcuts="?"
+                className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold rounded-lg shadow-sm transition duration-300"
+              >
+                Keyboard shortcuts
+              </button>
+              <input
+                ref={replayInputRef}
+                aria-label="Replay file"
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={handleUploadReplay}
+              />
+            </div>
+
+            {copiedLink?.game === game && copiedLink.version === version && (
+              <p
+                role="status"
+                className="copiedLink -mt-4 mb-8 flex items-center justify-center gap-2 text-sm text-gray-600"
+              >
+                {copiedLink.copied ? (
+                  "Link to this game copied to the clipboard"
+                ) : (
+                  <>
+                    Copy this link to share the game:
+                    <input
+                      type="text"
+                      readOnly
+                      value={copiedLink.url}
+                      aria-label="Link to this game"
+                      onFocus={(e) => e.target.select()}
+                      className="w-72 font-mono text-xs bg-transparent border-b-2 border-indigo-400 focus:outline-none"
+                    />
+                  </>
                 )}
+              </p>
+            )}
+
+            {linkError && (
+              <div
+                role="alert"
+                className="linkError -mt-4 mb-8 p-4 flex items-center justify-between gap-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700"
+              >
+                <p>
+                  <span className="font-semibold">
+                    Could not open the shared link:
+                  </span>{" "}
+                  {linkError}
+                </p>
+                <button
+                  onClick={() => setLinkError(null)}
+                  className="px-3 py-1 bg-white border border-red-200 rounded-lg font-semibold hover:bg-red-100"
+                >
+                  Dismiss
+                </button>
               </div>
-            ))}
-          </div>
-        ) : (
-          <Scoreboard players={players} />
+            )}
+
+            {importErrors.length > 0 && (
+              <div
+                role="alert"
+                className="importErrors -mt-4 mb-8 p-4 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700"
+              >
+                <p className="font-semibold mb-1">Could not load the replay:</p>
+                <ul className="list-disc pl-5">
+                  {importErrors.map((error) => (
+                    <li key={error}>{error}</li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {phase !== PHASES.FINISHED ? (
+              <div className="flex flex-col lg:flex-row gap-6">
+                <div className="playersList flex-1 grid grid-cols-1 md:grid-cols-2 gap-6 justify-items-center">
+                  {players.map((player, playerIndex) => (
+                    <div
+                      key={player.id}
+                      className={`playerCard relative w-full max-w-xs bg-gray-50 p-5 rounded-xl shadow-lg border text-center transition duration-300 hover:shadow-xl ${
+                        playerIndex === currentTurn
+                          ? "border-indigo-500 ring-4 ring-indigo-200"
+                          : "border-gray-200"
+                      }`}
+                    >
+                      {phase === PHASES.SETUP &&
+                        players.length > MIN_PLAYERS && (
+                          <button
+                            type="button"
+                            onClick={() => handleRemovePlayer(playerIndex)}
+                            aria-label={`Remove ${player.name}`}
+                            title="Remove player"
+                            className="removePlayer absolute top-2 right-2 w-7 h-7 rounded-full text-gray-400 hover:text-red-600 hover:bg-red-50 font-bold transition duration-150"
+                          >
+                            ×
+                          </button>
+                        )}
+                      <PlayerNameInput
+                        key={player.name}
+                        player={player}
+                        playerIndex={playerIndex}
+                        readOnly={phase !== PHASES.SETUP}
+                        onRename={(name) =>
+                          handleRenamePlayer(playerIndex, name)
+                        }
+                      />
+                      <p className="text-sm text-gray-500 mb-3">
+                        Score:{" "}
+                        <span className="font-extrabold text-lg text-green-700">
+                          {formatScore(player.score)}
+                        </span>
+                        {roundWinners.length > 0 &&
+                          lastRound.scoreDeltas[playerIndex] > 0 && (
+                            <span
+                              key={lastRound.round}
+                              className="scoreChange inline-block ml-2 font-bold text-yellow-600"
+                            >
+                              +{formatScore(lastRound.scoreDeltas[playerIndex])}
+                            </span>
+                          )}
+                      </p>
+                      {player.cardHeld !== null && (
+                        <CardFace
+                          key={currentRound}
+                          card={player.cardHeld}
+                          highlighted={roundWinners.includes(playerIndex)}
+                          className="cardFlip"
+                        />
+                      )}
+                      {roundWinners.includes(playerIndex) && (
+                        <p className="roundWinner mt-2 text-sm font-bold text-yellow-700">
+                          Won round {lastRound.round}
+                        </p>
+                      )}
+                      {player.eliminated && (
+                        <div className="card inline-block text-lg font-semibold px-5 py-3 border-4 border-red-300 bg-red-50 text-red-600 rounded-lg shadow-inner select-none">
+                          Knocked out
+                        </div>
+                      )}
+                      {player.cardHeld === null &&
+                        !player.eliminated &&
+                        !handMode && (
+                          <div
+                            className="card cardDeal inline-block text-lg font-semibold px-5 py-3 border-4 border-gray-300 bg-gray-200 text-gray-500 rounded-lg shadow-inner select-none"
+                            style={{ animationDelay: `${playerIndex * 80}ms` }}
+                          >
+                            Waiting
+                          </div>
+                        )}
+                      {handMode && !player.eliminated && (
+                        <PlayerHand
+                          hand={playerIndex === shownSeat ? viewerHand : null}
+                          handSize={handSizes[playerIndex]}
+                          isHuman={strategies[playerIndex] === STRATEGIES.HUMAN}
+                          hasPicked={pendingPlays[playerIndex]}
+                          isTurn={
+                            turnMode ? playerIndex === currentTurn : undefined
+                          }
+                          disabled={
+                            turnMode
+                              ? playerIndex !== currentTurn
+                              : pendingPlays[playerIndex]
+                          }
+                          onPlay={(handIndex) =>
+                            handlePlayCard(playerIndex, handIndex)
+                          }
+                        />
+                      )}
+                      {playerIndex === currentTurn &&
+                        !(
+                          handMode &&
+                          strategies[playerIndex] === STRATEGIES.HUMAN
+                        ) && (
+                          <button
+                            onClick={handleTakeTurn}
+                            className="takeTurn mt-3 w-full px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+                          >
+                            {handMode ? "Play bot's turn" : "Flip card"}
+                          </button>
+                        )}
+                    </div>
+                  ))}
+                  {phase === PHASES.SETUP && (
+                    <div className="addPlayer w-full max-w-xs flex flex-col items-center justify-center gap-2 p-5 rounded-xl border-2 border-dashed border-gray-300 text-center">
+                      <button
+                        type="button"
+                        onClick={handleAddPlayer}
+                        disabled={players.length >= MAX_PLAYERS}
+                        className="px-4 py-2 bg-indigo-100 hover:bg-indigo-200 text-indigo-800 font-semibold rounded-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        + Add player
+                      </button>
+                      {players.length >= MAX_PLAYERS && (
+                        <p className="text-sm text-gray-500">
+                          A game can have at most {MAX_PLAYERS} players
+                        </p>
+                      )}
+                      {seatError && (
+                        <p role="alert" className="text-sm text-red-600">
+                          {seatError}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <div className="w-full lg:w-72 flex flex-col gap-6">
+                  {matchSnapshot.games > 1 && (
+                    <MatchStandings match={matchSnapshot} />
+                  )}
+                  <RoundTimeline history={roundHistory} players={players} />
+                </div>
+              </div>
+            ) : (
+              <Scoreboard
+                players={players}
+                stats={playerStats}
+                history={roundHistory}
+                scoringMode={config.scoringMode}
+                match={matchSnapshot}
+              />
+            )}
+
+            <SimulationPanel config={config} players={players} />
+
+            {showShortcuts && (
+              <ShortcutHelp
+                shortcuts={SHORTCUTS}
+                onClose={() => setShowShortcuts(false)}
+              />
+            )}
+          </>
         )}
       </div>
     </div>
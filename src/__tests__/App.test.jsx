@@ -0,0 +1,425 @@
+// @vitest-environment jsdom
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { act, cleanup, fireEvent, render, screen, within } from '@testing-library/react';
+import axe from 'axe-core';
+import App from '../App';
+import createMatch from '../game/match';
+import { saveMatch } from '../game/persistence';
+
+// jsdom has no layout engine, so colour contrast cannot be measured here
+const AXE_OPTIONS = { rules: { 'color-contrast': { enabled: false } } };
+
+const expectNoViolations = async (container) => {
+    const { violations } = await axe.run(container, AXE_OPTIONS);
+    expect(violations.map(({ id, nodes }) => `${id}: ${nodes.map((node) => node.html).join(', ')}`)).toEqual([]);
+};
+
+const press = (key, target = document.body) => {
+    act(() => {
+        fireEvent.keyDown(target, { key });
+    });
+};
+
+const announcer = () => screen.getByRole('status');
+
+/**
+ * Test suite for the rendered App
+ * Tests cover:
+ * - axe-core checks on the setup screen and the final scoreboard
+ * - N, U, F and R shortcuts, and that typing in a field does not trigger them
+ * - The shortcut help dialog
+ * - Live-region announcements of each round
+ * - Table semantics on the scoreboard
+ * - Explaining a seed that is not a whole number instead of applying it, in setup and
+ *   in the simulation panel
+ * - Adding, removing and renaming players during setup
+ * - Auto-play controls, driven by fake timers
+ * - Opening and copying share links
+ * - The leaderboard tab: recording finished games once, sorting and clearing
+ * - Marking the winners of the last round
+ * - Keeping hands hidden on a shared screen
+ * - Continuing a saved match
+ */
+
+beforeEach(() => {
+    localStorage.clear();
+    // Ask for reduced motion so F jumps straight to the end instead of animating
+    window.matchMedia = vi.fn((query) => ({
+        matches: query === '(prefers-reduced-motion: reduce)',
+        addEventListener: () => {},
+        removeEventListener: () => {},
+    }));
+});
+
+afterEach(() => {
+    cleanup();
+    delete window.matchMedia;
+});
+
+describe('Keyboard shortcuts and announcements', () => {
+    test('the setup screen has no axe violations', async () => {
+        const { container } = render(<App />);
+        await expectNoViolations(container);
+    });
+
+    test('N plays a round and the live region announces its cards and winner', () => {
+        render(<App />);
+        press('n');
+        expect(screen.getByText(/Round: 1\//)).toBeTruthy();
+        expect(announcer().textContent).toMatch(/^Round 1: Player 1 \d+, Player 2 \d+, Player 3 \d+, Player 4 \d+\. .+\.$/);
+        expect(announcer().getAttribute('aria-live')).toBe('polite');
+    });
+
+    test('U undoes the last round and R resets the game', () => {
+        render(<App />);
+        press('n');
+        press('n');
+        press('u');
+        expect(screen.getByText(/Round: 1\//)).toBeTruthy();
+        expect(announcer().textContent).toBe('Round 2 undone.');
+
+        press('r');
+        expect(screen.getByText(/Round: 0\//)).toBeTruthy();
+    });
+
+    test('shortcuts are ignored while typing in a field', () => {
+        render(<App />);
+        press('n', screen.getByLabelText('Player 1 name'));
+        expect(screen.getByText(/Round: 0\//)).toBeTruthy();
+    });
+
+    test('? opens the shortcut help and Escape closes it', async () => {
+        const { container } = render(<App />);
+        press('?');
+        const dialog = screen.getByRole('dialog', { name: 'Keyboard shortcuts' });
+        expect(within(dialog).getByText('Run the next round')).toBeTruthy();
+        expect(document.activeElement).toBe(within(dialog).getByRole('button', { name: 'Close' }));
+        await expectNoViolations(container);
+
+        // Game shortcuts are off while the dialog is open
+        press('n');
+        expect(screen.getByText(/Round: 0\//)).toBeTruthy();
+        press('Escape');
+        expect(screen.queryByRole('dialog')).toBeNull();
+    });
+
+    test('F plays the full game and the scoreboard is a table with headers', async () => {
+        const { container } = render(<App />);
+        press('f');
+
+        expect(announcer().textContent).toMatch(/Game over\. .+ with \d+ points\.$/);
+        const table = screen.getByRole('table', { name: /Final scores/ });
+        const headers = within(table).getAllByRole('columnheader').map((header) => header.textContent);
+        expect(headers).toEqual(['Place', 'Player', 'Score']);
+        expect(within(table).getAllByRole('rowheader')).toHaveLength(4);
+        await expectNoViolations(container);
+    });
+});
+
+describe('Game setup', () => {
+    test('a seed that is not a whole number is explained and not applied', async () => {
+        const { container } = render(<App />);
+        const seed = screen.getByText(/^Seed:/).querySelector('span').textContent;
+        const input = within(container.querySelector('.setup')).getByLabelText(/^Seed/);
+        fireEvent.change(input, { target: { value: 'abc' } });
+        fireEvent.blur(input);
+
+        expect(input.getAttribute('aria-invalid')).toBe('true');
+        const error = document.getElementById(input.getAttribute('aria-describedby'));
+        expect(error.textContent).toBe('Seed must be a whole number, or blank for a random one');
+        expect(screen.getByText(/^Seed:/).querySelector('span').textContent).toBe(seed);
+        await expectNoViolations(container);
+
+        fireEvent.change(input, { target: { value: '42' } });
+        fireEvent.blur(input);
+        expect(input.getAttribute('aria-invalid')).toBe('false');
+        expect(screen.getByText(/^Seed:/).querySelector('span').textContent).toBe('42');
+    });
+});
+
+describe('Simulation', () => {
+    test('a simulation seed that is not a whole number is explained and cannot run', () => {
+        const { container } = render(<App />);
+        const panel = container.querySelector('.simulation');
+        const input = within(panel).getByLabelText(/^Seed/);
+        const run = within(panel).getByRole('button', { name: 'Run Simulation' });
+        fireEvent.change(input, { target: { value: '12abc' } });
+
+        expect(run.disabled).toBe(true);
+        expect(input.getAttribute('aria-invalid')).toBe('true');
+        const error = document.getElementById(input.getAttribute('aria-describedby'));
+        expect(error.textContent).toBe('Seed must be a whole number, or blank for a random one');
+
+        fireEvent.change(input, { target: { value: '12' } });
+        expect(run.disabled).toBe(false);
+        expect(input.getAttribute('aria-invalid')).toBe('false');
+    });
+});
+
+describe('Players', () => {
+    test('a repeated name is kept in the field with the reason', async () => {
+        const { container } = render(<App />);
+        const input = screen.getByLabelText('Player 2 name');
+        fireEvent.change(input, { target: { value: 'player 1' } });
+        fireEvent.blur(input);
+
+        expect(input.getAttribute('aria-invalid')).toBe('true');
+        const error = document.getElementById(input.getAttribute('aria-describedby'));
+        expect(error.textContent).toBe('Another player is already called player 1');
+        expect(input.value).toBe('player 1');
+        await expectNoViolations(container);
+
+        fireEvent.change(input, { target: { value: '  Bob ' } });
+        fireEvent.blur(input);
+        expect(screen.getByLabelText('Player 2 name').value).toBe('Bob');
+        expect(screen.getByLabelText('Player 2 name').getAttribute('aria-invalid')).toBe('false');
+    });
+
+    test('players can be added and removed before the first round', () => {
+        render(<App />);
+        fireEvent.click(screen.getByRole('button', { name: '+ Add player' }));
+        expect(screen.getByLabelText('Player 5 name').value).toBe('Player 5');
+
+        const bob = screen.getByLabelText('Player 2 name');
+        fireEvent.change(bob, { target: { value: 'Bob' } });
+        fireEvent.blur(bob);
+        fireEvent.click(screen.getByRole('button', { name: 'Remove Player 1' }));
+        expect(screen.getByLabelText('Player 1 name').value).toBe('Bob');
+        expect(screen.queryByLabelText('Player 5 name')).toBeNull();
+
+        press('n');
+        expect(screen.queryByRole('button', { name: /^Remove / })).toBeNull();
+        expect(screen.queryByRole('button', { name: '+ Add player' })).toBeNull();
+    });
+});
+
+describe('Auto-play', () => {
+    test('auto-play runs rounds on a timer until paused or reset', async () => {
+        vi.useFakeTimers();
+        try {
+            const { container } = render(<App />);
+            fireEvent.click(screen.getByRole('button', { name: 'Auto-play' }));
+            act(() => {
+                vi.advanceTimersByTime(1000);
+            });
+            expect(screen.getByText(/Round: 2\//)).toBeTruthy();
+
+            fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+            act(() => {
+                vi.advanceTimersByTime(5000);
+            });
+            expect(screen.getByText(/Round: 2\//)).toBeTruthy();
+
+            fireEvent.click(screen.getByRole('button', { name: 'Step' }));
+            expect(screen.getByText(/Round: 3\//)).toBeTruthy();
+
+            // Resetting while auto-play runs leaves no timer playing rounds behind
+            press('p');
+            press('r');
+            act(() => {
+                vi.advanceTimersByTime(5000);
+            });
+            expect(screen.getByText(/Round: 0\//)).toBeTruthy();
+            expect(screen.getByRole('button', { name: 'Auto-play' })).toBeTruthy();
+            vi.useRealTimers();
+            await expectNoViolations(container);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
+
+describe('Share links', () => {
+    test('a share link opens its game at its round and leaves the address bar', () => {
+        window.history.replaceState(null, '', '/#v=1&seed=99&round=3&names=%5B%22Ann%22%5D');
+        render(<App />);
+        expect(screen.getByText(/Round: 3\//)).toBeTruthy();
+        expect(screen.getByLabelText('Player 1 name').value).toBe('Ann');
+        expect(window.location.hash).toBe('');
+    });
+
+    test('a broken share link is explained', () => {
+        window.history.replaceState(null, '', '/#v=7&seed=99');
+        render(<App />);
+        expect(screen.getByRole('alert').textContent).toMatch(/newer version of the game/);
+        expect(screen.getByText(/Round: 0\//)).toBeTruthy();
+
+        fireEvent.click(screen.getByRole('button', { name: 'Dismiss' }));
+        expect(screen.queryByRole('alert')).toBeNull();
+    });
+
+    test('Copy link puts a link to the current round on the clipboard', async () => {
+        const writeText = vi.fn(() => Promise.resolve());
+        Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+        try {
+            render(<App />);
+            press('n');
+            press('n');
+            await act(async () => {
+                fireEvent.click(screen.getByRole('button', { name: 'Copy link' }));
+            });
+
+            const url = new URL(writeText.mock.calls[0][0]);
+            expect(new URLSearchParams(url.hash.slice(1)).get('round')).toBe('2');
+            expect(screen.getByText('Link to this game copied to the clipboard')).toBeTruthy();
+            // The message goes once the game moves on
+            press('n');
+            expect(screen.queryByText('Link to this game copied to the clipboard')).toBeNull();
+        } finally {
+            delete navigator.clipboard;
+        }
+    });
+});
+
+describe('Leaderboard', () => {
+    test('finished games go on the leaderboard once, which sorts and clears', async () => {
+        const { container } = render(<App />);
+        // Player 4 keeps the default name and is left off the leaderboard
+        ['Ann', 'Bob', 'Cy'].forEach((name, playerIndex) => {
+            const input = screen.getByLabelText(`Player ${playerIndex + 1} name`);
+            fireEvent.change(input, { target: { value: name } });
+            fireEvent.blur(input);
+        });
+        press('f');
+        // Undoing the last round and finishing again is still the same game
+        press('u');
+        press('f');
+        fireEvent.click(screen.getByRole('tab', { name: 'Leaderboard' }));
+
+        const table = screen.getByRole('table', { name: /Lifetime results/ });
+        const rows = within(table).getAllByRole('row').slice(1);
+        expect(rows).toHaveLength(3);
+        expect(rows.every((row) => within(row).getAllByRole('cell')[0].textContent === '1')).toBe(true);
+        const headToHead = screen.getByRole('table', { name: /between each pair of players/ });
+        expect(within(headToHead).getAllByRole('row')).toHaveLength(1 + 3);
+
+        fireEvent.click(within(table).getByRole('button', { name: 'Player' }));
+        const playerHeader = within(table).getAllByRole('columnheader')[0];
+        expect(playerHeader.getAttribute('aria-sort')).toBe('ascending');
+        const names = () => within(table).getAllByRole('rowheader').map((header) => header.textContent);
+        expect(names()).toEqual(['Ann', 'Bob', 'Cy']);
+        fireEvent.click(within(table).getByRole('button', { name: 'Player' }));
+        expect(playerHeader.getAttribute('aria-sort')).toBe('descending');
+        expect(names()).toEqual(['Cy', 'Bob', 'Ann']);
+        await expectNoViolations(container);
+
+        fireEvent.click(screen.getByRole('button', { name: 'Clear data' }));
+        fireEvent.click(screen.getByRole('button', { name: 'Delete all results' }));
+        expect(screen.queryByRole('table')).toBeNull();
+        expect(screen.getByText(/No finished games yet/)).toBeTruthy();
+        expect(localStorage.getItem('highCardGame.leaderboard')).toBeNull();
+    });
+});
+
+describe('Round winners', () => {
+    // Opens a split-tie game through a share link, so the seed fixes who wins round 1
+    const openGame = (seed) => {
+        const hash = encodeURIComponent(JSON.stringify({ tiePolicy: 'split' }));
+        window.history.replaceState(null, '', `/#v=1&seed=${seed}&config=${hash}`);
+        return render(<App />);
+    };
+
+    // Seats marked as having won the last round, and the cards highlighted with them
+    const winnerSeats = (container) =>
+        [...container.querySelectorAll('.playerCard')].flatMap((card, seat) =>
+            card.querySelector('.roundWinner') ? [seat] : []
+        );
+    const highlightedSeats = (container) =>
+        [...container.querySelectorAll('.playerCard')].flatMap((card, seat) =>
+            card.querySelector('.card.ring-yellow-400') ? [seat] : []
+        );
+
+    test('the winner of a round is marked on their seat until it is undone', () => {
+        const { container } = openGame(1);
+        press('n');
+        expect(winnerSeats(container)).toEqual([0]);
+        expect(highlightedSeats(container)).toEqual([0]);
+        expect(within(container.querySelectorAll('.playerCard')[0]).getByText('Won round 1')).toBeTruthy();
+        expect(container.querySelector('.scoreChange').textContent).toBe('+1');
+
+        press('u');
+        expect(winnerSeats(container)).toEqual([]);
+        expect(highlightedSeats(container)).toEqual([]);
+    });
+
+    test('every player sharing a tied round is marked, with their share of the point', () => {
+        const { container } = openGame(8);
+        press('n');
+        expect(winnerSeats(container)).toEqual([0, 1]);
+        expect(highlightedSeats(container)).toEqual([0, 1]);
+        expect([...container.querySelectorAll('.scoreChange')].map((change) => change.textContent))
+            .toEqual(['+0.50', '+0.50']);
+    });
+});
+
+describe('Hidden hands', () => {
+    const openHandGame = (config) => {
+        const hash = encodeURIComponent(JSON.stringify({ dealMode: 'hand', playerCount: 3, ...config }));
+        window.history.replaceState(null, '', `/#v=1&seed=4&config=${hash}`);
+        return render(<App />);
+    };
+
+    // The hand area of each seat, looked up again after every change since hands re-render
+    const handOf = (container, seat) => container.querySelectorAll('.playerCard')[seat].querySelector('.playerHand');
+    const cardsIn = (container, seat) => within(handOf(container, seat)).queryAllByRole('button');
+
+    test('only the person picking sees their cards; the others are face down', () => {
+        const { container } = openHandGame({ strategies: ['human', 'highestFirst', 'highestFirst'] });
+        const handSize = cardsIn(container, 0).length;
+        expect(handSize).toBeGreaterThan(0);
+        expect(within(handOf(container, 1)).getByText(`${handSize} card(s) in hand`)).toBeTruthy();
+        // With one person at the table there is nobody to pass the device to
+        expect(screen.queryByText(/Pass the device/)).toBeNull();
+    });
+
+    test('several people pass the device and confirm before their cards show', () => {
+        const { container } = openHandGame({ strategies: ['human', 'highestFirst', 'human'] });
+        expect(screen.getByText('Pass the device to Player 1')).toBeTruthy();
+        expect(cardsIn(container, 0)).toHaveLength(0);
+        const handSize = container.querySelectorAll('.playerCard')[0].querySelectorAll('.cardBack').length;
+        expect(within(handOf(container, 2)).getByRole('img', { name: `${handSize} card(s), face down` })).toBeTruthy();
+
+        fireEvent.click(screen.getByRole('button', { name: "I'm Player 1, show my cards" }));
+        expect(cardsIn(container, 0)).toHaveLength(handSize);
+        expect(cardsIn(container, 2)).toHaveLength(0);
+
+        fireEvent.click(cardsIn(container, 0)[0]);
+        expect(cardsIn(container, 0)).toHaveLength(0);
+        expect(within(handOf(container, 0)).getByText('Card picked, waiting for the others')).toBeTruthy();
+        expect(cardsIn(container, 2)).toHaveLength(0);
+        fireEvent.click(screen.getByRole('button', { name: "I'm Player 3, show my cards" }));
+        expect(cardsIn(container, 2)).toHaveLength(handSize);
+    });
+
+    test('in turn-based games only the seat whose turn it is can show its cards', () => {
+        const { container } = openHandGame({ turnMode: 'turns', strategies: ['human', 'human', 'highestFirst'] });
+        fireEvent.click(screen.getByRole('button', { name: "I'm Player 1, show my cards" }));
+        expect(cardsIn(container, 0).length).toBeGreaterThan(0);
+        expect(within(handOf(container, 1)).getByText('Waiting for your turn')).toBeTruthy();
+        expect(cardsIn(container, 1)).toHaveLength(0);
+
+        fireEvent.click(cardsIn(container, 0)[0]);
+        expect(screen.getByText("Player 2's turn")).toBeTruthy();
+        expect(cardsIn(container, 0)).toHaveLength(0);
+        expect(cardsIn(container, 1)).toHaveLength(0);
+        fireEvent.click(screen.getByRole('button', { name: "I'm Player 2, show my cards" }));
+        expect(cardsIn(container, 1).length).toBeGreaterThan(0);
+    });
+});
+
+describe('Saved games', () => {
+    test('continuing a saved match keeps its game number and standings', () => {
+        const match = createMatch({ games: 3, seed: 6, config: { totalRounds: 2 } });
+        match.getCurrentGame().runGameLoop();
+        match.nextGame();
+        match.getCurrentGame().runRound();
+        saveMatch(match);
+
+        render(<App />);
+        expect(screen.getByText(/saved game at round 1 \(Game 2 of 3\)/)).toBeTruthy();
+        fireEvent.click(screen.getByRole('button', { name: 'Continue saved game' }));
+        expect(screen.getByText('Game 2 of 3')).toBeTruthy();
+        expect(screen.getByText(/Round: 1\/2/)).toBeTruthy();
+        expect(screen.getByText(/1 game\(s\) decided/)).toBeTruthy();
+    });
+});
@@ -0,0 +1,155 @@
+import { describe, test, expect } from 'vitest';
+import { createCliGame, formatRound, formatScoreboard, parseCliArgs } from '../runner';
+
+const playGame = (argv) => {
+    const game = createCliGame(parseCliArgs(argv));
+    game.runGameLoop();
+    return game;
+};
+
+/**
+ * Test suite for the command-line runner
+ * Tests cover:
+ * - Parsing flags into engine options
+ * - Rejecting unknown or conflicting flags, and seeds that are not whole numbers
+ * - Text, JSON and CSV scoreboards and round lines
+ * - Fractional split scores to two decimals, and CSV average cards to one
+ */
+describe('CLI runner', () => {
+    test('parses flags into engine options', () => {
+        const args = parseCliArgs([
+            '--names', 'Ann, Bob,Cy', '--rounds', '5', '--seed', '42', '--scoring', 'margin', '--format', 'json'
+        ]);
+
+        expect(args.errors).toEqual([]);
+        expect(args.names).toEqual(['Ann', 'Bob', 'Cy']);
+        expect(args.config).toMatchObject({ playerCount: 3, totalRounds: 5, scoringMode: 'margin' });
+        expect(args.seed).toBe('42');
+        expect(args.format).toBe('json');
+        expect(args.step).toBe(false);
+    });
+
+    test('leaves unset options to the engine defaults', () => {
+        const game = createCliGame(parseCliArgs([]));
+        expect(game.getConfig().playerCount).toBe(4);
+        expect(game.getPlayers()[0].name).toBe('Player 1');
+    });
+
+    test('reports unknown flags and conflicting player counts', () => {
+        expect(parseCliArgs(['--bogus']).errors).toHaveLength(1);
+        expect(parseCliArgs(['--names', 'Ann,Bob', '--players', '3']).errors).toHaveLength(1);
+        expect(parseCliArgs(['--format', 'xml']).errors).toHaveLength(1);
+    });
+
+    test('reports seeds that are not whole numbers', () => {
+        for (const seed of ['abc', '4.5', '', '12abc']) {
+            expect(parseCliArgs(['--seed', seed]).errors).toEqual(['--seed must be a whole number']);
+        }
+        expect(parseCliArgs(['--seed=-3']).errors).toEqual([]);
+    });
+
+    test('reports repeated and overlong names', () => {
+        expect(parseCliArgs(['--names', 'Ann,Bob,ann,Bartholomew-Fitzgerald']).errors).toEqual([
+            '--names: Another player is already called ann',
+            '--names: Player names can be at most 15 characters',
+        ]);
+    });
+
+    test('names are seated as given, even when they swap default names', () => {
+        const game = createCliGame(parseCliArgs(['--names', 'Player 2,Player 1']));
+        expect(game.getPlayers().map((player) => player.name)).toEqual(['Player 2', 'Player 1']);
+    });
+
+    test('names that cannot be used are an error, not a game with the defaults', () => {
+        const names = ['Ann', 'Bartholomew-Fitzgerald'];
+        expect(() => createCliGame({ config: { playerCount: 2 }, names }))
+            .toThrow('--names: Player names can be at most 15 characters');
+    });
+
+    test('invalid configs are rejected by the engine', () => {
+        expect(() => createCliGame(parseCliArgs(['--players', '9']))).toThrow('Player count');
+        expect(() => createCliGame(parseCliArgs(['--scoring', 'golf']))).toThrow('Scoring mode');
+    });
+
+    test('the same seed plays the same game', () => {
+        const argv = ['--seed', '7', '--format', 'csv'];
+        expect(formatScoreboard(playGame(argv), 'csv')).toBe(formatScoreboard(playGame(argv), 'csv'));
+    });
+
+    test('text scoreboard lists players by competition ranking', () => {
+        const game = playGame(['--names', 'Ann,Bob', '--seed', '3']);
+        const lines = formatScoreboard(game, 'text').split('\n');
+
+        expect(lines[0]).toContain('seed 3');
+        expect(lines).toHaveLength(3);
+        const ranked = [...game.getPlayers()].sort((a, b) => b.score - a.score);
+        expect(lines[1]).toContain(ranked[0].name);
+    });
+
+    test('JSON scoreboard carries the setup and player stats', () => {
+        const game = playGame(['--seed', '3', '--rounds', '4']);
+        const output = JSON.parse(formatScoreboard(game, 'json'));
+
+        expect(output.seed).toBe(3);
+        expect(output.roundsPlayed).toBe(4);
+        expect(output.scoreboard).toHaveLength(4);
+        expect(output.scoreboard[0]).toMatchObject({ place: 1 });
+        expect(Object.keys(output.scoreboard[0])).toEqual(expect.arrayContaining(['roundsWon', 'longestWinStreak']));
+    });
+
+    test('CSV scoreboard has a header and quotes awkward names', () => {
+        const game = createCliGame({ config: { playerCount: 2 }, seed: 1, names: ['Smith, Jo', 'Al "Ace"'] });
+        game.runGameLoop();
+        const lines = formatScoreboard(game, 'csv').split('\n');
+
+        expect(lines[0]).toBe('place,shared,name,score,roundsWon,ties,averageCard,highestCard,longestWinStreak');
+        expect(lines.slice(1).join('\n')).toContain('"Smith, Jo"');
+        expect(lines.slice(1).join('\n')).toContain('"Al ""Ace"""');
+    });
+
+    test('split scores show two decimals in text and CSV, and stay exact in JSON', () => {
+        const game = createCliGame({ config: { playerCount: 2, tiePolicy: 'split' }, seed: 1, names: ['Ann', 'Bob'] });
+        const state = game.getSaveState();
+        game.setGameState({
+            ...state,
+            players: state.players.map((player, index) => ({ ...player, score: [10 / 3, 2.5][index] }))
+        });
+
+        const text = formatScoreboard(game, 'text').split('\n');
+        expect(text[1]).toMatch(/Ann\s+3\.33$/);
+        expect(text[2]).toMatch(/Bob\s+2\.50$/);
+        expect(formatScoreboard(game, 'csv').split('\n')[1]).toMatch(/^1,false,Ann,3\.33,/);
+        expect(JSON.parse(formatScoreboard(game, 'json')).scoreboard[0].score).toBe(10 / 3);
+        expect(formatRound({ round: 1, cards: [6, 6, 2], winners: [0, 1], scoreDeltas: [1 / 3, 1 / 3, 0] },
+            [{ name: 'Ann' }, { name: 'Bob' }, { name: 'Cy' }]))
+            .toBe('Round 1: Ann 6, Bob 6, Cy 2 -> Ann +0.33, Bob +0.33');
+    });
+
+    test('CSV average cards are rounded to one decimal, as in the app', () => {
+        // Thirteen cards each, so the averages have long fractions
+        const game = createCliGame({ config: { playerCount: 3 }, seed: 1, names: ['Ann', 'Bob', 'Cy'] });
+        // Average cards of every row, read from the CSV's averageCard column
+        const averagesIn = (csv) => {
+            const [header, ...lines] = csv.split('\n');
+            const column = header.split(',').indexOf('averageCard');
+            return lines.map((line) => line.split(',')[column]);
+        };
+        expect(averagesIn(formatScoreboard(game, 'csv'))).toEqual(['', '', '']);
+
+        game.runGameLoop();
+        const averages = game.getPlayerStats().map((stats) => stats.averageCard);
+        expect(averages.some((average) => !Number.isInteger(average * 10))).toBe(true);
+        for (const average of averagesIn(formatScoreboard(game, 'csv'))) {
+            expect(average).toMatch(/^\d+\.\d$/);
+        }
+    });
+
+    test('round lines show cards, awards and ties', () => {
+        const players = [{ name: 'Ann' }, { name: 'Bob' }];
+        expect(formatRound({ round: 2, cards: [9, 4], winners: [0], scoreDeltas: [1, 0] }, players))
+            .toBe('Round 2: Ann 9, Bob 4 -> Ann +1');
+        expect(formatRound(
+            { round: 3, cards: [5, 5], winners: [], scoreDeltas: [0, 0], tiePolicy: 'carryOver' }, players
+        )).toBe('Round 3: Ann 5, Bob 5 -> no points (tie: carryOver)');
+    });
+});
@@ -0,0 +1,200 @@
+// Command-line runner for the shared engine: argument parsing and output formatting.
+// bin/high-card.js wires these up to the terminal.
+
+import { parseArgs } from "node:util";
+import createGameLogic from "../game/gameLogic.js";
+import { InvalidConfigError, MAX_PLAYERS, MIN_PLAYERS } from "../game/config.js";
+import { formatCard } from "../game/cards.js";
+import { validatePlayerName } from "../game/players.js";
+import { rankPlayers } from "../game/ranking.js";
+import { SCORING_MODES, formatScore } from "../game/scoringRules.js";
+import { TIE_POLICIES } from "../game/tieRules.js";
+
+export const OUTPUT_FORMATS = Object.freeze(["text", "json", "csv"]);
+
+export const USAGE = `Usage: high-card [options]
+
+Plays a High Card game with the shared engine and prints the scoreboard.
+
+Options:
+  --names <a,b,...>       player names, comma separated (also sets the player count)
+  --players <n>           number of players, ${MIN_PLAYERS}-${MAX_PLAYERS} (default 4)
+  --rounds <n>            rounds to play (default: as many as the deck allows)
+  --seed <n>              whole-number seed for the shuffle; the same seed replays the same game
+  --scoring <mode>        ${Object.values(SCORING_MODES).join(", ")}
+  --ties <policy>         ${Object.values(TIE_POLICIES).join(", ")}
+  --deck <type>           numbered or standard
+  --format <format>       ${OUTPUT_FORMATS.join(", ")} (default text)
+  --step                  play round by round, waiting for Enter between rounds
+  -h, --help              show this help`;
+
+const ARG_OPTIONS = {
+    names: { type: "string" },
+    players: { type: "string" },
+    rounds: { type: "string" },
+    seed: { type: "string" },
+    scoring: { type: "string" },
+    ties: { type: "string" },
+    deck: { type: "string" },
+    format: { type: "string", default: "text" },
+    step: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false },
+};
+
+const toNumber = (value) => (value === undefined ? undefined : Number(value));
+
+// Problems with the --names list, each name checked against the ones before it
+const nameErrors = (names) =>
+    names.flatMap((name, index) => {
+        const invalidName = validatePlayerName(name, names.slice(0, index));
+        return invalidName ? [`--names: ${invalidName}`] : [];
+    });
+
+/**
+ * Turns command-line arguments into engine options.
+ * Returns { config, seed, names, format, step, help, errors }; config values left out
+ * fall back to the engine's defaults, and the engine validates the rest.
+ */
+export const parseCliArgs = (argv) => {
+    let values;
+    try {
+        ({ values } = parseArgs({ args: argv, options: ARG_OPTIONS, strict: true }));
+    } catch (error) {
+        return { errors: [error.message] };
+    }
+
+    const errors = [];
+    const names = values.names
+        ?.split(",")
+        .map((name) => name.trim())
+        .filter((name) => name !== "");
+    const playerCount = toNumber(values.players) ?? names?.length;
+    if (names && playerCount !== names.length) {
+        errors.push(`--names lists ${names.length} players but --players is ${playerCount}`);
+    }
+    errors.push(...nameErrors(names ?? []));
+    // Anything else would quietly play a random game that the same command cannot replay
+    if (values.seed !== undefined && !/^\s*-?\d+\s*$/.test(values.seed)) {
+        errors.push("--seed must be a whole number");
+    }
+    if (!OUTPUT_FORMATS.includes(values.format)) {
+        errors.push(`--format must be one of: ${OUTPUT_FORMATS.join(", ")}`);
+    }
+
+    return {
+        config: {
+            playerCount,
+            totalRounds: toNumber(values.rounds),
+            scoringMode: values.scoring,
+            tiePolicy: values.ties,
+            deckType: values.deck,
+        },
+        seed: values.seed,
+        names: names ?? [],
+        format: values.format,
+        step: values.step,
+        help: values.help,
+        errors,
+    };
+};
+
+// Creates the game with the named players in their seats, so names such as "Player 2,Player 1"
+// are not turned away by the default names. Throws InvalidConfigError for a bad config or
+// names that cannot be used, rather than playing on with the defaults.
+export const createCliGame = ({ config, seed, names }) => {
+    const invalidNames = nameErrors(names);
+    if (invalidNames.length > 0) {
+        throw new InvalidConfigError(invalidNames);
+    }
+    return createGameLogic(null, { config, seed, players: names.map((name) => ({ name })) });
+};
+
+// One line per round, e.g. "Round 3: Ann 7, Bob 12, Cy 4 -> Bob +1"
+export const formatRound = (entry, players) => {
+    const cards = entry.cards
+        .flatMap((card, playerIndex) => (card === null ? [] : [`${players[playerIndex].name} ${formatCard(card)}`]))
+        .join(", ");
+    const awards = entry.winners
+        .map((playerIndex) => `${players[playerIndex].name} +${formatScore(entry.scoreDeltas[playerIndex])}`)
+        .join(", ");
+    const notes = [];
+    if (entry.tiePolicy) notes.push(`tie: ${entry.tiePolicy}`);
+    if (entry.suitTiebreak) notes.push("won on suit");
+    if (entry.eliminated?.length > 0) {
+        notes.push(`out: ${entry.eliminated.map((playerIndex) => players[playerIndex].name).join(", ")}`);
+    }
+    const suffix = notes.length > 0 ? ` (${notes.join("; ")})` : "";
+    return `Round ${entry.round}: ${cards} -> ${awards || "no points"}${suffix}`;
+};
+
+// Quotes a CSV field when it holds a comma, quote or line break
+const csvField = (value) => {
+    const text = String(value ?? "");
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV cells rounded the way the app shows them; averageCard is null before any card is dealt
+const CSV_FORMATS = {
+    score: formatScore,
+    averageCard: (average) => (average === null ? null : average.toFixed(1)),
+};
+
+/**
+ * Final scoreboard of a game in one of OUTPUT_FORMATS. Players are placed with
+ * competition ranking, so tied scores share a place. Text and CSV show fractional
+ * scores to two decimals and CSV average cards to one; JSON keeps the exact numbers.
+ */
+export const formatScoreboard = (game, format = "text") => {
+    const stats = game.getPlayerStats();
+    const rows = rankPlayers(game.getPlayers()).map((player) => {
+        const { highestCard, ...playerStats } = stats[player.playerIndex];
+        return {
+            place: player.place,
+            shared: player.shared,
+            label: player.label,
+            name: player.name,
+            score: player.score,
+            ...playerStats,
+            highestCard: highestCard === null ? null : formatCard(highestCard),
+        };
+    });
+
+    if (format === "json") {
+        return JSON.stringify(
+            {
+                seed: game.getSeed(),
+                config: game.getConfig(),
+                roundsPlayed: game.getCurrentRound(),
+                scoreboard: rows,
+            },
+            null,
+            2
+        );
+    }
+
+    if (format === "csv") {
+        const columns = [
+            "place",
+            "shared",
+            "name",
+            "score",
+            "roundsWon",
+            "ties",
+            "averageCard",
+            "highestCard",
+            "longestWinStreak",
+        ];
+        const lines = rows.map((row) =>
+            columns.map((column) => csvField(CSV_FORMATS[column]?.(row[column]) ?? row[column])).join(",")
+        );
+        return [columns.join(","), ...lines].join("\n");
+    }
+
+    const config = game.getConfig();
+    const nameWidth = Math.max(...rows.map((row) => row.name.length));
+    const lines = rows.map((row) => `${row.label.padStart(5)}  ${row.name.padEnd(nameWidth)}  ${formatScore(row.score)}`);
+    return [
+        `High Card - ${config.scoringMode} scoring, ${game.getCurrentRound()} rounds, seed ${game.getSeed()}`,
+        ...lines,
+    ].join("\n");
+};
@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { MAX_SPEED, MIN_SPEED } from "../game/autoPlay";
+
+const inputClassName =
+  "font-mono text-center bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600";
+
+// Saved on blur or Enter; keyed on the saved stop round so it clears once auto-play reaches it
+const StopRoundInput = ({ stopRound, totalRounds, onChange }) => {
+  const [draft, setDraft] = useState(
+    stopRound === null ? "" : String(stopRound),
+  );
+  const [error, setError] = useState(null);
+
+  const handleCommit = () => {
+    const result = onChange(draft === "" ? null : Number(draft));
+    setError(result.ok ? null : result.error.message);
+  };
+
+  return (
+    <label className="flex flex-col items-center gap-1">
+      Stop after round
+      <input
+        className={`${inputClassName} w-20`}
+        type="number"
+        min={1}
+        max={totalRounds}
+        value={draft}
+        placeholder="end"
+        aria-invalid={error !== null}
+        aria-describedby={error ? "auto-play-stop-error" : undefined}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={handleCommit}
+        onKeyDown={(e) => e.key === "Enter" && handleCommit()}
+      />
+      {error && (
+        <span id="auto-play-stop-error" className="text-red-600">
+          {error}
+        </span>
+      )}
+    </label>
+  );
+};
+
+// Play and pause, one round at a time while paused, speed and a round to stop after
+const AutoPlayControls = ({ autoPlay, canPlay, totalRounds }) => (
+  <div className="autoPlay flex flex-wrap items-end justify-center gap-6 -mt-4 mb-8 text-sm text-gray-600">
+    <button
+      type="button"
+      onClick={autoPlay.playing ? autoPlay.pause : autoPlay.play}
+      disabled={!autoPlay.playing && !canPlay}
+      aria-keyshortcuts="P"
+      className="px-5 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      {autoPlay.playing ? "Pause" : "Auto-play"}
+    </button>
+    <button
+      type="button"
+      onClick={autoPlay.step}
+      disabled={autoPlay.playing || !canPlay}
+      className="px-5 py-2 bg-indigo-100 hover:bg-indigo-200 text-indigo-800 font-semibold rounded-lg transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+    >
+      Step
+    </button>
+    <label className="flex flex-col items-center gap-1">
+      Speed: {autoPlay.speed} rounds/s
+      <input
+        type="range"
+        min={MIN_SPEED}
+        max={MAX_SPEED}
+        step={0.5}
+        value={autoPlay.speed}
+        aria-valuetext={`${autoPlay.speed} rounds per second`}
+        onChange={(e) => autoPlay.setSpeed(Number(e.target.value))}
+        className="w-40 accent-indigo-600"
+      />
+    </label>
+    <StopRoundInput
+      key={String(autoPlay.stopRound)}
+      stopRound={autoPlay.stopRound}
+      totalRounds={totalRounds}
+      onChange={autoPlay.setStopRound}
+    />
+  </div>
+);
+
+export default AutoPlayControls;
@@ -0,0 +1,52 @@
+import {
+  RED_SUITS,
+  SUIT_SYMBOLS,
+  describeCard,
+  rankLabel,
+} from "../game/cards";
+
+// Numbered cards render as a plain value; standard cards get a face with rank and suit.
+// `highlighted` marks a round-winning card; `className` adds e.g. an animation class.
+const CardFace = ({ card, highlighted = false, className = "", style }) => {
+  const highlight = highlighted ? "ring-4 ring-yellow-400" : "";
+
+  if (typeof card === "number") {
+    return (
+      <div
+        className={`card inline-block text-3xl font-extrabold px-5 py-3 border-4 border-indigo-500 bg-white rounded-lg shadow-inner select-none ${highlight} ${className}`}
+        style={style}
+      >
+        {card}
+      </div>
+    );
+  }
+
+  const rank = rankLabel(card);
+  const symbol = SUIT_SYMBOLS[card.suit];
+  const color = RED_SUITS.includes(card.suit)
+    ? "text-red-600"
+    : "text-gray-900";
+
+  return (
+    <div
+      className={`card cardFace relative inline-flex w-20 h-28 items-center justify-center border-2 border-gray-300 bg-white rounded-lg shadow-md select-none ${color} ${highlight} ${className}`}
+      style={style}
+      aria-label={describeCard(card)}
+      role="img"
+    >
+      <span className="absolute top-1 left-2 text-sm font-bold leading-none text-center">
+        {rank}
+        <br />
+        {symbol}
+      </span>
+      <span className="text-4xl">{symbol}</span>
+      <span className="absolute bottom-1 right-2 text-sm font-bold leading-none text-center rotate-180">
+        {rank}
+        <br />
+        {symbol}
+      </span>
+    </div>
+  );
+};
+
+export default CardFace;
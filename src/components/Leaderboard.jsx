@@ -0,0 +1,206 @@
+import { useState } from "react";
+import {
+  LEADERBOARD_SORTS,
+  getHeadToHeadRows,
+  getLeaderboardRows,
+} from "../game/leaderboard";
+import { formatScore } from "../game/scoringRules";
+
+const COLUMNS = [
+  [LEADERBOARD_SORTS.NAME, "Player", "text-left"],
+  [LEADERBOARD_SORTS.GAMES_PLAYED, "Played", "text-right"],
+  [LEADERBOARD_SORTS.GAMES_WON, "Won", "text-right"],
+  [LEADERBOARD_SORTS.WIN_RATE, "Win %", "text-right"],
+  [LEADERBOARD_SORTS.TOTAL_POINTS, "Points", "text-right"],
+];
+
+// A column sorts highest first when picked (names A to Z); picking it again flips it
+const SortHeader = ({ column, label, align, sort, onSort }) => {
+  const active = sort.by === column;
+  return (
+    <th
+      scope="col"
+      className={`${align} font-semibold`}
+      aria-sort={active ? sort.direction : undefined}
+    >
+      <button
+        type="button"
+        onClick={() => onSort(column)}
+        className={`hover:text-blue-700 ${active ? "text-blue-800" : ""}`}
+      >
+        {label}
+        {active && (
+          <span aria-hidden="true">
+            {sort.direction === "ascending" ? " ▲" : " ▼"}
+          </span>
+        )}
+      </button>
+    </th>
+  );
+};
+
+// Lifetime results of every local game finished on this device, with a way to wipe them
+const Leaderboard = ({ leaderboard, onClear }) => {
+  const [sort, setSort] = useState({
+    by: LEADERBOARD_SORTS.WIN_RATE,
+    direction: "descending",
+  });
+  const [confirmingClear, setConfirmingClear] = useState(false);
+  const rows = getLeaderboardRows(leaderboard, sort.by, sort.direction);
+  const headToHead = getHeadToHeadRows(leaderboard);
+
+  const handleSort = (column) =>
+    setSort((previous) =>
+      previous.by === column
+        ? {
+            by: column,
+            direction:
+              previous.direction === "ascending" ? "descending" : "ascending",
+          }
+        : {
+            by: column,
+            direction:
+              column === LEADERBOARD_SORTS.NAME ? "ascending" : "descending",
+          },
+    );
+
+  const handleClear = () => {
+    setConfirmingClear(false);
+    onClear();
+  };
+
+  return (
+    <section className="leaderboard w-full text-left">
+      <h2 className="text-2xl font-bold text-gray-800 mb-1">Leaderboard</h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Every local game finished on this device, by player name. Seats still
+        called Player 1, Player 2 and so on are left out.
+      </p>
+
+      {rows.length === 0 ? (
+        <p className="leaderboardEmpty text-gray-600 mb-6">
+          No finished games yet. Name the players and play a local game to the
+          end to see it here.
+        </p>
+      ) : (
+        <>
+          <table className="w-full text-sm mb-8">
+            <caption className="sr-only">
+              Lifetime results, sorted by{" "}
+              {COLUMNS.find(([column]) => column === sort.by)[1]}
+            </caption>
+            <thead>
+              <tr className="text-gray-500">
+                {COLUMNS.map(([column, label, align]) => (
+                  <SortHeader
+                    key={column}
+                    column={column}
+                    label={label}
+                    align={align}
+                    sort={sort}
+                    onSort={handleSort}
+                  />
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr key={row.key} className="text-gray-700">
+                  <th scope="row" className="text-left font-normal">
+                    {row.name}
+                  </th>
+                  <td className="text-right font-mono">{row.gamesPlayed}</td>
+                  <td className="text-right font-mono">{row.gamesWon}</td>
+                  <td className="text-right font-mono">
+                    {Math.round(row.winRate * 100)}%
+                  </td>
+                  <td className="text-right font-mono">
+                    {formatScore(row.totalPoints)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h3 className="text-lg font-bold text-gray-800 mb-2">Head to head</h3>
+          {headToHead.length === 0 ? (
+            <p className="text-gray-600 mb-6">No two players have met yet.</p>
+          ) : (
+            <table className="headToHead w-full text-sm mb-8">
+              <caption className="sr-only">
+                Wins, losses and draws between each pair of players
+              </caption>
+              <thead>
+                <tr className="text-gray-500">
+                  <th scope="col" className="text-left font-semibold">
+                    Player
+                  </th>
+                  <th scope="col" className="text-left font-semibold">
+                    Opponent
+                  </th>
+                  <th scope="col" className="text-right font-semibold">
+                    Wins
+                  </th>
+                  <th scope="col" className="text-right font-semibold">
+                    Losses
+                  </th>
+                  <th scope="col" className="text-right font-semibold">
+                    Draws
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {headToHead.map((record) => (
+                  <tr key={record.key} className="text-gray-700">
+                    <td>{record.name}</td>
+                    <td>{record.opponent}</td>
+                    <td className="text-right font-mono">{record.wins}</td>
+                    <td className="text-right font-mono">{record.losses}</td>
+                    <td className="text-right font-mono">{record.draws}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+
+      {confirmingClear ? (
+        <div
+          role="alertdialog"
+          aria-label="Clear leaderboard"
+          className="flex flex-wrap items-center gap-3"
+        >
+          <p className="text-sm text-red-700">
+            This deletes every recorded game and cannot be undone.
+          </p>
+          <button
+            type="button"
+            onClick={handleClear}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+          >
+            Delete all results
+          </button>
+          <button
+            type="button"
+            onClick={() => setConfirmingClear(false)}
+            className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold rounded-lg shadow-md transition duration-300"
+          >
+            Keep them
+          </button>
+        </div>
+      ) : (
+        <button
+          type="button"
+          onClick={() => setConfirmingClear(true)}
+          disabled={rows.length === 0}
+          className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Clear data
+        </button>
+      )}
+    </section>
+  );
+};
+
+export default Leaderboard;
@@ -0,0 +1,108 @@
+import { useState } from "react";
+import { MAX_PLAYERS, MIN_PLAYERS } from "../game/config";
+import { MAX_NAME_LENGTH } from "../game/players";
+import { TURN_MODES, TURN_MODE_LABELS } from "../game/turns";
+
+const inputClassName =
+  "font-mono text-center bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600";
+
+// Name entry, then either a new room with a few setup options or a room code to join
+const Lobby = ({ disabled, onCreate, onJoin }) => {
+  const [name, setName] = useState("");
+  const [playerCount, setPlayerCount] = useState("4");
+  const [turnMode, setTurnMode] = useState(TURN_MODES.SIMULTANEOUS);
+  const [roomCode, setRoomCode] = useState("");
+
+  const handleCreate = (event) => {
+    event.preventDefault();
+    onCreate(name, { playerCount: Number(playerCount), turnMode });
+  };
+
+  const handleJoin = (event) => {
+    event.preventDefault();
+    onJoin(roomCode, name);
+  };
+
+  return (
+    <div className="lobby flex flex-col gap-6 items-center text-sm text-gray-600">
+      <label className="flex flex-col items-center gap-1">
+        Your name
+        <input
+          className={`${inputClassName} w-48 text-lg`}
+          type="text"
+          value={name}
+          maxLength={MAX_NAME_LENGTH}
+          placeholder="Enter Name"
+          onChange={(e) => setName(e.target.value)}
+        />
+      </label>
+      <div className="flex flex-col md:flex-row gap-6 w-full">
+        <form
+          onSubmit={handleCreate}
+          className="flex-1 p-4 bg-indigo-50 rounded-xl flex flex-col items-center gap-3"
+        >
+          <h2 className="text-lg font-bold text-indigo-800">New room</h2>
+          <div className="flex gap-4">
+            <label className="flex flex-col items-center gap-1">
+              Players
+              <input
+                className={`${inputClassName} w-20`}
+                type="number"
+                min={MIN_PLAYERS}
+                max={MAX_PLAYERS}
+                value={playerCount}
+                onChange={(e) => setPlayerCount(e.target.value)}
+              />
+            </label>
+            <label className="flex flex-col items-center gap-1">
+              Turns
+              <select
+                className="bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600"
+                value={turnMode}
+                onChange={(e) => setTurnMode(e.target.value)}
+              >
+                {Object.entries(TURN_MODE_LABELS).map(([mode, label]) => (
+                  <option key={mode} value={mode}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </label>
+          </div>
+          <button
+            type="submit"
+            disabled={disabled}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Create room
+          </button>
+        </form>
+        <form
+          onSubmit={handleJoin}
+          className="flex-1 p-4 bg-indigo-50 rounded-xl flex flex-col items-center gap-3"
+        >
+          <h2 className="text-lg font-bold text-indigo-800">Join a room</h2>
+          <label className="flex flex-col items-center gap-1">
+            Room code
+            <input
+              className={`${inputClassName} w-32 uppercase`}
+              type="text"
+              value={roomCode}
+              placeholder="ABCDE"
+              onChange={(e) => setRoomCode(e.target.value)}
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={disabled || roomCode.trim() === ""}
+            className="px-4 py-2 bg-green-600 hover:bg-green-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Join room
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default Lobby;
@@ -0,0 +1,56 @@
+import { describeMatch } from "../game/match";
+import { formatScore } from "../game/scoringRules";
+
+// Running match table, most games won first; total points break ties
+const MatchStandings = ({ match }) => {
+  const { standings, results, isOver, winners } = match;
+  const sorted = [...standings].sort(
+    (a, b) => b.gamesWon - a.gamesWon || b.totalPoints - a.totalPoints,
+  );
+
+  return (
+    <div className="matchStandings w-full bg-blue-50 rounded-xl border border-blue-200 p-4 text-left">
+      <h3 className="text-lg font-bold text-blue-800 mb-1">Match Standings</h3>
+      <p className="text-sm text-gray-500 mb-2">
+        {describeMatch(match)} · {results.length} game(s) decided
+      </p>
+      {isOver && (
+        <p className="matchWinner mb-2 font-semibold text-yellow-700">
+          Match winner:{" "}
+          {winners.map((playerIndex) => standings[playerIndex].name).join(", ")}
+        </p>
+      )}
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-gray-500">
+            <th className="text-left font-semibold">Player</th>
+            <th className="text-right font-semibold">Won</th>
+            <th className="text-right font-semibold">Shared</th>
+            <th className="text-right font-semibold">Points</th>
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.map((standing) => (
+            <tr
+              key={standing.playerIndex}
+              className={
+                isOver && winners.includes(standing.playerIndex)
+                  ? "font-bold text-yellow-700"
+                  : "text-gray-700"
+              }
+            >
+              <td>{standing.name}</td>
+              <td className="text-right font-mono">{standing.gamesWon}</td>
+              <td className="text-right font-mono">{standing.gamesShared}</td>
+              <td className="text-right font-mono">
+                {formatScore(standing.totalPoints)}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default MatchStandings;
@@ -0,0 +1,270 @@
+import { PHASES } from "../game/phases";
+import { DEAL_MODES, STRATEGIES } from "../game/hands";
+import { rankPlayers } from "../game/ranking";
+import { formatScore } from "../game/scoringRules";
+import { TURN_MODES } from "../game/turns";
+import { ROOM_ACTIONS } from "../net/protocol";
+import CardFace from "./CardFace";
+import PlayerHand from "./PlayerHand";
+
+const buttonClassName =
+  "flex-1 w-full md:w-auto px-6 py-3 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed";
+
+// Who is in the room; the server keeps a dropped player's seat until they come back
+const SeatList = ({ seats, ownSeat }) => (
+  <ul className="seatList flex flex-wrap justify-center gap-3 list-none p-0 text-sm">
+    {seats.map(({ seat, name, taken, connected }) => (
+      <li
+        key={seat}
+        className="flex items-center gap-2 px-3 py-1 bg-gray-50 rounded-full border border-gray-200"
+      >
+        <span
+          className={`inline-block w-2 h-2 rounded-full ${
+            connected ? "bg-green-500" : taken ? "bg-yellow-400" : "bg-gray-300"
+          }`}
+          aria-hidden="true"
+        />
+        {taken ? name : `Seat ${seat + 1} (open)`}
+        {seat === ownSeat && " (you)"}
+        {taken && !connected && " – reconnecting"}
+      </li>
+    ))}
+  </ul>
+);
+
+// A game hosted by the server: everyone sees the same table, the host runs the rounds
+// and each seat plays only its own cards
+const NetworkGame = ({ room, onAction, onLeave }) => {
+  const { game, seat, isHost } = room;
+  const {
+    phase,
+    players,
+    currentRound,
+    totalRounds,
+    furthestRound,
+    remainingCards,
+    config,
+    seed,
+    lastRound,
+    hand,
+    handSizes,
+    pendingPlays,
+    awaitingPlayers,
+    strategies,
+    currentTurn,
+    turnsTaken,
+  } = game;
+  const handMode = config.dealMode === DEAL_MODES.HAND;
+  const turnMode = config.turnMode === TURN_MODES.TURNS;
+  const finished = phase === PHASES.FINISHED;
+  const roundWinners = turnsTaken === 0 && lastRound ? lastRound.winners : [];
+
+  const handlePlay = (handIndex) => {
+    onAction(
+      turnMode ? ROOM_ACTIONS.TAKE_TURN : ROOM_ACTIONS.PLAY_CARD,
+      handIndex,
+    );
+  };
+
+  return (
+    <div className="networkGame flex flex-col gap-6">
+      <div className="text-center">
+        <p className="text-xl font-semibold">
+          Room{" "}
+          <strong className="font-mono tracking-widest text-blue-700">
+            {room.roomId}
+          </strong>
+        </p>
+        <p className="text-sm text-gray-500 mb-3">
+          Share this code so others can join.
+        </p>
+        <SeatList seats={room.seats} ownSeat={seat} />
+      </div>
+
+      <div className="text-center">
+        <p className="status-text text-xl font-semibold">
+          Status:{" "}
+          <strong
+            className={`font-extrabold ${
+              finished ? "text-red-600" : "text-green-600"
+            }`}
+          >
+            {phase.toUpperCase()}
+          </strong>
+        </p>
+        <p className="text-sm text-gray-500">
+          Round: {currentRound}/{totalRounds} · Cards left: {remainingCards}
+        </p>
+        {finished && seed !== null && (
+          <p className="text-sm text-gray-500">
+            Seed: <span className="font-mono">{seed}</span>
+          </p>
+        )}
+        {lastRound && (
+          <p className="text-sm text-gray-600">
+            Round {lastRound.round} went to{" "}
+            {lastRound.winners.map((index) => players[index].name).join(", ")}
+          </p>
+        )}
+        {currentTurn !== null && (
+          <p className="turnIndicator mt-2 text-xl font-bold text-indigo-700">
+            {currentTurn === seat
+              ? "Your turn"
+              : `${players[currentTurn].name}'s turn`}
+          </p>
+        )}
+        {!turnMode && awaitingPlayers.length > 0 && (
+          <p className="awaitingPlays mt-2 text-sm font-semibold text-indigo-700">
+            Waiting for{" "}
+            {awaitingPlayers.map((index) => players[index].name).join(", ")} to
+            pick a card
+          </p>
+        )}
+      </div>
+
+      {isHost ? (
+        <div className="controls flex flex-col md:flex-row justify-center gap-3">
+          <button
+            onClick={() => onAction(ROOM_ACTIONS.RUN_GAME)}
+            disabled={finished || awaitingPlayers.length > 0}
+            className={`${buttonClassName} bg-blue-600 hover:bg-blue-700`}
+          >
+            Run Full Game
+          </button>
+          <button
+            onClick={() => onAction(ROOM_ACTIONS.RUN_ROUND)}
+            disabled={finished || awaitingPlayers.length > 0}
+            className={`${buttonClassName} bg-green-600 hover:bg-green-700`}
+          >
+            Run Next Round
+          </button>
+          {turnMode && (
+            <button
+              onClick={() => onAction(ROOM_ACTIONS.UNDO_TURN)}
+              disabled={turnsTaken === 0}
+              className={`${buttonClassName} bg-orange-500 hover:bg-orange-600`}
+            >
+              Undo Turn
+            </button>
+          )}
+          <button
+            onClick={() => onAction(ROOM_ACTIONS.UNDO_ROUND)}
+            disabled={currentRound === 0 && turnsTaken === 0}
+            className={`${buttonClassName} bg-yellow-500 hover:bg-yellow-600 text-gray-800`}
+          >
+            Revert Prev Round
+          </button>
+          <button
+            onClick={() => onAction(ROOM_ACTIONS.REDO_ROUND)}
+            disabled={currentRound >= furthestRound}
+            className={`${buttonClassName} bg-purple-600 hover:bg-purple-700`}
+          >
+            Redo Round
+          </button>
+          <button
+            onClick={() => onAction(ROOM_ACTIONS.RESET_GAME)}
+            className={`${buttonClassName} bg-red-600 hover:bg-red-700`}
+          >
+            Reset Game
+          </button>
+        </div>
+      ) : (
+        <p className="text-center text-sm text-gray-500">
+          The host runs the rounds.
+        </p>
+      )}
+
+      {finished ? (
+        <ol className="finalScores w-full max-w-sm mx-auto space-y-2 list-none p-0">
+          {rankPlayers(players).map((player) => (
+            <li
+              key={player.playerIndex}
+              className={`flex justify-between p-3 rounded-lg ${
+                player.place === 1
+                  ? "bg-yellow-100 font-bold border-2 border-yellow-400"
+                  : "bg-gray-50"
+              }`}
+            >
+              <span className="font-mono text-gray-500">{player.label}</span>
+              <strong>{player.name}</strong>
+              <span>{formatScore(player.score)}</span>
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <div className="playersList grid grid-cols-1 md:grid-cols-2 gap-6 justify-items-center">
+          {players.map((player, playerIndex) => (
+            <div
+              key={playerIndex}
+              className={`playerCard w-full max-w-xs bg-gray-50 p-5 rounded-xl shadow-lg border text-center ${
+                playerIndex === currentTurn
+                  ? "border-indigo-500 ring-4 ring-indigo-200"
+                  : "border-gray-200"
+              }`}
+            >
+              <p className="text-xl font-bold text-gray-700 mb-2">
+                {player.name}
+                {playerIndex === seat && " (you)"}
+              </p>
+              <p className="text-sm text-gray-500 mb-3">
+                Score:{" "}
+                <span className="font-extrabold text-lg text-green-700">
+                  {formatScore(player.score)}
+                </span>
+              </p>
+              {player.cardHeld !== null && (
+                <CardFace
+                  key={currentRound}
+                  card={player.cardHeld}
+                  highlighted={roundWinners.includes(playerIndex)}
+                  className="cardFlip"
+                />
+              )}
+              {player.eliminated && (
+                <div className="card inline-block text-lg font-semibold px-5 py-3 border-4 border-red-300 bg-red-50 text-red-600 rounded-lg shadow-inner select-none">
+                  Knocked out
+                </div>
+              )}
+              {handMode && !player.eliminated && (
+                <PlayerHand
+                  hand={playerIndex === seat ? hand : null}
+                  handSize={handSizes[playerIndex]}
+                  isHuman={strategies[playerIndex] === STRATEGIES.HUMAN}
+                  hasPicked={pendingPlays[playerIndex]}
+                  isTurn={turnMode ? playerIndex === currentTurn : undefined}
+                  disabled={
+                    turnMode
+                      ? playerIndex !== currentTurn
+                      : pendingPlays[playerIndex]
+                  }
+                  onPlay={handlePlay}
+                />
+              )}
+              {playerIndex === seat &&
+                playerIndex === currentTurn &&
+                !handMode && (
+                  <button
+                    onClick={() => onAction(ROOM_ACTIONS.TAKE_TURN)}
+                    className="takeTurn mt-3 w-full px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+                  >
+                    Flip card
+                  </button>
+                )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-center">
+        <button
+          onClick={onLeave}
+          className="px-4 py-2 bg-gray-200 hover:bg-gray-300 text-gray-800 font-semibold rounded-lg shadow-sm transition duration-300"
+        >
+          Leave room
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NetworkGame;
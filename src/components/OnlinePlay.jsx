@@ -0,0 +1,67 @@
+import { useState } from "react";
+import createGameClient, { CONNECTION_STATUS } from "../net/client";
+import { DEFAULT_SERVER_PORT } from "../net/protocol";
+import useOnlineGame from "../hooks/useOnlineGame";
+import Lobby from "./Lobby";
+import NetworkGame from "./NetworkGame";
+
+// VITE_GAME_SERVER_URL points at a deployed server; by default the one started
+// with `npm run server` on the same machine
+const serverUrl = () =>
+  import.meta.env.VITE_GAME_SERVER_URL ??
+  `ws://${window.location.hostname}:${DEFAULT_SERVER_PORT}`;
+
+const STATUS_TEXT = {
+  [CONNECTION_STATUS.CONNECTING]: "Connecting to the game server…",
+  [CONNECTION_STATUS.RECONNECTING]:
+    "Connection lost, trying to get your seat back…",
+  [CONNECTION_STATUS.CLOSED]: "Not connected",
+};
+
+// Lobby until the server seats this tab, then the shared game
+const OnlinePlay = () => {
+  const [client] = useState(() =>
+    createGameClient({ url: serverUrl(), storage: window.sessionStorage }),
+  );
+  const { status, room, error } = useOnlineGame(client);
+  const isOpen = status === CONNECTION_STATUS.OPEN;
+
+  return (
+    <div className="onlinePlay flex flex-col gap-6">
+      {!isOpen && (
+        <p className="connectionStatus text-center text-sm font-semibold text-orange-600">
+          {STATUS_TEXT[status]}
+        </p>
+      )}
+      {error && (
+        <div
+          role="alert"
+          className="flex justify-between items-center gap-3 p-3 bg-red-50 border border-red-200 rounded-xl text-sm text-red-700"
+        >
+          {error.message}
+          <button
+            onClick={client.dismissError}
+            className="font-semibold hover:underline"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+      {room ? (
+        <NetworkGame
+          room={room}
+          onAction={client.act}
+          onLeave={client.leaveRoom}
+        />
+      ) : (
+        <Lobby
+          disabled={!isOpen}
+          onCreate={client.createRoom}
+          onJoin={client.joinRoom}
+        />
+      )}
+    </div>
+  );
+};
+
+export default OnlinePlay;
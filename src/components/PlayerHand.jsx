@@ -0,0 +1,76 @@
+import CardFace from "./CardFace";
+
+// A hand-mode player's cards: people pick theirs by clicking, bots only show how many they hold.
+// hand is null while the cards are hidden, i.e. whenever someone else is looking at the
+// screen; they then show face down. isTurn is only set in turn-based games.
+const PlayerHand = ({
+  hand,
+  handSize,
+  isHuman,
+  hasPicked,
+  isTurn,
+  disabled,
+  onPlay,
+}) => {
+  if (!isHuman) {
+    return (
+      <p className="playerHand mt-3 text-sm text-gray-500">
+        {handSize} card(s) in hand
+      </p>
+    );
+  }
+
+  const status =
+    isTurn === false
+      ? "Waiting for your turn"
+      : hasPicked
+        ? "Card picked, waiting for the others"
+        : "Pick a card to play";
+
+  if (hand === null) {
+    return (
+      <div className="playerHand hiddenHand mt-3">
+        <p className="text-sm text-gray-500 mb-2">
+          {hasPicked || isTurn === false ? status : "Waiting to pick a card"}
+        </p>
+        <div
+          className="flex flex-wrap justify-center gap-1"
+          role="img"
+          aria-label={`${handSize} card(s), face down`}
+        >
+          {Array.from({ length: handSize }, (_, handIndex) => (
+            <span
+              key={handIndex}
+              className="cardBack inline-block w-6 h-9 rounded border-2 border-indigo-300 bg-indigo-600"
+            />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="playerHand mt-3">
+      <p className="text-sm text-gray-500 mb-2">{status}</p>
+      <div className="flex flex-wrap justify-center gap-2">
+        {hand.map((card, handIndex) => (
+          <button
+            key={handIndex}
+            type="button"
+            className="rounded-lg transition duration-150 hover:-translate-y-1 focus:outline-none focus:ring-2 focus:ring-indigo-500 disabled:opacity-50 disabled:hover:translate-y-0"
+            disabled={disabled}
+            onClick={() => onPlay(handIndex)}
+          >
+            <CardFace
+              card={card}
+              className="cardDeal"
+              style={{ animationDelay: `${handIndex * 60}ms` }}
+            />
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PlayerHand;
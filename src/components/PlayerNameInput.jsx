@@ -0,0 +1,49 @@
+import { useState } from "react";
+import { MAX_NAME_LENGTH } from "../game/players";
+
+// A player's name, saved on blur. onRename returns the engine's result; a rejected name
+// stays in the field with the reason underneath so it can be corrected. Callers key the
+// input on the saved name, so a rename from elsewhere (e.g. a reset) clears the field.
+const PlayerNameInput = ({ player, playerIndex, readOnly, onRename }) => {
+  const [error, setError] = useState(null);
+  const errorId = `player-name-error-${player.id}`;
+
+  const handleBlur = (event) => {
+    if (readOnly) return;
+    const result = onRename(event.target.value);
+    if (result.ok) {
+      setError(null);
+      event.target.value = result.name;
+    } else {
+      setError(result.error.message);
+    }
+  };
+
+  return (
+    <>
+      <input
+        className={`text-xl font-bold text-gray-700 mb-2 w-full text-center bg-transparent border-b-2 focus:outline-none transition duration-150 ${
+          error
+            ? "border-red-500 focus:border-red-600"
+            : "border-indigo-400 focus:border-indigo-600"
+        }`}
+        type="text"
+        defaultValue={player.name}
+        readOnly={readOnly}
+        onBlur={handleBlur}
+        aria-label={`Player ${playerIndex + 1} name`}
+        aria-invalid={error !== null}
+        aria-describedby={error ? errorId : undefined}
+        maxLength={MAX_NAME_LENGTH}
+        placeholder="Enter Name"
+      />
+      {error && (
+        <p id={errorId} className="nameError -mt-1 mb-2 text-sm text-red-600">
+          {error}
+        </p>
+      )}
+    </>
+  );
+};
+
+export default PlayerNameInput;
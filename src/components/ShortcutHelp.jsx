@@ -0,0 +1,56 @@
+import { useEffect, useRef } from "react";
+
+// Modal list of the keyboard shortcuts. Focus moves to the close button while it is open
+// and goes back to where it was afterwards.
+const ShortcutHelp = ({ shortcuts, onClose }) => {
+  const closeRef = useRef(null);
+
+  useEffect(() => {
+    const previousFocus = document.activeElement;
+    closeRef.current?.focus();
+    return () => previousFocus?.focus?.();
+  }, []);
+
+  return (
+    <div
+      className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black/40"
+      onClick={onClose}
+    >
+      <div
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcut-help-title"
+        className="shortcutHelp w-full max-w-sm p-6 bg-white rounded-2xl shadow-2xl"
+        onClick={(event) => event.stopPropagation()}
+      >
+        <h2
+          id="shortcut-help-title"
+          className="text-xl font-bold text-blue-800 mb-4"
+        >
+          Keyboard shortcuts
+        </h2>
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 mb-6 text-sm text-gray-700">
+          {shortcuts.map(({ key, label }) => (
+            <div key={key} className="contents">
+              <dt>
+                <kbd className="inline-block min-w-8 px-2 py-1 text-center font-mono font-bold bg-gray-100 border border-gray-300 rounded">
+                  {key.toUpperCase()}
+                </kbd>
+              </dt>
+              <dd className="self-center">{label}</dd>
+            </div>
+          ))}
+        </dl>
+        <button
+          ref={closeRef}
+          onClick={onClose}
+          className="w-full px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ShortcutHelp;
@@ -0,0 +1,175 @@
+import { useState } from "react";
+import { validateSeed } from "../game/random";
+import { formatScore } from "../game/scoringRules";
+import { MAX_SIMULATION_GAMES } from "../game/simulation";
+import useSimulation, { SIMULATION_STATUS } from "../hooks/useSimulation";
+
+const percent = (value) => `${(value * 100).toFixed(1)}%`;
+
+// Horizontal bars for how often each final score came up
+const ScoreDistribution = ({ distribution }) => {
+  const mostCommon = Math.max(...distribution.map(({ count }) => count));
+  return (
+    <ul className="scoreDistribution list-none p-0 space-y-1">
+      {distribution.map(({ score, count }) => (
+        <li key={score} className="flex items-center gap-2">
+          <span className="w-12 text-right font-mono">
+            {formatScore(score)}
+          </span>
+          <span
+            className="h-3 bg-indigo-400 rounded"
+            style={{ width: `${(count / mostCommon) * 100}%` }}
+          />
+          <span className="font-mono text-gray-500">{count}</span>
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Plays many games with the current setup in a Web Worker to check whether the rules are fair
+const SimulationPanel = ({ config, players }) => {
+  const [games, setGames] = useState("1000");
+  const [seed, setSeed] = useState("");
+  const { status, progress, results, errors, start, cancel } = useSimulation();
+  const isRunning = status === SIMULATION_STATUS.RUNNING;
+  // A seed that is not a whole number is explained rather than swapped for a random one
+  const seedError = validateSeed(seed);
+
+  const handleRun = () => {
+    start({
+      games: Number(games),
+      config,
+      seed: seed === "" ? undefined : seed,
+    });
+  };
+
+  const inputClassName =
+    "w-24 font-mono text-center bg-transparent border-b-2 border-indigo-400 focus:outline-none focus:border-indigo-600";
+
+  return (
+    <div className="simulation mt-8 p-4 bg-gray-50 rounded-xl border border-gray-200 text-sm text-gray-700">
+      <h2 className="text-lg font-bold text-gray-700 mb-3">Simulate Games</h2>
+      <p className="mb-3 text-gray-500">
+        Plays many games with the current setup to compare seats and rules.
+      </p>
+      <div className="flex flex-wrap items-end gap-4 mb-3">
+        <label className="flex flex-col items-center gap-1">
+          Games
+          <input
+            className={inputClassName}
+            type="number"
+            min={1}
+            max={MAX_SIMULATION_GAMES}
+            value={games}
+            disabled={isRunning}
+            onChange={(e) => setGames(e.target.value)}
+          />
+        </label>
+        <label className="flex flex-col items-center gap-1">
+          Seed
+          <input
+            className={inputClassName}
+            type="text"
+            inputMode="numeric"
+            placeholder="random"
+            value={seed}
+            disabled={isRunning}
+            aria-invalid={seedError !== null}
+            aria-describedby={seedError ? "simulation-seed-error" : undefined}
+            onChange={(e) => setSeed(e.target.value)}
+          />
+          {seedError && (
+            <span id="simulation-seed-error" className="text-red-600">
+              {seedError}
+            </span>
+          )}
+        </label>
+        {isRunning ? (
+          <button
+            onClick={cancel}
+            className="px-4 py-2 bg-red-600 hover:bg-red-700 text-white font-bold rounded-lg shadow-md transition duration-300"
+          >
+            Cancel
+          </button>
+        ) : (
+          <button
+            onClick={handleRun}
+            disabled={seedError !== null}
+            className="px-4 py-2 bg-indigo-600 hover:bg-indigo-700 text-white font-bold rounded-lg shadow-md transition duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            Run Simulation
+          </button>
+        )}
+      </div>
+
+      {(isRunning || status === SIMULATION_STATUS.CANCELLED) && (
+        <div className="mb-3">
+          <progress
+            className="w-full"
+            max={progress.gamesRequested}
+            value={progress.gamesPlayed}
+          />
+          <p className="text-gray-500">
+            {status === SIMULATION_STATUS.CANCELLED ? "Cancelled after " : ""}
+            {progress.gamesPlayed}/{progress.gamesRequested} games
+          </p>
+        </div>
+      )}
+
+      {errors.length > 0 && (
+        <ul role="alert" className="mb-3 text-red-600 list-none p-0">
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+
+      {results && (
+        <div className="simulationResults space-y-4">
+          <p>
+            {results.gamesPlayed} games · seed{" "}
+            <span className="font-mono">{results.seed}</span> · ties in{" "}
+            {percent(results.tieFrequency)} of rounds · shared wins in{" "}
+            {percent(results.sharedGameRate)} of games · average margin{" "}
+            {results.averageMargin.toFixed(2)}
+          </p>
+          <table className="w-full">
+            <thead>
+              <tr className="text-gray-500">
+                <th className="text-left font-semibold">Seat</th>
+                <th className="text-right font-semibold">Win rate</th>
+                <th className="text-right font-semibold">Outright wins</th>
+                <th className="text-right font-semibold">Average score</th>
+                <th className="text-right font-semibold">Range</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.bySeat.map((seat) => (
+                <tr key={seat.seat}>
+                  <td>{players[seat.seat]?.name ?? `Seat ${seat.seat + 1}`}</td>
+                  <td className="text-right font-mono">
+                    {percent(seat.winRate)}
+                  </td>
+                  <td className="text-right font-mono">{seat.wins}</td>
+                  <td className="text-right font-mono">
+                    {seat.averageScore.toFixed(2)}
+                  </td>
+                  <td className="text-right font-mono">
+                    {seat.minScore}–{seat.maxScore}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div>
+            <h3 className="font-semibold mb-1">Final score distribution</h3>
+            <ScoreDistribution distribution={results.scoreDistribution} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SimulationPanel;
@@ -0,0 +1,42 @@
+import { describe, test, expect } from 'vitest';
+import { announceGameOver, announceRound } from '../announcements';
+
+/**
+ * Test suite for screen-reader announcements
+ * Tests cover:
+ * - Round announcements with cards, winners, shared rounds and knockouts
+ * - Game-over announcements with one or several winners
+ */
+describe('Announcements', () => {
+    const players = [
+        { name: 'Ann', score: 4 },
+        { name: 'Bob', score: 6 },
+        { name: 'Cy', score: 6 },
+    ];
+
+    test('a round lists every card and its winner', () => {
+        const entry = { round: 3, cards: [7, { rank: 12, suit: 'hearts' }, 2], winners: [1], eliminated: [] };
+        expect(announceRound(entry, players)).toBe(
+            'Round 3: Ann 7, Bob Queen of hearts, Cy 2. Bob wins the round.'
+        );
+    });
+
+    test('shared rounds, empty rounds and knockouts', () => {
+        expect(announceRound({ round: 1, cards: [5, 5, 5], winners: [0, 1, 2] }, players)).toBe(
+            'Round 1: Ann 5, Bob 5, Cy 5. Ann, Bob and Cy share the round.'
+        );
+        expect(announceRound({ round: 2, cards: [5, 5, null], winners: [] }, players)).toBe(
+            'Round 2: Ann 5, Bob 5. Nobody scores this round.'
+        );
+        expect(announceRound({ round: 4, cards: [9, 3, 8], winners: [0, 2], eliminated: [1] }, players)).toBe(
+            'Round 4: Ann 9, Bob 3, Cy 8. Ann and Cy share the round. Bob is knocked out.'
+        );
+    });
+
+    test('game over names the winners', () => {
+        expect(announceGameOver(players)).toBe('Game over. Bob and Cy share the win with 6 points.');
+        expect(announceGameOver([{ name: 'Ann', score: 2.5 }, { name: 'Bob', score: 1 }])).toBe(
+            'Game over. Ann wins with 2.50 points.'
+        );
+    });
+});
@@ -0,0 +1,162 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import createGameLogic from '../gameLogic';
+import createAutoPlay, { DEFAULT_SPEED, MAX_SPEED, MIN_SPEED } from '../autoPlay';
+
+/**
+ * Test suite for the auto-play controller, driven by fake timers
+ * Tests cover:
+ * - Playing on a timer at the chosen speed, pausing and stepping
+ * - Stopping at the end of the game, at a chosen round and when a human has to pick
+ * - Undo and reset pausing it without leaving a timer behind
+ */
+describe('Auto-play', () => {
+    let game;
+    let autoPlay;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        game = createGameLogic(null, { seed: 12, config: { playerCount: 4 } });
+        autoPlay = createAutoPlay(game);
+    });
+
+    afterEach(() => {
+        autoPlay.dispose();
+        vi.useRealTimers();
+    });
+
+    test('plays one round per tick at the default speed', () => {
+        expect(autoPlay.getState()).toEqual({ playing: false, speed: DEFAULT_SPEED, stopRound: null });
+        expect(autoPlay.play().ok).toBe(true);
+        expect(autoPlay.getState().playing).toBe(true);
+        expect(game.getCurrentRound()).toBe(0);
+
+        vi.advanceTimersByTime(1000 / DEFAULT_SPEED);
+        expect(game.getCurrentRound()).toBe(1);
+        vi.advanceTimersByTime(2000 / DEFAULT_SPEED);
+        expect(game.getCurrentRound()).toBe(3);
+        expect(vi.getTimerCount()).toBe(1);
+    });
+
+    test('plays the same rounds as running them by hand', () => {
+        const byHand = createGameLogic(null, { seed: 12, config: { playerCount: 4 } });
+        byHand.runGameLoop();
+        autoPlay.play();
+        vi.runAllTimers();
+
+        expect(game.getRoundHistory()).toEqual(byHand.getRoundHistory());
+        expect(autoPlay.getState().playing).toBe(false);
+        expect(vi.getTimerCount()).toBe(0);
+        expect(autoPlay.play().error.code).toBe('WRONG_PHASE');
+    });
+
+    test('pause stops the timer and play carries on from there', () => {
+        autoPlay.play();
+        vi.advanceTimersByTime(1000);
+        autoPlay.pause();
+        expect(vi.getTimerCount()).toBe(0);
+        vi.advanceTimersByTime(5000);
+        expect(game.getCurrentRound()).toBe(2);
+
+        autoPlay.play();
+        vi.advanceTimersByTime(500);
+        expect(game.getCurrentRound()).toBe(3);
+    });
+
+    test('step plays a single round and pauses a running auto-play', () => {
+        expect(autoPlay.step()).toMatchObject({ ok: true, round: { round: 1 } });
+        expect(vi.getTimerCount()).toBe(0);
+
+        autoPlay.play();
+        autoPlay.step();
+        expect(game.getCurrentRound()).toBe(2);
+        expect(autoPlay.getState().playing).toBe(false);
+        expect(vi.getTimerCount()).toBe(0);
+    });
+
+    test('speed changes the gap between rounds, within the limits', () => {
+        autoPlay.play();
+        autoPlay.setSpeed(4);
+        vi.advanceTimersByTime(250);
+        expect(game.getCurrentRound()).toBe(1);
+
+        expect(autoPlay.setSpeed(100).speed).toBe(MAX_SPEED);
+        expect(autoPlay.setSpeed(0).speed).toBe(DEFAULT_SPEED);
+        expect(autoPlay.setSpeed(0.1).speed).toBe(MIN_SPEED);
+        vi.advanceTimersByTime(1999);
+        expect(game.getCurrentRound()).toBe(1);
+        vi.advanceTimersByTime(1);
+        expect(game.getCurrentRound()).toBe(2);
+        expect(vi.getTimerCount()).toBe(1);
+    });
+
+    test('pauses after the stop round, then plays on to the end', () => {
+        expect(autoPlay.setStopRound(3).ok).toBe(true);
+        autoPlay.play();
+        vi.runAllTimers();
+        expect(game.getCurrentRound()).toBe(3);
+        expect(autoPlay.getState()).toMatchObject({ playing: false, stopRound: null });
+
+        autoPlay.play();
+        vi.runAllTimers();
+        expect(game.getPhase()).toBe('finished');
+    });
+
+    test('a stop round already reached pauses straight away', () => {
+        autoPlay.play();
+        vi.advanceTimersByTime(1500);
+        autoPlay.setStopRound(2);
+        expect(autoPlay.getState().playing).toBe(false);
+        expect(vi.getTimerCount()).toBe(0);
+        expect(game.getCurrentRound()).toBe(3);
+    });
+
+    test('rejects stop rounds outside the game', () => {
+        expect(autoPlay.setStopRound(0).error.code).toBe('INVALID_ROUND');
+        expect(autoPlay.setStopRound(11).error.message).toBe('Auto-play can stop after a round from 1 to 10');
+        expect(autoPlay.setStopRound(null).ok).toBe(true);
+    });
+
+    test('undo and reset pause it without leaving a timer', () => {
+        autoPlay.play();
+        vi.advanceTimersByTime(1000);
+        game.undoLastRound();
+        expect(autoPlay.getState().playing).toBe(false);
+        expect(vi.getTimerCount()).toBe(0);
+        vi.advanceTimersByTime(5000);
+        expect(game.getCurrentRound()).toBe(1);
+
+        autoPlay.play();
+        game.resetGame();
+        expect(autoPlay.getState().playing).toBe(false);
+        expect(vi.getTimerCount()).toBe(0);
+
+        // Once paused it no longer listens, so later undos leave it alone
+        const listener = vi.fn();
+        autoPlay.subscribe(listener);
+        game.runRound();
+        game.undoLastRound();
+        expect(listener).not.toHaveBeenCalled();
+    });
+
+    test('waits for humans who still have to pick a card', () => {
+        const handGame = createGameLogic(null, { seed: 3, config: { dealMode: 'hand', playerCount: 2 } });
+        const handAutoPlay = createAutoPlay(handGame);
+        expect(handAutoPlay.play().error).toMatchObject({ code: 'AWAITING_PLAY', players: [0] });
+
+        handGame.playCard(0, 0);
+        handAutoPlay.play();
+        vi.runAllTimers();
+        expect(handGame.getCurrentRound()).toBe(1);
+        expect(handAutoPlay.getState().playing).toBe(false);
+    });
+
+    test('subscribers hear about every change', () => {
+        const listener = vi.fn();
+        autoPlay.subscribe(listener);
+        autoPlay.play();
+        autoPlay.setSpeed(3);
+        autoPlay.pause();
+        expect(listener).toHaveBeenCalledTimes(3);
+        expect(autoPlay.getVersion()).toBe(3);
+    });
+});
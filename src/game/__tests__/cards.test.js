@@ -0,0 +1,89 @@
+import { describe, test, expect } from 'vitest';
+import { buildDeck, cardValue, compareCards, describeCard, formatCard, isValidCard } from '../cards';
+import { resolveConfig } from '../config';
+
+/**
+ * Test suite for card decks
+ * Tests cover:
+ * - Numbered and standard deck composition, including the exact count of each value
+ * - Ace high/low values
+ * - Suit-order tiebreaks
+ * - Card validation and formatting
+ */
+describe('Cards', () => {
+    const numbered = resolveConfig();
+    const standard = resolveConfig({ deckType: 'standard' });
+    const aceLow = resolveConfig({ deckType: 'standard', aceHigh: false });
+    const bySuit = resolveConfig({ deckType: 'standard', suitOrder: ['clubs', 'diamonds', 'hearts', 'spades'] });
+
+    test('numbered deck repeats the card range', () => {
+        const deck = buildDeck(numbered);
+        expect(deck).toHaveLength(40);
+        expect(deck.slice(0, 13)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 1]);
+    });
+
+    // How many of each value a deck holds, lowest value first
+    const countsOf = (deck) => deck.reduce((counts, card) => {
+        counts[card - 1] = (counts[card - 1] ?? 0) + 1;
+        return counts;
+    }, []);
+
+    test('the default numbered deck has four each of 1-4 and three each of 5-12', () => {
+        expect(countsOf(buildDeck(numbered))).toEqual([4, 4, 4, 4, 3, 3, 3, 3, 3, 3, 3, 3]);
+    });
+
+    test('numbered decks are even when the size is a multiple of the range', () => {
+        expect(countsOf(buildDeck(resolveConfig({ deckSize: 40, maxCardValue: 10 })))).toEqual(Array(10).fill(4));
+        expect(countsOf(buildDeck(resolveConfig({ deckSize: 7, maxCardValue: 3 })))).toEqual([3, 2, 2]);
+    });
+
+    test('standard deck has 52 unique cards', () => {
+        const deck = buildDeck(standard);
+        expect(deck).toHaveLength(52);
+        expect(new Set(deck.map(formatCard)).size).toBe(52);
+        expect(standard.deckSize).toBe(52);
+    });
+
+    test('aces are high or low', () => {
+        expect(cardValue({ rank: 1, suit: 'spades' }, standard)).toBe(14);
+        expect(cardValue({ rank: 1, suit: 'spades' }, aceLow)).toBe(1);
+        expect(compareCards({ rank: 1, suit: 'clubs' }, { rank: 13, suit: 'clubs' }, standard)).toBeGreaterThan(0);
+        expect(compareCards({ rank: 1, suit: 'clubs' }, { rank: 13, suit: 'clubs' }, aceLow)).toBeLessThan(0);
+    });
+
+    test('suit order breaks equal ranks only when configured', () => {
+        const sevenOfSpades = { rank: 7, suit: 'spades' };
+        const sevenOfHearts = { rank: 7, suit: 'hearts' };
+        expect(compareCards(sevenOfSpades, sevenOfHearts, standard)).toBe(0);
+        expect(compareCards(sevenOfSpades, sevenOfHearts, bySuit)).toBeGreaterThan(0);
+        expect(compareCards({ rank: 8, suit: 'clubs' }, sevenOfSpades, bySuit)).toBeGreaterThan(0);
+    });
+
+    test('numbered cards compare by value', () => {
+        expect(compareCards(9, 4, numbered)).toBeGreaterThan(0);
+        expect(compareCards(4, 4, numbered)).toBe(0);
+    });
+
+    test('validates cards for the deck type', () => {
+        expect(isValidCard(12, numbered)).toBe(true);
+        expect(isValidCard(13, numbered)).toBe(false);
+        expect(isValidCard({ rank: 12, suit: 'hearts' }, standard)).toBe(true);
+        expect(isValidCard({ rank: 14, suit: 'hearts' }, standard)).toBe(false);
+        expect(isValidCard({ rank: 3, suit: 'stars' }, standard)).toBe(false);
+        expect(isValidCard(5, standard)).toBe(false);
+    });
+
+    test('formats cards as text', () => {
+        expect(formatCard(7)).toBe('7');
+        expect(formatCard({ rank: 12, suit: 'hearts' })).toBe('Q♥');
+        expect(formatCard({ rank: 1, suit: 'spades' })).toBe('A♠');
+        expect(formatCard({ rank: 10, suit: 'clubs' })).toBe('10♣');
+        expect(formatCard(null)).toBe('');
+    });
+
+    test('describes cards in words', () => {
+        expect(describeCard(7)).toBe('7');
+        expect(describeCard({ rank: 12, suit: 'hearts' })).toBe('Queen of hearts');
+        expect(describeCard({ rank: 10, suit: 'clubs' })).toBe('10 of clubs');
+    });
+});
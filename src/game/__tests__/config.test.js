@@ -0,0 +1,78 @@
+import { describe, test, expect } from 'vitest';
+import { DEFAULT_CONFIG, resolveConfig, validateConfig } from '../config';
+
+/**
+ * Test suite for game setup options
+ * Tests cover:
+ * - Default values and derived round count
+ * - Validation of each option
+ */
+describe('Config', () => {
+    test('resolveConfig fills in defaults and derives total rounds', () => {
+        expect(resolveConfig()).toEqual({ ...DEFAULT_CONFIG, totalRounds: 10 });
+        expect(resolveConfig({ playerCount: 3, deckSize: 20 }).totalRounds).toBe(6);
+        expect(resolveConfig({ totalRounds: 4 }).totalRounds).toBe(4);
+    });
+
+    test('resolveConfig ignores empty values', () => {
+        expect(resolveConfig({ playerCount: '', deckSize: null })).toEqual(resolveConfig());
+    });
+
+    test('default config is valid', () => {
+        expect(validateConfig(resolveConfig())).toEqual([]);
+    });
+
+    test('accepts 2 to 8 players', () => {
+        expect(validateConfig(resolveConfig({ playerCount: 2 }))).toEqual([]);
+        expect(validateConfig(resolveConfig({ playerCount: 8 }))).toEqual([]);
+        expect(validateConfig(resolveConfig({ playerCount: 1 }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ playerCount: 9 }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ playerCount: 2.5 }))).toHaveLength(1);
+    });
+
+    test('accepts any deck size that deals at least one round', () => {
+        expect(validateConfig(resolveConfig({ deckSize: 4 }))).toEqual([]);
+        expect(validateConfig(resolveConfig({ deckSize: 1000 }))).toEqual([]);
+        expect(validateConfig(resolveConfig({ deckSize: 3 }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ deckSize: 0 }))).toHaveLength(1);
+    });
+
+    test('rejects invalid card range and points', () => {
+        expect(validateConfig(resolveConfig({ maxCardValue: 0 }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ pointsPerScore: -1 }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ maxCardValue: '12' }))).toHaveLength(1);
+    });
+
+    test('rejects more rounds than the deck can deal', () => {
+        expect(validateConfig(resolveConfig({ totalRounds: 10 }))).toEqual([]);
+        expect(validateConfig(resolveConfig({ totalRounds: 11 }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ totalRounds: 0 }))).toHaveLength(1);
+    });
+
+    test('standard decks always have 52 cards', () => {
+        const config = resolveConfig({ deckType: 'standard', deckSize: 10 });
+        expect(config.deckSize).toBe(52);
+        expect(config.totalRounds).toBe(13);
+        expect(validateConfig(config)).toEqual([]);
+    });
+
+    test('validates standard-deck options', () => {
+        expect(validateConfig(resolveConfig({ deckType: 'tarot' }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ aceHigh: 'yes' }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ suitOrder: ['hearts', 'spades'] }))).toHaveLength(1);
+        expect(validateConfig(resolveConfig({ suitOrder: ['spades', 'hearts', 'diamonds', 'clubs'] }))).toEqual([]);
+    });
+
+    test('accepts only known scoring modes', () => {
+        for (const scoringMode of ['highest', 'lowest', 'margin', 'cumulative', 'elimination']) {
+            expect(validateConfig(resolveConfig({ scoringMode }))).toEqual([]);
+        }
+        expect(validateConfig(resolveConfig({ scoringMode: 'golf' }))).toHaveLength(1);
+    });
+
+    test('accepts only known turn modes', () => {
+        expect(resolveConfig().turnMode).toBe('simultaneous');
+        expect(validateConfig(resolveConfig({ turnMode: 'turns' }))).toEqual([]);
+        expect(validateConfig(resolveConfig({ turnMode: 'relay' }))).toHaveLength(1);
+    });
+});
@@ -1,11 +1,21 @@
-import { describe, test, expect, beforeEach } from 'vitest';
+import { describe, test, expect, beforeEach, vi } from 'vitest';
 import createGameLogic from '../gameLogic';
+import { ALLOWED_PHASES } from '../phases';
+
+// Everything needed to resume a game, hidden cards included, without the undo and redo stacks
+const fullState = (game) => {
+    const state = game.getSaveState();
+    delete state.undoHistory;
+    delete state.redoStack;
+    delete state.turnHistory;
+    return state;
+};
 
 /**
  * Test suite for the High Card Game Logic
  * Tests cover:
  * - Game initialization and state management
- * - Player interactions (name changes)
+ * - Player interactions (name changes, adding and removing players, stable ids)
  * - Round mechanics (card drawing, scoring)
  * - Game progression
  * - State persistence and restoration
@@ -66,6 +76,160 @@ describe('Game Logic', () => {
             game.modifyPlayerName(999, 'Invalid Player');
             expect(JSON.stringify(game.getPlayers())).toBe(originalPlayers);
         });
+
+        test('trims names and rejects blank, long and repeated ones', () => {
+            expect(game.modifyPlayerName(0, '  Ann   Lee ')).toEqual({ ok: true, name: 'Ann Lee' });
+            expect(game.getPlayers()[0].name).toBe('Ann Lee');
+
+            const rejected = ['   ', 'A name far too long', 'ann lee', 'Player 3'].map(
+                (name) => game.modifyPlayerName(1, name).error
+            );
+            expect(rejected.map(error => error.code)).toEqual(Array(4).fill('INVALID_NAME'));
+            expect(rejected.map(error => error.message)).toEqual([
+                'Player names cannot be empty',
+                'Player names can be at most 15 characters',
+                'Another player is already called ann lee',
+                'Another player is already called Player 3',
+            ]);
+            expect(game.getPlayers()[1].name).toBe('Player 2');
+
+            // A player can keep their own name with different case
+            expect(game.modifyPlayerName(0, 'ANN LEE').ok).toBe(true);
+        });
+    });
+
+    describe('Player ids', () => {
+        test('every player gets an id that survives renames, rounds and undo', () => {
+            const g = createGameLogic(null, { seed: 3 });
+            expect(g.getPlayers().map(player => player.id)).toEqual(['p1', 'p2', 'p3', 'p4']);
+            g.modifyPlayerName(1, 'Bob');
+            g.runRound();
+            g.undoLastRound();
+            expect(g.getPlayers()[1]).toMatchObject({ id: 'p2', name: 'Bob' });
+        });
+
+        test('resetting keeps the ids and restores the default names', () => {
+            const g = createGameLogic(null, { seed: 3 });
+            g.removePlayer(0);
+            g.modifyPlayerName(0, 'Bob');
+            g.resetGame();
+            expect(g.getPlayers().map(({ id, name }) => ({ id, name }))).toEqual([
+                { id: 'p2', name: 'Player 1' },
+                { id: 'p3', name: 'Player 2' },
+                { id: 'p4', name: 'Player 3' },
+            ]);
+        });
+
+        test('a new game can seat the players of another game', () => {
+            const seats = [{ id: 'p7', name: 'Ann' }, { id: 'p2', name: 'Bob' }, { id: 'p9', name: 'ann' }];
+            const g = createGameLogic(null, { config: { playerCount: 4 }, players: seats });
+            // The repeated name falls back to a default, and the missing seat gets a fresh id
+            expect(g.getPlayers().map(({ id, name }) => ({ id, name }))).toEqual([
+                { id: 'p7', name: 'Ann' },
+                { id: 'p2', name: 'Bob' },
+                { id: 'p9', name: 'Player 3' },
+                { id: 'p1', name: 'Player 4' },
+            ]);
+        });
+    });
+
+    describe('addPlayer and removePlayer', () => {
+        test('addPlayer seats a new player and deals again for the bigger table', () => {
+            const g = createGameLogic(null, { seed: 5 });
+            const result = g.addPlayer('Eve');
+            expect(result).toMatchObject({ ok: true, playerIndex: 4, player: { id: 'p5', name: 'Eve', score: 0 } });
+            expect(g.getConfig()).toMatchObject({ playerCount: 5, totalRounds: 8 });
+
+            const fresh = createGameLogic(null, { config: { playerCount: 5 }, seed: 5 });
+            expect(g.getDeck()).toEqual(fresh.getDeck());
+            expect(g.addPlayer().player.name).toBe('Player 6');
+        });
+
+        test('removePlayer moves the later players up a seat', () => {
+            const g = createGameLogic(null, { seed: 5 });
+            g.modifyPlayerName(2, 'Cy');
+            expect(g.removePlayer(1)).toMatchObject({ ok: true, playerIndex: 1, player: { id: 'p2' } });
+            expect(g.getPlayers().map(player => player.id)).toEqual(['p1', 'p3', 'p4']);
+            expect(g.getPlayers()[1].name).toBe('Cy');
+            expect(g.getConfig()).toMatchObject({ playerCount: 3, totalRounds: 13 });
+            // Ids are never handed out twice while the player holding one is still seated
+            expect(g.addPlayer().player.id).toBe('p2');
+        });
+
+        test('a round count below the maximum is kept, or shrunk to fit the deck', () => {
+            const g = createGameLogic(null, { config: { totalRounds: 6 } });
+            g.removePlayer(0);
+            expect(g.getTotalRounds()).toBe(6);
+            g.addPlayer();
+            g.addPlayer();
+            expect(g.getTotalRounds()).toBe(6);
+            g.addPlayer();
+            expect(g.getConfig()).toMatchObject({ playerCount: 6, totalRounds: 6 });
+            g.addPlayer();
+            expect(g.getConfig()).toMatchObject({ playerCount: 7, totalRounds: 5 });
+        });
+
+        test('the table stays between the player limits', () => {
+            const small = createGameLogic(null, { config: { playerCount: 2 } });
+            expect(small.removePlayer(0).error).toMatchObject({
+                code: 'INVALID_CONFIG',
+                message: 'A game needs at least 2 players',
+            });
+            expect(small.removePlayer(5).error.code).toBe('INVALID_PLAYER');
+
+            const full = createGameLogic(null, { config: { playerCount: 8 } });
+            expect(full.addPlayer().error).toMatchObject({
+                code: 'INVALID_CONFIG',
+                message: 'A game can have at most 8 players',
+            });
+            expect(full.getPlayers()).toHaveLength(8);
+        });
+
+        test('a table the deck cannot deal to is refused', () => {
+            const g = createGameLogic(null, { config: { playerCount: 3, deckSize: 3 } });
+            const result = g.addPlayer();
+            expect(result.error.code).toBe('INVALID_CONFIG');
+            expect(result.error.errors).toContain('Deck size must be at least the number of players');
+            expect(g.getPlayers()).toHaveLength(3);
+        });
+
+        test('new players need a valid name', () => {
+            const g = createGameLogic();
+            expect(g.addPlayer('player 1').error).toMatchObject({
+                code: 'INVALID_NAME',
+                message: 'Another player is already called player 1',
+            });
+            expect(g.addPlayer(' ').error.code).toBe('INVALID_NAME');
+            expect(g.getPlayers()).toHaveLength(4);
+        });
+
+        test('hand-mode strategies follow their seats', () => {
+            const g = createGameLogic(null, {
+                config: { dealMode: 'hand', playerCount: 3, strategies: ['human', 'highestFirst', 'lowestFirst'] },
+            });
+            g.removePlayer(1);
+            expect(g.getStrategies()).toEqual(['human', 'lowestFirst']);
+            g.addPlayer();
+            expect(g.getStrategies()).toEqual(['human', 'lowestFirst', 'random']);
+            expect(g.getHandSizes()).toEqual([13, 13, 13]);
+        });
+
+        test('changing the table clears undone rounds and emits an event', () => {
+            const g = createGameLogic();
+            const added = vi.fn();
+            const removed = vi.fn();
+            g.on('playerAdded', added);
+            g.on('playerRemoved', removed);
+            g.runRound();
+            g.undoLastRound();
+
+            g.addPlayer('Eve');
+            expect(g.getFurthestRound()).toBe(0);
+            expect(g.redoRound().error.code).toBe('NOTHING_TO_REDO');
+            g.removePlayer(0);
+            expect(added).toHaveBeenCalledWith({ playerIndex: 4, player: expect.objectContaining({ name: 'Eve' }) });
+            expect(removed).toHaveBeenCalledWith({ playerIndex: 0, player: expect.objectContaining({ id: 'p1' }) });
+        });
     });
 
     /**
@@ -84,13 +248,13 @@ describe('Game Logic', () => {
             const players = game.getPlayers();
             const currentRound = game.getCurrentRound();
 
-            expect(result).toBe(true);
+            expect(result.ok).toBe(true);
             expect(currentRound).toBe(initialRound + 1);
             expect(players.some(player => player.cardHeld !== null)).toBe(true);
             expect(players.some(player => player.score > 0)).toBe(true);
         });
 
-        test('returns false when game is complete', () => {
+        test('is rejected when game is complete', () => {
             // Run all rounds
             for (let i = 0; i < game.getTotalRounds(); i++) {
                 game.runRound();
@@ -98,7 +262,8 @@ describe('Game Logic', () => {
             
             // Try to run one more round
             const result = game.runRound();
-            expect(result).toBe(false);
+            expect(result.ok).toBe(false);
+            expect(result.error.code).toBe('WRONG_PHASE');
             expect(game.getCurrentRound()).toBe(game.getTotalRounds());
         });
     });
@@ -114,23 +279,24 @@ describe('Game Logic', () => {
         test('reverts to previous state correctly', () => {
             // Run a round and capture the state
             game.runRound();
-            const stateAfterRound = game.getGameState();
+            const stateAfterRound = fullState(game);
             
             // Run another round
             game.runRound();
             
             // Undo the last round
             const undoResult = game.undoLastRound();
-            const currentState = game.getGameState();
+            const currentState = fullState(game);
             
-            expect(undoResult).toBe(true);
+            expect(undoResult.ok).toBe(true);
             expect(currentState).toEqual(stateAfterRound);
         });
 
-        test('returns false when no history exists', () => {
+        test('is rejected when no rounds have been played', () => {
             // Try to undo without any rounds played
             const undoResult = game.undoLastRound();
-            expect(undoResult).toBe(false);
+            expect(undoResult.ok).toBe(false);
+            expect(undoResult.error.code).toBe('WRONG_PHASE');
             expect(game.getCurrentRound()).toBe(0);
         });
 
@@ -142,7 +308,7 @@ describe('Game Logic', () => {
             
             // Undo all rounds
             let undoCount = 0;
-            while (game.undoLastRound()) {
+            while (game.undoLastRound().ok) {
                 undoCount++;
             }
             
@@ -194,12 +360,15 @@ describe('Game Logic', () => {
                 totalRounds: 10
             };
 
-            const success = game.setGameState(testState);
-            expect(success).toBe(true);
+            const result = game.setGameState(testState);
+            expect(result.ok).toBe(true);
 
             const currentState = game.getGameState();
             expect(currentState.currentRound).toBe(testState.currentRound);
-            expect(currentState.players).toEqual(testState.players);
+            // States saved before players had ids are given p1, p2, ...
+            expect(currentState.players).toEqual(
+                testState.players.map((player, index) => ({ ...player, id: `p${index + 1}` }))
+            );
         });
 
         test('rejects invalid state structure', () => {
@@ -213,21 +382,22 @@ describe('Game Logic', () => {
             ];
 
             invalidStates.forEach(invalidState => {
-                const success = game.setGameState(invalidState);
-                expect(success).toBe(false);
+                const result = game.setGameState(invalidState);
+                expect(result.ok).toBe(false);
+                expect(result.error.code).toBe('INVALID_STATE');
             });
         });
 
         test('maintains current state when loading fails', () => {
             // Set up initial state
             game.runRound();
-            const originalState = game.getGameState();
+            const originalState = fullState(game);
 
             // Try to load invalid state
             game.setGameState(null);
 
             // Verify state hasn't changed
-            const currentState = game.getGameState();
+            const currentState = fullState(game);
             expect(currentState).toEqual(originalState);
         });
     });
@@ -291,4 +461,1319 @@ describe('Game Logic', () => {
             });
         });
     });
+
+    /**
+     * Test the finite deck
+     * Verifies:
+     * - Deck composition (40 cards within the card range)
+     * - Cards are dealt without replacement
+     * - Game ends when the deck runs out
+     * - Undo and saved state restore the deck exactly
+     */
+    describe('Deck', () => {
+        test('starts with a full deck of valid cards', () => {
+            const deck = game.getDeck();
+            expect(deck).toHaveLength(40);
+            expect(game.getRemainingCards()).toBe(40);
+            deck.forEach(card => {
+                expect(card).toBeGreaterThan(0);
+                expect(card).toBeLessThanOrEqual(12);
+            });
+        });
+
+        test('deals cards from the top without replacement', () => {
+            const deck = game.getDeck();
+            game.runRound();
+
+            expect(game.getPlayers().map(p => p.cardHeld)).toEqual(deck.slice(0, 4));
+            expect(game.getDeck()).toEqual(deck.slice(4));
+            expect(game.getRemainingCards()).toBe(36);
+        });
+
+        test('every card is dealt exactly once over a full game', () => {
+            const startingDeck = [...game.getDeck()].sort((a, b) => a - b);
+            const dealt = [];
+            while (game.runRound().ok) {
+                dealt.push(...game.getPlayers().map(p => p.cardHeld));
+            }
+
+            expect(dealt.sort((a, b) => a - b)).toEqual(startingDeck);
+            expect(game.getRemainingCards()).toBe(0);
+            expect(game.runRound().ok).toBe(false);
+        });
+
+        test('undo restores the deck exactly', () => {
+            game.runRound();
+            const deckBefore = game.getDeck();
+            game.runRound();
+            game.undoLastRound();
+
+            expect(game.getDeck()).toEqual(deckBefore);
+        });
+
+        test('saved state restores the deck exactly', () => {
+            game.runRound();
+            const saved = fullState(game);
+            const restored = createGameLogic(saved);
+
+            expect(restored.getDeck()).toEqual(saved.deck);
+            restored.runRound();
+            game.runRound();
+            expect(restored.getPlayers()).toEqual(game.getPlayers());
+        });
+    });
+
+    /**
+     * Test seeded games
+     * Verifies:
+     * - The same seed always deals the same cards
+     * - Different seeds deal different games
+     * - The seed is stored in the game state and reused on resume
+     * - A custom RNG function replaces the seeded generator
+     */
+    describe('Seeded RNG', () => {
+        const playAll = (g) => {
+            const rounds = [];
+            while (g.runRound().ok) {
+                rounds.push(g.getPlayers().map(p => p.cardHeld));
+            }
+            return rounds;
+        };
+
+        test('same seed produces the same draws', () => {
+            const first = createGameLogic(null, { seed: 1234 });
+            const second = createGameLogic(null, { seed: 1234 });
+
+            expect(first.getDeck()).toEqual(second.getDeck());
+            expect(playAll(first)).toEqual(playAll(second));
+            expect(first.getPlayers()).toEqual(second.getPlayers());
+        });
+
+        test('different seeds produce different decks', () => {
+            const first = createGameLogic(null, { seed: 1 });
+            const second = createGameLogic(null, { seed: 2 });
+            expect(first.getDeck()).not.toEqual(second.getDeck());
+        });
+
+        test('numeric string seeds behave like numbers', () => {
+            const fromString = createGameLogic(null, { seed: '42' });
+            expect(fromString.getSeed()).toBe(42);
+            expect(fromString.getDeck()).toEqual(createGameLogic(null, { seed: 42 }).getDeck());
+        });
+
+        test('seed is stored in the game state', () => {
+            const seeded = createGameLogic(null, { seed: 99 });
+            expect(seeded.getGameState().seed).toBe(99);
+            expect(typeof game.getGameState().seed).toBe('number');
+        });
+
+        test('resuming from a saved state keeps its seed', () => {
+            const seeded = createGameLogic(null, { seed: 7 });
+            seeded.runRound();
+            const resumed = createGameLogic(fullState(seeded));
+            expect(resumed.getSeed()).toBe(7);
+        });
+
+        test('resetGame replays the same seed', () => {
+            const seeded = createGameLogic(null, { seed: 555 });
+            const firstGame = playAll(seeded);
+            seeded.resetGame();
+            expect(playAll(seeded)).toEqual(firstGame);
+        });
+
+        test('accepts a custom rng function', () => {
+            // Always picking index 0 rotates the deck by one on each swap
+            const seeded = createGameLogic(null, { rng: () => 0 });
+            expect(seeded.getSeed()).toBe(null);
+            expect(seeded.getDeck()).toHaveLength(40);
+            expect(seeded.getDeck()).toEqual(createGameLogic(null, { rng: () => 0 }).getDeck());
+        });
+    });
+
+    /**
+     * Test configurable game setup
+     * Verifies:
+     * - Player count, deck size, card range and points per win are applied
+     * - Invalid configs are rejected
+     * - Saved state carries the config
+     */
+    describe('Config', () => {
+        test('applies a custom setup', () => {
+            const custom = createGameLogic(null, {
+                config: { playerCount: 6, deckSize: 30, maxCardValue: 5, pointsPerScore: 3 }
+            });
+
+            expect(custom.getPlayers()).toHaveLength(6);
+            expect(custom.getPlayers()[5].name).toBe('Player 6');
+            expect(custom.getDeck()).toHaveLength(30);
+            expect(Math.max(...custom.getDeck())).toBe(5);
+            expect(custom.getTotalRounds()).toBe(5);
+
+            custom.runRound();
+            const totalScore = custom.getPlayers().reduce((sum, p) => sum + p.score, 0);
+            expect(totalScore % 3).toBe(0);
+        });
+
+        test('stops after the configured number of rounds', () => {
+            const short = createGameLogic(null, { config: { totalRounds: 3 } });
+            short.runGameLoop();
+            expect(short.getCurrentRound()).toBe(3);
+            expect(short.getRemainingCards()).toBe(28);
+            expect(short.runRound().ok).toBe(false);
+        });
+
+        test('throws for an invalid setup', () => {
+            expect(() => createGameLogic(null, { config: { playerCount: 1 } })).toThrow(/Player count/);
+            expect(() => createGameLogic(null, { config: { deckSize: 2 } })).toThrow(/Deck size/);
+        });
+
+        test('saved state carries the config', () => {
+            const custom = createGameLogic(null, { config: { playerCount: 3, deckSize: 12 } });
+            custom.runRound();
+            const resumed = createGameLogic(fullState(custom));
+
+            expect(resumed.getConfig()).toEqual(custom.getConfig());
+            expect(resumed.getPlayers()).toHaveLength(3);
+            expect(resumed.getTotalRounds()).toBe(4);
+        });
+
+        test('setGameState rejects an invalid config', () => {
+            const state = fullState(game);
+            expect(game.setGameState({ ...state, config: { playerCount: 20 } }).ok).toBe(false);
+            expect(game.getConfig().playerCount).toBe(4);
+        });
+    });
+
+    /**
+     * Test tie-resolution policies
+     * Verifies (using stacked decks so ties are guaranteed):
+     * - Award all tied players (default)
+     * - Split the points
+     * - Carry the points into a pot for the next round
+     * - A carried pot is split when the last round ties
+     * - Sudden-death re-draw among the tied players
+     * - The applied policy is recorded for the round
+     */
+    describe('Tie policies', () => {
+        const createWithDeck = (tiePolicy, deck) => {
+            const g = createGameLogic(null, { config: { tiePolicy } });
+            g.setGameState({ ...fullState(g), deck });
+            return g;
+        };
+        const scores = (g) => g.getPlayers().map(p => p.score);
+
+        test('awardAll gives every tied player the full points', () => {
+            const g = createWithDeck('awardAll', [9, 9, 3, 2, 1, 1, 1, 8]);
+            g.runRound();
+
+            expect(scores(g)).toEqual([1, 1, 0, 0]);
+            expect(g.getLastRoundResult()).toMatchObject({
+                round: 1, winners: [0, 1], tied: [0, 1], tiePolicy: 'awardAll'
+            });
+        });
+
+        test('split shares the points between tied players', () => {
+            const g = createWithDeck('split', [9, 9, 3, 2, 1, 1, 1, 8]);
+            g.runRound();
+            expect(scores(g)).toEqual([0.5, 0.5, 0, 0]);
+        });
+
+        test('carryOver awards nobody and adds the points to the pot', () => {
+            const g = createWithDeck('carryOver', [9, 9, 3, 2, 1, 1, 1, 8, 5, 5, 5, 5]);
+            g.runRound();
+            expect(scores(g)).toEqual([0, 0, 0, 0]);
+            expect(g.getPot()).toBe(1);
+            expect(g.getLastRoundResult().winners).toEqual([]);
+
+            // The next outright winner takes the pot as well
+            g.runRound();
+            expect(scores(g)).toEqual([0, 0, 0, 2]);
+            expect(g.getPot()).toBe(0);
+        });
+
+        test('carryOver keeps growing the pot across consecutive ties', () => {
+            const g = createWithDeck('carryOver', [9, 9, 3, 2, 5, 5, 5, 5, 1, 2, 3, 4]);
+            g.runRound();
+            g.runRound();
+            expect(g.getPot()).toBe(2);
+            g.runRound();
+            expect(scores(g)).toEqual([0, 0, 0, 3]);
+        });
+
+        test('carryOver splits the pot between the tied players when the last round ties', () => {
+            const g = createWithDeck('carryOver', [9, 9, 3, 2, 5, 5, 5, 5]);
+            g.runRound();
+            expect(g.getPot()).toBe(1);
+
+            g.runRound();
+            expect(g.getPhase()).toBe('finished');
+            expect(scores(g)).toEqual([0.5, 0.5, 0.5, 0.5]);
+            expect(g.getPot()).toBe(0);
+            expect(g.getLastRoundResult()).toMatchObject({ winners: [0, 1, 2, 3], tied: [0, 1, 2, 3], pot: 0 });
+        });
+
+        test('suddenDeath re-draws among only the tied players', () => {
+            const g = createWithDeck('suddenDeath', [9, 2, 9, 9, 4, 4, 1, 8, 7]);
+            g.runRound();
+
+            const result = g.getLastRoundResult();
+            expect(result.tiePolicy).toBe('suddenDeath');
+            expect(result.tied).toEqual([0, 2, 3]);
+            expect(result.redraws).toEqual([
+                [{ playerIndex: 0, card: 4 }, { playerIndex: 2, card: 4 }, { playerIndex: 3, card: 1 }],
+                [{ playerIndex: 0, card: 8 }, { playerIndex: 2, card: 7 }],
+            ]);
+            expect(result.winners).toEqual([0]);
+            expect(scores(g)).toEqual([1, 0, 0, 0]);
+            // Cards held stay the ones drawn for the round itself
+            expect(g.getPlayers().map(p => p.cardHeld)).toEqual([9, 2, 9, 9]);
+        });
+
+        test('suddenDeath picks a single winner when the re-draw breaks the tie', () => {
+            const g = createWithDeck('suddenDeath', [9, 2, 9, 3, 4, 8, 1, 1, 1, 1]);
+            g.runRound();
+
+            expect(scores(g)).toEqual([0, 0, 1, 0]);
+            expect(g.getLastRoundResult().winners).toEqual([2]);
+            expect(g.getRemainingCards()).toBe(4);
+        });
+
+        test('suddenDeath splits the points when the deck runs out', () => {
+            const g = createWithDeck('suddenDeath', [9, 9, 3, 2, 5]);
+            g.runRound();
+            expect(scores(g)).toEqual([0.5, 0.5, 0, 0]);
+            expect(g.runRound().ok).toBe(false);
+        });
+
+        test('rounds without a tie record no policy', () => {
+            const g = createWithDeck('split', [9, 8, 3, 2]);
+            g.runRound();
+            expect(g.getLastRoundResult()).toMatchObject({ winners: [0], tied: [], tiePolicy: null });
+        });
+
+        test('undo restores the pot and round results', () => {
+            const g = createWithDeck('carryOver', [9, 9, 3, 2, 5, 5, 5, 5, 1, 2, 3, 4]);
+            g.runRound();
+            g.runRound();
+            g.undoLastRound();
+            expect(g.getPot()).toBe(1);
+            expect(g.getLastRoundResult().round).toBe(1);
+        });
+
+        test('rejects an unknown tie policy', () => {
+            expect(() => createGameLogic(null, { config: { tiePolicy: 'coinFlip' } })).toThrow(/Tie policy/);
+        });
+    });
+
+    /**
+     * Test the per-round history log
+     * Verifies:
+     * - Each round records its number, every player's card, winners and score deltas
+     * - Score deltas add up to the final scores
+     * - Undo, reset and saved state keep the log in step with the game
+     */
+    describe('getRoundHistory', () => {
+        test('starts empty', () => {
+            expect(game.getRoundHistory()).toEqual([]);
+        });
+
+        test('records cards, winners and score deltas for each round', () => {
+            game.setGameState({ ...fullState(game), deck: [3, 9, 1, 2, 6, 6, 4, 5] });
+            game.runRound();
+            game.runRound();
+
+            const history = game.getRoundHistory();
+            expect(history).toHaveLength(2);
+            expect(history[0]).toMatchObject({
+                round: 1, cards: [3, 9, 1, 2], winners: [1], scoreDeltas: [0, 1, 0, 0]
+            });
+            expect(history[1]).toMatchObject({
+                round: 2, cards: [6, 6, 4, 5], winners: [0, 1], scoreDeltas: [1, 1, 0, 0]
+            });
+        });
+
+        test('getLastRoundWinners reports the winners of the round just played', () => {
+            expect(game.getLastRoundWinners()).toEqual([]);
+            game.setGameState({ ...fullState(game), deck: [3, 9, 1, 2, 6, 6, 4, 5] });
+            game.runRound();
+            game.runRound();
+            expect(game.getLastRoundWinners()).toEqual([0, 1]);
+
+            game.undoLastRound();
+            expect(game.getLastRoundWinners()).toEqual([1]);
+        });
+
+        test('score deltas add up to the final scores', () => {
+            game.runGameLoop();
+            const history = game.getRoundHistory();
+            expect(history).toHaveLength(game.getTotalRounds());
+
+            game.getPlayers().forEach((player, playerIndex) => {
+                const total = history.reduce((sum, entry) => sum + entry.scoreDeltas[playerIndex], 0);
+                expect(total).toBe(player.score);
+            });
+        });
+
+        test('returns a copy that cannot change the engine', () => {
+            game.runRound();
+            game.getRoundHistory()[0].cards[0] = 99;
+            expect(game.getRoundHistory()[0].cards[0]).not.toBe(99);
+        });
+
+        test('undo and reset trim the history', () => {
+            game.runRound();
+            game.runRound();
+            game.undoLastRound();
+            expect(game.getRoundHistory()).toHaveLength(1);
+
+            game.resetGame();
+            expect(game.getRoundHistory()).toEqual([]);
+        });
+
+        test('saved state carries the history', () => {
+            game.runRound();
+            game.runRound();
+            const resumed = createGameLogic(fullState(game));
+            expect(resumed.getRoundHistory()).toEqual(game.getRoundHistory());
+        });
+    });
+
+    /**
+     * Test redo and jump-to-round time travel
+     * Verifies:
+     * - Redo replays the same cards that were undone
+     * - Playing a new round clears the redo stack
+     * - goToRound moves backwards and forwards through played rounds
+     * - Rounds that have not been played cannot be reached
+     */
+    describe('Time travel', () => {
+        test('redoRound replays the undone round exactly', () => {
+            game.runRound();
+            game.runRound();
+            const stateAfterSecond = fullState(game);
+
+            game.undoLastRound();
+            expect(game.redoRound().ok).toBe(true);
+            expect(fullState(game)).toEqual(stateAfterSecond);
+        });
+
+        test('redoRound returns false with nothing to redo', () => {
+            expect(game.redoRound().ok).toBe(false);
+            game.runRound();
+            expect(game.redoRound().ok).toBe(false);
+        });
+
+        test('playing a new round clears the redo stack', () => {
+            game.runRound();
+            game.runRound();
+            game.undoLastRound();
+            expect(game.getFurthestRound()).toBe(2);
+
+            game.runRound();
+            expect(game.getFurthestRound()).toBe(2);
+            expect(game.redoRound().ok).toBe(false);
+        });
+
+        test('goToRound scrubs back and forth through a finished game', () => {
+            const snapshots = [fullState(game)];
+            while (game.runRound().ok) {
+                snapshots.push(fullState(game));
+            }
+
+            expect(game.goToRound(3).ok).toBe(true);
+            expect(fullState(game)).toEqual(snapshots[3]);
+            expect(game.getFurthestRound()).toBe(10);
+
+            expect(game.goToRound(8).ok).toBe(true);
+            expect(fullState(game)).toEqual(snapshots[8]);
+
+            expect(game.goToRound(0).ok).toBe(true);
+            expect(fullState(game)).toEqual(snapshots[0]);
+
+            expect(game.goToRound(10).ok).toBe(true);
+            expect(fullState(game)).toEqual(snapshots[10]);
+        });
+
+        test('goToRound rejects rounds that have not been played', () => {
+            game.runRound();
+            game.runRound();
+
+            expect(game.goToRound(3).ok).toBe(false);
+            expect(game.goToRound(-1).ok).toBe(false);
+            expect(game.goToRound(1.5).ok).toBe(false);
+            expect(game.getCurrentRound()).toBe(2);
+        });
+
+        test('goToRound cannot go back past a resumed state', () => {
+            game.runRound();
+            game.runRound();
+            const resumed = createGameLogic(fullState(game));
+
+            expect(resumed.goToRound(0).ok).toBe(false);
+            expect(resumed.getCurrentRound()).toBe(2);
+        });
+
+        test('resetGame clears the redo stack', () => {
+            game.runRound();
+            game.undoLastRound();
+            game.resetGame();
+            expect(game.redoRound().ok).toBe(false);
+        });
+    });
+
+    /**
+     * Test the event subscription API
+     * Verifies:
+     * - subscribe listeners run after every change and can unsubscribe
+     * - Named events fire with their payloads
+     * - Unknown event names are rejected
+     */
+    describe('Events', () => {
+        test('subscribe is notified after each change', () => {
+            const listener = vi.fn();
+            game.subscribe(listener);
+
+            game.modifyPlayerName(0, 'Ann');
+            game.runRound();
+            game.undoLastRound();
+            game.redoRound();
+            game.resetGame();
+
+            expect(listener).toHaveBeenCalledTimes(5);
+        });
+
+        test('version changes with every notification', () => {
+            const before = game.getVersion();
+            game.runRound();
+            expect(game.getVersion()).toBeGreaterThan(before);
+        });
+
+        test('unsubscribe stops notifications', () => {
+            const listener = vi.fn();
+            const unsubscribe = game.subscribe(listener);
+            unsubscribe();
+            game.runRound();
+            expect(listener).not.toHaveBeenCalled();
+        });
+
+        test('roundResolved carries the round result', () => {
+            const handler = vi.fn();
+            game.on('roundResolved', handler);
+            game.runRound();
+            expect(handler).toHaveBeenCalledWith(game.getLastRoundResult());
+        });
+
+        test('roundUndone carries the undone round number', () => {
+            const handler = vi.fn();
+            game.on('roundUndone', handler);
+            game.runRound();
+            game.runRound();
+            game.undoLastRound();
+            expect(handler).toHaveBeenCalledWith({ round: 2 });
+        });
+
+        test('playerRenamed fires only when the name changes', () => {
+            const handler = vi.fn();
+            game.on('playerRenamed', handler);
+            game.modifyPlayerName(1, 'Ben');
+            game.modifyPlayerName(1, 'Ben');
+            game.modifyPlayerName(1, '');
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler).toHaveBeenCalledWith({ playerIndex: 1, name: 'Ben', previousName: 'Player 2' });
+        });
+
+        test('gameFinished fires once after the last round', () => {
+            const handler = vi.fn();
+            game.on('gameFinished', handler);
+            game.runGameLoop();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler.mock.calls[0][0].players).toEqual(game.getPlayers());
+        });
+
+        test('gameReset fires on reset', () => {
+            const handler = vi.fn();
+            game.on('gameReset', handler);
+            game.resetGame();
+            expect(handler).toHaveBeenCalledTimes(1);
+        });
+
+        test('handlers can be removed', () => {
+            const handler = vi.fn();
+            const off = game.on('roundResolved', handler);
+            off();
+            game.runRound();
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        test('rejects unknown event names', () => {
+            expect(() => game.on('roundStarted', () => {})).toThrow(/Unknown event/);
+        });
+    });
+
+    /**
+     * Test the game phase state machine
+     * Verifies, for every action in every phase:
+     * - Allowed actions succeed and move to the expected phase
+     * - Rejected actions return a typed error and leave the game unchanged
+     */
+    describe('Phases', () => {
+        // Builds a game in the requested phase
+        const inPhase = {
+            setup: () => createGameLogic(null, { seed: 11 }),
+            playing: () => {
+                const g = createGameLogic(null, { seed: 11 });
+                g.runRound();
+                return g;
+            },
+            finished: () => {
+                const g = createGameLogic(null, { seed: 11 });
+                g.runGameLoop();
+                return g;
+            },
+        };
+
+        // Picking cards and taking turns need hands and turns, so those actions get a
+        // hot-seat game with two people; the first turn of a round already ends setup
+        const handTurnConfig = { dealMode: 'hand', turnMode: 'turns', playerCount: 2, strategies: ['human', 'human'] };
+        const inHandTurnPhase = {
+            setup: () => createGameLogic(null, { config: handTurnConfig, seed: 11 }),
+            playing: () => {
+                const g = createGameLogic(null, { config: handTurnConfig, seed: 11 });
+                g.takeTurn(0);
+                return g;
+            },
+            finished: () => {
+                const g = createGameLogic(null, { config: handTurnConfig, seed: 11 });
+                while (g.takeTurn(0).ok);
+                return g;
+            },
+        };
+        const HAND_TURN_ACTIONS = ['playCard', 'takeTurn', 'undoTurn'];
+        const fixtureFor = (phase, action) =>
+            (HAND_TURN_ACTIONS.includes(action) ? inHandTurnPhase : inPhase)[phase]();
+
+        const actions = {
+            modifyPlayerName: (g) => g.modifyPlayerName(0, 'Zoe'),
+            addPlayer: (g) => g.addPlayer(),
+            removePlayer: (g) => g.removePlayer(0),
+            runRound: (g) => g.runRound(),
+            runGameLoop: (g) => g.runGameLoop(),
+            undoLastRound: (g) => g.undoLastRound(),
+            redoRound: (g) => g.redoRound(),
+            goToRound: (g) => g.goToRound(0),
+            setGameState: (g) => g.setGameState(fullState(g)),
+            importGame: (g) => g.importGame(g.exportGame()),
+            resetGame: (g) => g.resetGame(),
+            playCard: (g) => g.playCard(1, 0),
+            takeTurn: (g) => g.takeTurn(0),
+            undoTurn: (g) => g.undoTurn(),
+        };
+
+        // [phase, action, expected phase afterwards or error code]
+        const transitions = [
+            ['setup', 'modifyPlayerName', 'setup'],
+            ['setup', 'addPlayer', 'setup'],
+            ['setup', 'removePlayer', 'setup'],
+            ['setup', 'runRound', 'playing'],
+            ['setup', 'runGameLoop', 'finished'],
+            ['setup', 'undoLastRound', 'WRONG_PHASE'],
+            ['setup', 'redoRound', 'NOTHING_TO_REDO'],
+            ['setup', 'goToRound', 'setup'],
+            ['setup', 'setGameState', 'setup'],
+            ['setup', 'importGame', 'setup'],
+            ['setup', 'resetGame', 'setup'],
+            ['setup', 'playCard', 'setup'],
+            ['setup', 'takeTurn', 'playing'],
+            ['setup', 'undoTurn', 'WRONG_PHASE'],
+
+            ['playing', 'modifyPlayerName', 'WRONG_PHASE'],
+            ['playing', 'addPlayer', 'WRONG_PHASE'],
+            ['playing', 'removePlayer', 'WRONG_PHASE'],
+            ['playing', 'runRound', 'playing'],
+            ['playing', 'runGameLoop', 'finished'],
+            ['playing', 'undoLastRound', 'setup'],
+            ['playing', 'redoRound', 'NOTHING_TO_REDO'],
+            ['playing', 'goToRound', 'setup'],
+            ['playing', 'setGameState', 'playing'],
+            ['playing', 'importGame', 'playing'],
+            ['playing', 'resetGame', 'setup'],
+            ['playing', 'playCard', 'playing'],
+            ['playing', 'takeTurn', 'playing'],
+            ['playing', 'undoTurn', 'setup'],
+
+            ['finished', 'modifyPlayerName', 'WRONG_PHASE'],
+            ['finished', 'addPlayer', 'WRONG_PHASE'],
+            ['finished', 'removePlayer', 'WRONG_PHASE'],
+            ['finished', 'runRound', 'WRONG_PHASE'],
+            ['finished', 'runGameLoop', 'WRONG_PHASE'],
+            ['finished', 'undoLastRound', 'playing'],
+            ['finished', 'redoRound', 'WRONG_PHASE'],
+            ['finished', 'goToRound', 'setup'],
+            ['finished', 'setGameState', 'finished'],
+            ['finished', 'importGame', 'finished'],
+            ['finished', 'resetGame', 'setup'],
+            ['finished', 'playCard', 'WRONG_PHASE'],
+            ['finished', 'takeTurn', 'WRONG_PHASE'],
+            ['finished', 'undoTurn', 'WRONG_PHASE'],
+        ];
+
+        test('fixtures start in the named phase', () => {
+            for (const phase of Object.keys(inPhase)) {
+                expect(inPhase[phase]().getPhase()).toBe(phase);
+                expect(inHandTurnPhase[phase]().getPhase()).toBe(phase);
+            }
+        });
+
+        test.each(transitions)('%s: %s -> %s', (phase, action, expected) => {
+            const g = fixtureFor(phase, action);
+            const before = fullState(g);
+            const result = actions[action](g);
+
+            if (['setup', 'playing', 'finished'].includes(expected)) {
+                expect(result.ok).toBe(true);
+                expect(g.getPhase()).toBe(expected);
+            } else {
+                expect(result.ok).toBe(false);
+                expect(result.error.code).toBe(expected);
+                expect(typeof result.error.message).toBe('string');
+                expect(fullState(g)).toEqual(before);
+                expect(g.getPhase()).toBe(phase);
+            }
+        });
+
+        test('wrong-phase errors name the action and phase', () => {
+            const result = inPhase.finished().runRound();
+            expect(result.error).toMatchObject({ code: 'WRONG_PHASE', action: 'runRound', phase: 'finished' });
+        });
+
+        test('every guarded action has a row for every phase', () => {
+            const covered = new Set(transitions.map(([phase, action]) => `${phase}:${action}`));
+            for (const action of Object.keys(ALLOWED_PHASES)) {
+                for (const phase of Object.keys(inPhase)) {
+                    expect(covered.has(`${phase}:${action}`)).toBe(true);
+                }
+            }
+        });
+
+        test('redo is allowed in setup and playing once something was undone', () => {
+            const g = inPhase.playing();
+            g.undoLastRound();
+            expect(g.getPhase()).toBe('setup');
+            expect(g.redoRound().ok).toBe(true);
+            expect(g.getPhase()).toBe('playing');
+
+            g.runRound();
+            g.undoLastRound();
+            expect(g.redoRound().ok).toBe(true);
+        });
+
+        test('undo without history in a resumed game reports NOTHING_TO_UNDO', () => {
+            const resumed = createGameLogic(fullState(inPhase.playing()));
+            expect(resumed.undoLastRound().error.code).toBe('NOTHING_TO_UNDO');
+        });
+
+        test('invalid arguments return typed errors', () => {
+            const g = inPhase.setup();
+            expect(g.modifyPlayerName(9, 'Zoe').error.code).toBe('INVALID_PLAYER');
+            expect(g.modifyPlayerName(0, '').error.code).toBe('INVALID_NAME');
+            expect(g.goToRound(4).error.code).toBe('INVALID_ROUND');
+            expect(g.setGameState(null).error.code).toBe('INVALID_STATE');
+            expect(g.importGame('nope').error.code).toBe('INVALID_REPLAY');
+        });
+
+        test('phase is restored with a saved state', () => {
+            expect(createGameLogic(fullState(inPhase.finished())).getPhase()).toBe('finished');
+        });
+    });
+
+    /**
+     * Test per-player statistics
+     * Verifies (using stacked decks):
+     * - Rounds won, ties, average and highest card
+     * - Longest win streak
+     * - Stats follow undo
+     */
+    describe('getPlayerStats', () => {
+        const createWithDeck = (config, deck) => {
+            const g = createGameLogic(null, { config });
+            g.setGameState({ ...fullState(g), deck });
+            return g;
+        };
+
+        test('is empty before the first round', () => {
+            expect(createGameLogic().getPlayerStats()[0]).toEqual({
+                roundsWon: 0, ties: 0, averageCard: null, highestCard: null, longestWinStreak: 0
+            });
+        });
+
+        test('counts rounds won, ties and cards dealt', () => {
+            const g = createWithDeck({ playerCount: 2 }, [9, 2, 5, 5, 12, 3, 1, 4, 7, 6]);
+            g.runGameLoop();
+
+            expect(g.getPlayerStats()).toEqual([
+                { roundsWon: 4, ties: 1, averageCard: 34 / 5, highestCard: 12, longestWinStreak: 3 },
+                { roundsWon: 2, ties: 1, averageCard: 4, highestCard: 6, longestWinStreak: 1 },
+            ]);
+        });
+
+        test('ranks standard cards by the game rules', () => {
+            const g = createWithDeck(
+                { playerCount: 2, deckType: 'standard', totalRounds: 2 },
+                [{ rank: 1, suit: 'clubs' }, { rank: 13, suit: 'clubs' }, { rank: 12, suit: 'hearts' }, { rank: 2, suit: 'spades' }]
+            );
+            g.runGameLoop();
+
+            const [first] = g.getPlayerStats();
+            expect(first.highestCard).toEqual({ rank: 1, suit: 'clubs' });
+            expect(first.averageCard).toBe(13);
+        });
+
+        test('follows undo', () => {
+            const g = createWithDeck({ playerCount: 2 }, [9, 2, 5, 5]);
+            g.runRound();
+            g.runRound();
+            g.undoLastRound();
+            expect(g.getPlayerStats()[0]).toMatchObject({ roundsWon: 1, ties: 0 });
+        });
+    });
+
+    /**
+     * Test the scoring modes
+     * Verifies (using stacked decks) each mode's points, winners and end of game:
+     * - Highest card wins (default)
+     * - Lowest card wins
+     * - Winning margin over the second-highest card
+     * - Cumulative card values
+     * - Elimination of the lowest card until one player is left
+     */
+    describe('Scoring modes', () => {
+        const createWithDeck = (config, deck) => {
+            const g = createGameLogic(null, { config });
+            g.setGameState({ ...fullState(g), deck });
+            return g;
+        };
+        const scores = (g) => g.getPlayers().map(p => p.score);
+
+        describe('highest', () => {
+            test('is the default mode', () => {
+                expect(createGameLogic().getConfig().scoringMode).toBe('highest');
+            });
+
+            test('awards the points per win to the highest card', () => {
+                const g = createWithDeck({ pointsPerScore: 3 }, [2, 9, 5, 1]);
+                g.runRound();
+                expect(scores(g)).toEqual([0, 3, 0, 0]);
+            });
+        });
+
+        describe('lowest', () => {
+            test('awards the points to the lowest card', () => {
+                const g = createWithDeck({ scoringMode: 'lowest' }, [2, 9, 5, 1]);
+                g.runRound();
+                expect(scores(g)).toEqual([0, 0, 0, 1]);
+                expect(g.getLastRoundResult().winners).toEqual([3]);
+            });
+
+            test('ties on the lowest card use the tie policy', () => {
+                const g = createWithDeck({ scoringMode: 'lowest', tiePolicy: 'split' }, [1, 9, 5, 1]);
+                g.runRound();
+                expect(scores(g)).toEqual([0.5, 0, 0, 0.5]);
+                expect(g.getLastRoundResult()).toMatchObject({ tied: [0, 3], tiePolicy: 'split' });
+            });
+
+            test('sudden death re-draws are won by the lowest card', () => {
+                const g = createWithDeck({ scoringMode: 'lowest', tiePolicy: 'suddenDeath' }, [1, 9, 5, 1, 6, 2]);
+                g.runRound();
+                expect(g.getLastRoundResult().winners).toEqual([3]);
+            });
+        });
+
+        describe('margin', () => {
+            test('awards the difference to the second-highest card', () => {
+                const g = createWithDeck({ scoringMode: 'margin' }, [2, 9, 5, 1]);
+                g.runRound();
+                expect(scores(g)).toEqual([0, 4, 0, 0]);
+            });
+
+            test('ignores points per win', () => {
+                const g = createWithDeck({ scoringMode: 'margin', pointsPerScore: 5 }, [2, 9, 5, 1]);
+                g.runRound();
+                expect(scores(g)).toEqual([0, 4, 0, 0]);
+            });
+
+            test('a tie at the top is worth nothing', () => {
+                const g = createWithDeck({ scoringMode: 'margin' }, [9, 9, 5, 1]);
+                g.runRound();
+                expect(scores(g)).toEqual([0, 0, 0, 0]);
+                expect(g.getLastRoundResult()).toMatchObject({ tied: [0, 1], tiePolicy: 'awardAll' });
+            });
+
+            test('the winner also takes a carried-over pot', () => {
+                const g = createWithDeck({ scoringMode: 'margin' }, [2, 8, 5, 1]);
+                g.setGameState({ ...fullState(g), pot: 2 });
+                g.runRound();
+                expect(scores(g)).toEqual([0, 5, 0, 0]);
+            });
+        });
+
+        describe('cumulative', () => {
+            test('every player adds their card value', () => {
+                const g = createWithDeck({ scoringMode: 'cumulative' }, [2, 9, 5, 1, 3, 3, 3, 3]);
+                g.runRound();
+                g.runRound();
+                expect(scores(g)).toEqual([5, 12, 8, 4]);
+                expect(g.getLastRoundResult().scoreDeltas).toEqual([3, 3, 3, 3]);
+            });
+
+            test('reports the top card as the winner without applying a tie policy', () => {
+                const g = createWithDeck({ scoringMode: 'cumulative', tiePolicy: 'carryOver' }, [9, 9, 5, 1]);
+                g.runRound();
+                expect(g.getLastRoundResult()).toMatchObject({ winners: [0, 1], tied: [], tiePolicy: null });
+                expect(g.getPot()).toBe(0);
+            });
+
+            test('standard decks add face values with aces high', () => {
+                const g = createWithDeck(
+                    { scoringMode: 'cumulative', deckType: 'standard' },
+                    [{ rank: 1, suit: 'clubs' }, { rank: 13, suit: 'clubs' }, { rank: 2, suit: 'clubs' }, { rank: 3, suit: 'clubs' }]
+                );
+                g.runRound();
+                expect(scores(g)).toEqual([14, 13, 2, 3]);
+            });
+        });
+
+        describe('elimination', () => {
+            test('knocks out the lowest card and scores the survivors', () => {
+                const g = createWithDeck({ scoringMode: 'elimination' }, [2, 9, 5, 1]);
+                g.runRound();
+
+                expect(g.getLastRoundResult()).toMatchObject({ eliminated: [3], winners: [0, 1, 2] });
+                expect(g.getPlayers().map(p => p.eliminated)).toEqual([false, false, false, true]);
+                expect(scores(g)).toEqual([1, 1, 1, 0]);
+            });
+
+            test('knocked-out players are not dealt cards', () => {
+                const g = createWithDeck({ scoringMode: 'elimination' }, [2, 9, 5, 1, 4, 6, 7, 8]);
+                g.runRound();
+                g.runRound();
+
+                expect(g.getLastRoundResult().cards).toEqual([4, 6, 7, null]);
+                expect(g.getRemainingCards()).toBe(1);
+            });
+
+            test('the game ends when one player is left', () => {
+                const g = createWithDeck({ scoringMode: 'elimination' }, [2, 9, 5, 1, 4, 6, 7, 8, 3, 10]);
+                g.runGameLoop();
+
+                expect(g.getCurrentRound()).toBe(3);
+                expect(g.getPhase()).toBe('finished');
+                expect(g.getPlayers().filter(p => !p.eliminated).map(p => p.name)).toEqual(['Player 2']);
+                expect(scores(g)).toEqual([1, 3, 2, 0]);
+            });
+
+            test('everyone tied for lowest is knocked out', () => {
+                const g = createWithDeck({ scoringMode: 'elimination' }, [2, 9, 2, 5]);
+                g.runRound();
+                expect(g.getLastRoundResult().eliminated).toEqual([0, 2]);
+            });
+
+            test('nobody is knocked out when every player is tied', () => {
+                const g = createWithDeck({ scoringMode: 'elimination' }, [4, 4, 4, 4]);
+                g.runRound();
+                expect(g.getLastRoundResult().eliminated).toEqual([]);
+                expect(scores(g)).toEqual([1, 1, 1, 1]);
+            });
+
+            test('undo brings knocked-out players back', () => {
+                const g = createWithDeck({ scoringMode: 'elimination' }, [2, 9, 5, 1]);
+                g.runRound();
+                g.undoLastRound();
+                expect(g.getPlayers().some(p => p.eliminated)).toBe(false);
+            });
+        });
+    });
+
+    /**
+     * Test the hand-based variant
+     * Verifies (using stacked decks):
+     * - Hands are dealt up front and kept out of getPlayers
+     * - Humans pick with playCard and bots follow their strategies
+     * - Rounds wait for every human, and undo/save restore hands
+     */
+    describe('Hand mode', () => {
+        const handConfig = (config = {}) => ({ dealMode: 'hand', playerCount: 2, totalRounds: 3, ...config });
+        // Stacks the deck so player 1 is dealt [1, 2, 3] and player 2 [4, 5, 6]
+        const createWithHands = (config) => {
+            const g = createGameLogic(null, { config: handConfig(config), seed: 1 });
+            const state = fullState(g);
+            g.setGameState({ ...state, hands: [[1, 2, 3], [4, 5, 6]] });
+            return g;
+        };
+
+        test('deals every hand from the deck when the game starts', () => {
+            const g = createGameLogic(null, { config: handConfig(), seed: 1 });
+            expect(g.getHandSizes()).toEqual([3, 3]);
+            expect(g.getRemainingCards()).toBe(40 - 6);
+            expect(g.getPlayers()[0]).not.toHaveProperty('hand');
+        });
+
+        test('hands are only handed out one player at a time', () => {
+            const g = createWithHands();
+            expect(g.getHand(0)).toEqual([1, 2, 3]);
+            expect(g.getHand(1)).toEqual([4, 5, 6]);
+            // Changing the returned copy leaves the hand alone
+            g.getHand(0).pop();
+            expect(g.getHandSizes()).toEqual([3, 3]);
+        });
+
+        test('a round waits for every human to pick a card', () => {
+            const g = createWithHands();
+            const result = g.runRound();
+            expect(result.error).toMatchObject({ code: 'AWAITING_PLAY', players: [0] });
+            expect(g.getAwaitingPlayers()).toEqual([0]);
+            expect(g.getCurrentRound()).toBe(0);
+        });
+
+        test('humans play the card they picked and bots play by strategy', () => {
+            const g = createWithHands({ strategies: ['human', 'lowestFirst'] });
+            expect(g.playCard(0, 2).ok).toBe(true);
+            expect(g.getPendingPlays()).toEqual([true, false]);
+            g.runRound();
+
+            expect(g.getLastRoundResult().cards).toEqual([3, 4]);
+            expect(g.getHand(0)).toEqual([1, 2]);
+            expect(g.getHand(1)).toEqual([5, 6]);
+            expect(g.getPendingPlays()).toEqual([false, false]);
+        });
+
+        test('a pick can be changed until the round is played', () => {
+            const g = createWithHands({ strategies: ['human', 'highestFirst'] });
+            g.playCard(0, 0);
+            g.playCard(0, 1);
+            g.runRound();
+            expect(g.getLastRoundResult().cards).toEqual([2, 6]);
+        });
+
+        test('all-bot games play through with runGameLoop', () => {
+            const g = createWithHands({ strategies: ['highestFirst', 'lowestFirst'] });
+            expect(g.runGameLoop().ok).toBe(true);
+            expect(g.getRoundHistory().map(entry => entry.cards)).toEqual([[3, 4], [2, 5], [1, 6]]);
+            expect(g.getPhase()).toBe('finished');
+        });
+
+        test('runGameLoop stops when a human has to pick', () => {
+            const g = createWithHands();
+            expect(g.runGameLoop().error.code).toBe('AWAITING_PLAY');
+        });
+
+        test('random bots replay the same picks with the same seed', () => {
+            const play = () => {
+                const g = createGameLogic(null, { config: handConfig({ strategies: ['random', 'random'] }), seed: 9 });
+                g.runGameLoop();
+                return g.getRoundHistory().map(entry => entry.cards);
+            };
+            expect(play()).toEqual(play());
+        });
+
+        test('rejects bad picks', () => {
+            const g = createWithHands();
+            expect(g.playCard(0, 3).error.code).toBe('INVALID_CARD');
+            expect(g.playCard(5, 0).error.code).toBe('INVALID_PLAYER');
+            expect(createGameLogic().playCard(0, 0).error.code).toBe('WRONG_MODE');
+        });
+
+        test('playCard is not allowed once the game is finished', () => {
+            const g = createWithHands({ strategies: ['random', 'random'] });
+            g.runGameLoop();
+            expect(g.playCard(0, 0).error.code).toBe('WRONG_PHASE');
+        });
+
+        test('undo puts the played cards back in hand', () => {
+            const g = createWithHands({ strategies: ['human', 'lowestFirst'] });
+            g.playCard(0, 1);
+            g.runRound();
+            g.undoLastRound();
+            expect(g.getHand(0)).toEqual([1, 2, 3]);
+            expect(g.getHand(1)).toEqual([4, 5, 6]);
+        });
+
+        test('the public game state leaves out the deck, hands and picks', () => {
+            const g = createWithHands();
+            g.playCard(0, 1);
+            const state = g.getGameState();
+            expect(state).not.toHaveProperty('deck');
+            expect(state).not.toHaveProperty('hands');
+            expect(state).not.toHaveProperty('pendingPlays');
+            expect(state).toMatchObject({ currentRound: 0, seed: 1, players: g.getPlayers() });
+            expect(g.getSaveState().hands).toEqual([[1, 2, 3], [4, 5, 6]]);
+        });
+
+        test('the viewer is the first human still to pick a card', () => {
+            const g = createGameLogic(null, { config: handConfig({ playerCount: 3, strategies: ['human', 'lowestFirst', 'human'] }), seed: 1 });
+            expect(g.getViewer()).toBe(0);
+            g.playCard(0, 0);
+            expect(g.getViewer()).toBe(2);
+            g.playCard(2, 0);
+            expect(g.getViewer()).toBeNull();
+            expect(createGameLogic().getViewer()).toBeNull();
+        });
+
+        test('saved games and replays keep hands and picks', () => {
+            const g = createWithHands();
+            g.playCard(0, 1);
+            const resumed = createGameLogic(g.getSaveState());
+            expect(resumed.getHand(0)).toEqual([1, 2, 3]);
+            expect(resumed.getPendingPlays()).toEqual([true, false]);
+
+            const other = createGameLogic();
+            expect(other.importGame(g.exportGame()).ok).toBe(true);
+            expect(other.getHand(1)).toEqual([4, 5, 6]);
+        });
+
+        test('validates strategies', () => {
+            expect(() => createGameLogic(null, { config: handConfig({ strategies: ['human'] }) })).toThrow('Strategies');
+            expect(() => createGameLogic(null, { config: handConfig({ strategies: ['human', 'psychic'] }) })).toThrow();
+        });
+    });
+
+    /**
+     * Test the standard 52-card deck mode
+     * Verifies:
+     * - Every card is dealt once with suits and ranks
+     * - Suit order breaks equal ranks inside resolveRound
+     * - Without a suit order equal ranks go to the tie policy
+     */
+    describe('Turn mode', () => {
+        const turnConfig = (config = {}) => ({ turnMode: 'turns', playerCount: 3, ...config });
+
+        test('players flip in seat order and the round is scored after the last turn', () => {
+            const g = createGameLogic(null, { config: turnConfig(), seed: 7 });
+            const together = createGameLogic(null, { config: turnConfig({ turnMode: 'simultaneous' }), seed: 7 });
+            together.runRound();
+
+            expect(g.getCurrentTurn()).toBe(0);
+            expect(g.takeTurn()).toMatchObject({ ok: true, playerIndex: 0, round: null });
+            expect(g.getCurrentTurn()).toBe(1);
+            g.takeTurn();
+            expect(g.getCurrentRound()).toBe(0);
+            expect(g.getPlayers().map(player => player.cardHeld !== null)).toEqual([true, true, false]);
+
+            const last = g.takeTurn();
+            expect(last.round).toEqual(together.getLastRoundResult());
+            expect(g.getCurrentRound()).toBe(1);
+            expect(g.getCurrentTurn()).toBe(0);
+        });
+
+        test('turns are only taken in turn-based games', () => {
+            const g = createGameLogic();
+            expect(g.getCurrentTurn()).toBeNull();
+            expect(g.takeTurn().error.code).toBe('WRONG_MODE');
+        });
+
+        test('the first turn ends setup', () => {
+            const g = createGameLogic(null, { config: turnConfig() });
+            g.takeTurn();
+            expect(g.getPhase()).toBe('playing');
+            expect(g.modifyPlayerName(0, 'Ann').error.code).toBe('WRONG_PHASE');
+        });
+
+        test('last round\'s cards leave the table when the next round starts', () => {
+            const g = createGameLogic(null, { config: turnConfig() });
+            g.runRound();
+            g.takeTurn();
+            expect(g.getPlayers().map(player => player.cardHeld !== null)).toEqual([true, false, false]);
+        });
+
+        test('undoTurn takes turns back one at a time', () => {
+            const g = createGameLogic(null, { config: turnConfig(), seed: 3 });
+            const first = g.takeTurn().card;
+            g.takeTurn();
+
+            expect(g.undoTurn().ok).toBe(true);
+            expect(g.getCurrentTurn()).toBe(1);
+            expect(g.getPlayers()[1].cardHeld).toBeNull();
+            expect(g.undoTurn().ok).toBe(true);
+            expect(g.getCurrentTurn()).toBe(0);
+            expect(g.getPhase()).toBe('setup');
+            // The card goes back on the deck, so the same card is flipped again
+            expect(g.takeTurn().card).toEqual(first);
+        });
+
+        test('undoTurn fails when no turn has been taken this round', () => {
+            const g = createGameLogic(null, { config: turnConfig() });
+            g.runRound();
+            const result = g.undoTurn();
+            expect(result.error.code).toBe('NOTHING_TO_UNDO');
+        });
+
+        test('undoLastRound takes a round under way back to its start, then undoes whole rounds', () => {
+            const g = createGameLogic(null, { config: turnConfig() });
+            g.runRound();
+            const afterFirstRound = fullState(g);
+            g.takeTurn();
+            g.takeTurn();
+
+            g.undoLastRound();
+            expect(fullState(g)).toEqual(afterFirstRound);
+            expect(g.undoTurn().error.code).toBe('NOTHING_TO_UNDO');
+            g.undoLastRound();
+            expect(g.getCurrentRound()).toBe(0);
+        });
+
+        test('runRound plays the rest of a round under way', () => {
+            const g = createGameLogic(null, { config: turnConfig(), seed: 5 });
+            const together = createGameLogic(null, { config: turnConfig(), seed: 5 });
+            g.takeTurn();
+            g.runRound();
+            together.runRound();
+
+            expect(g.getLastRoundResult()).toEqual(together.getLastRoundResult());
+            // Undoing it goes back to before the first turn
+            g.undoLastRound();
+            expect(g.getTurnsTaken()).toBe(0);
+            expect(g.getCurrentRound()).toBe(0);
+        });
+
+        test('knocked-out players are skipped', () => {
+            // Seed 14 knocks out only the middle player; a tie for lowest could knock out two
+            // and end the game, leaving no turns to take
+            const g = createGameLogic(null, { config: turnConfig({ scoringMode: 'elimination' }), seed: 14 });
+            g.runRound();
+            expect(g.getLastRoundResult().eliminated).toEqual([1]);
+            const turns = [];
+            while (g.getCurrentRound() === 1 && turns.length < 3) {
+                turns.push(g.getCurrentTurn());
+                expect(g.takeTurn().ok).toBe(true);
+            }
+            expect(turns).toEqual([0, 2]);
+        });
+
+        test('in hand mode humans choose the card to flip and bots pick their own', () => {
+            const g = createGameLogic(null, {
+                config: turnConfig({ playerCount: 2, totalRounds: 3, dealMode: 'hand', strategies: ['human', 'highestFirst'] }),
+                seed: 1,
+            });
+            g.setGameState({ ...fullState(g), hands: [[1, 2, 3], [4, 5, 6]] });
+
+            expect(g.takeTurn().error.code).toBe('INVALID_CARD');
+            expect(g.takeTurn(5).error.code).toBe('INVALID_CARD');
+            expect(g.takeTurn(1).card).toBe(2);
+            expect(g.takeTurn().card).toBe(6);
+            expect(g.getHand(0)).toEqual([1, 3]);
+        });
+
+        test('in hand mode the viewer is the human whose turn it is', () => {
+            const g = createGameLogic(null, {
+                config: turnConfig({ dealMode: 'hand', strategies: ['human', 'highestFirst', 'human'] }),
+                seed: 1,
+            });
+            expect(g.getViewer()).toBe(0);
+            g.takeTurn(0);
+            // A bot's turn has nobody to show cards to
+            expect(g.getViewer()).toBeNull();
+            g.takeTurn();
+            expect(g.getViewer()).toBe(2);
+        });
+
+        test('a reloaded save keeps the round under way and its turn undo', () => {
+            const g = createGameLogic(null, { config: turnConfig() });
+            g.takeTurn();
+            g.takeTurn();
+            const restored = createGameLogic(g.getSaveState());
+
+            expect(restored.getCurrentTurn()).toBe(2);
+            expect(restored.undoTurn().ok).toBe(true);
+            expect(restored.getCurrentTurn()).toBe(1);
+        });
+
+        test('emits turnTaken for each turn and turnUndone when one is taken back', () => {
+            const g = createGameLogic(null, { config: turnConfig() });
+            const taken = vi.fn();
+            const undone = vi.fn();
+            g.on('turnTaken', taken);
+            g.on('turnUndone', undone);
+
+            g.takeTurn();
+            g.undoTurn();
+            expect(taken).toHaveBeenCalledWith({ playerIndex: 0, card: expect.any(Number) });
+            expect(undone).toHaveBeenCalledWith({ playerIndex: 0 });
+        });
+    });
+
+    describe('Standard deck', () => {
+        const card = (rank, suit) => ({ rank, suit });
+        const createWithDeck = (config, deck) => {
+            const g = createGameLogic(null, { config: { deckType: 'standard', ...config } });
+            g.setGameState({ ...fullState(g), deck });
+            return g;
+        };
+
+        test('deals all 52 cards once', () => {
+            const g = createGameLogic(null, { config: { deckType: 'standard' } });
+            const dealt = [];
+            while (g.runRound().ok) {
+                dealt.push(...g.getPlayers().map(p => `${p.cardHeld.rank}${p.cardHeld.suit}`));
+            }
+            expect(g.getTotalRounds()).toBe(13);
+            expect(new Set(dealt).size).toBe(52);
+        });
+
+        test('ace high beats a king', () => {
+            const g = createWithDeck({}, [card(1, 'clubs'), card(13, 'spades'), card(2, 'hearts'), card(3, 'hearts')]);
+            g.runRound();
+            expect(g.getLastRoundResult().winners).toEqual([0]);
+        });
+
+        test('ace low loses to a king', () => {
+            const g = createWithDeck(
+                { aceHigh: false },
+                [card(1, 'clubs'), card(13, 'spades'), card(2, 'hearts'), card(3, 'hearts')]
+            );
+            g.runRound();
+            expect(g.getLastRoundResult().winners).toEqual([1]);
+        });
+
+        test('suit order breaks equal ranks', () => {
+            const g = createWithDeck(
+                { suitOrder: ['clubs', 'diamonds', 'hearts', 'spades'] },
+                [card(9, 'hearts'), card(9, 'spades'), card(9, 'clubs'), card(3, 'hearts')]
+            );
+            g.runRound();
+
+            const result = g.getLastRoundResult();
+            expect(result.winners).toEqual([1]);
+            expect(result.tiePolicy).toBe(null);
+            expect(result.suitTiebreak).toBe(true);
+        });
+
+        test('without a suit order equal ranks use the tie policy', () => {
+            const g = createWithDeck(
+                { tiePolicy: 'split' },
+                [card(9, 'hearts'), card(9, 'spades'), card(2, 'clubs'), card(3, 'hearts')]
+            );
+            g.runRound();
+
+            expect(g.getLastRoundResult()).toMatchObject({ tied: [0, 1], tiePolicy: 'split', suitTiebreak: false });
+            expect(g.getPlayers().map(p => p.score)).toEqual([0.5, 0.5, 0, 0]);
+        });
+
+        test('sudden death re-draws compare standard cards', () => {
+            const g = createWithDeck(
+                { tiePolicy: 'suddenDeath' },
+                [card(9, 'hearts'), card(9, 'spades'), card(2, 'clubs'), card(3, 'hearts'), card(4, 'clubs'), card(1, 'clubs')]
+            );
+            g.runRound();
+            expect(g.getLastRoundResult().winners).toEqual([1]);
+        });
+
+        test('replays of standard games round-trip', () => {
+            const g = createGameLogic(null, { config: { deckType: 'standard' } });
+            g.runRound();
+            const other = createGameLogic();
+            expect(other.importGame(g.exportGame()).ok).toBe(true);
+            expect(fullState(other)).toEqual(fullState(g));
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,46 @@
+import { describe, test, expect } from 'vitest';
+import { botStrategies, dealHands, defaultStrategies } from '../hands';
+
+const compare = (a, b) => a - b;
+const pick = (strategy, hand, extra = {}) =>
+    botStrategies[strategy]({ hand, compare, random: () => 0.5, totalRounds: 6, ...extra });
+
+/**
+ * Test suite for hand-based play helpers
+ * Tests cover:
+ * - Dealing hands from the top of the deck
+ * - Default seat strategies
+ * - Each bot strategy's pick
+ */
+describe('Hands', () => {
+    test('deals each player a hand from the top of the deck', () => {
+        const deck = [1, 2, 3, 4, 5, 6, 7];
+        expect(dealHands(deck, 2, 3)).toEqual([[1, 2, 3], [4, 5, 6]]);
+        expect(deck).toEqual([7]);
+    });
+
+    test('the first seat is human by default and the rest are bots', () => {
+        expect(defaultStrategies(3)).toEqual(['human', 'random', 'random']);
+    });
+
+    test('random picks with the given random function', () => {
+        expect(pick('random', [4, 9, 2, 7])).toBe(2);
+        expect(pick('random', [4, 9, 2, 7], { random: () => 0 })).toBe(0);
+    });
+
+    test('highestFirst plays the best card', () => {
+        expect(pick('highestFirst', [4, 9, 2, 7])).toBe(1);
+    });
+
+    test('lowestFirst plays the worst card', () => {
+        expect(pick('lowestFirst', [4, 9, 2, 7])).toBe(2);
+    });
+
+    test('saveHighCards plays low until only its reserve is left', () => {
+        // 6 rounds keep a reserve of 2 cards for the end
+        expect(pick('saveHighCards', [4, 9, 2, 7])).toBe(2);
+        expect(pick('saveHighCards', [4, 9, 7])).toBe(0);
+        expect(pick('saveHighCards', [9, 7])).toBe(0);
+        expect(pick('saveHighCards', [7, 9])).toBe(1);
+    });
+});
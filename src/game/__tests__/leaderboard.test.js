@@ -0,0 +1,199 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import createGameLogic from '../gameLogic';
+import {
+    LEADERBOARD_KEY,
+    LEADERBOARD_SORTS,
+    MAX_RECORDED_GAMES,
+    addGameResult,
+    clearLeaderboard,
+    createEmptyLeaderboard,
+    getHeadToHeadRows,
+    getLeaderboardRows,
+    loadLeaderboard,
+    recordGame
+} from '../leaderboard';
+
+// Minimal stand-in for window.localStorage
+const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+// A game whose seats have been given names, so it counts towards the leaderboard
+const namedGame = (seed) => {
+    const game = createGameLogic(null, { seed });
+    ['Ann', 'Bob', 'Cy', 'Dee'].forEach((name, playerIndex) => game.modifyPlayerName(playerIndex, name));
+    return game;
+};
+
+const result = (gameId, scores) => ({
+    gameId,
+    players: Object.entries(scores).map(([name, score]) => ({ name, score })),
+});
+
+/**
+ * Test suite for the lifetime leaderboard
+ * Tests cover:
+ * - Games played, won and shared, total points and win rate by player name
+ * - Matching names like a game does, and leaving out default "Player N" seats
+ * - Head-to-head records between each pair of players
+ * - Recording finished games once each, even after undo and redo
+ * - Sorting, clearing and unreadable stored data
+ */
+describe('Leaderboard', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createMemoryStorage();
+    });
+
+    test('adds up games, outright and shared wins and points by name', () => {
+        let data = createEmptyLeaderboard();
+        data = addGameResult(data, result('a', { Ann: 5, Bob: 3, Cy: 2 }));
+        data = addGameResult(data, result('b', { ann: 4, Bob: 4 }));
+
+        expect(data.players).toEqual({
+            ann: { name: 'ann', gamesPlayed: 2, gamesWon: 1, gamesShared: 1, totalPoints: 9 },
+            bob: { name: 'Bob', gamesPlayed: 2, gamesWon: 0, gamesShared: 1, totalPoints: 7 },
+            cy: { name: 'Cy', gamesPlayed: 1, gamesWon: 0, gamesShared: 0, totalPoints: 2 },
+        });
+        expect(data.recordedGames).toEqual(['a', 'b']);
+    });
+
+    test('keeps head-to-head records from both sides', () => {
+        let data = createEmptyLeaderboard();
+        data = addGameResult(data, result('a', { Ann: 5, Bob: 3, Cy: 5 }));
+        data = addGameResult(data, result('b', { Ann: 1, Bob: 2 }));
+
+        expect(data.headToHead.ann.bob).toEqual({ wins: 1, losses: 1, draws: 0 });
+        expect(data.headToHead.bob.ann).toEqual({ wins: 1, losses: 1, draws: 0 });
+        expect(data.headToHead.ann.cy).toEqual({ wins: 0, losses: 0, draws: 1 });
+        expect(getHeadToHeadRows(data)).toEqual([
+            { key: 'ann|bob', name: 'Ann', opponent: 'Bob', wins: 1, losses: 1, draws: 0 },
+            { key: 'ann|cy', name: 'Ann', opponent: 'Cy', wins: 0, losses: 0, draws: 1 },
+            { key: 'bob|cy', name: 'Bob', opponent: 'Cy', wins: 0, losses: 1, draws: 0 },
+        ]);
+    });
+
+    test('matches names the way a game does, whatever their case and spacing', () => {
+        let data = createEmptyLeaderboard();
+        data = addGameResult(data, result('a', { 'Ann  Lee': 3, Bob: 1 }));
+        data = addGameResult(data, result('b', { 'ANN LEE': 2, Bob: 4 }));
+        expect(Object.keys(data.players)).toEqual(['ann lee', 'bob']);
+        expect(data.players['ann lee']).toMatchObject({ name: 'ANN LEE', gamesPlayed: 2 });
+    });
+
+    test('leaves out seats still called Player N, though they can still win', () => {
+        let data = createEmptyLeaderboard();
+        data = addGameResult(data, result('a', { Ann: 3, 'Player 2': 5, Bob: 1 }));
+        expect(Object.keys(data.players)).toEqual(['ann', 'bob']);
+        expect(data.players.ann).toMatchObject({ gamesPlayed: 1, gamesWon: 0 });
+        expect(Object.keys(data.headToHead.ann)).toEqual(['bob']);
+
+        const unnamed = addGameResult(data, result('b', { 'Player 1': 2, 'player 2': 1 }));
+        expect(unnamed).toBe(data);
+    });
+
+    test('the same game id is only added once', () => {
+        const data = addGameResult(createEmptyLeaderboard(), result('a', { Ann: 5, Bob: 3 }));
+        expect(addGameResult(data, result('a', { Ann: 1, Bob: 9 }))).toBe(data);
+    });
+
+    test('forgets the oldest game ids past the limit', () => {
+        const recordedGames = Array.from({ length: MAX_RECORDED_GAMES }, (_, index) => `g${index}`);
+        let data = { ...createEmptyLeaderboard(), recordedGames };
+        data = addGameResult(data, result('new', { Ann: 1, Bob: 0 }));
+        expect(data.recordedGames).toHaveLength(MAX_RECORDED_GAMES);
+        expect(data.recordedGames[0]).toBe('g1');
+        expect(data.recordedGames.at(-1)).toBe('new');
+    });
+
+    test('records a finished game once, even after undo and redo', () => {
+        const game = namedGame(8);
+        game.runRound();
+        expect(recordGame(game, storage)).toBe(false);
+
+        game.runGameLoop();
+        expect(recordGame(game, storage)).toBe(true);
+        game.undoLastRound();
+        game.redoRound();
+        expect(recordGame(game, storage)).toBe(false);
+        game.undoLastRound();
+        game.runRound();
+        expect(recordGame(game, storage)).toBe(false);
+
+        const data = loadLeaderboard(storage);
+        expect(data.recordedGames).toEqual([game.getGameId()]);
+        expect(data.players.ann.gamesPlayed).toBe(1);
+    });
+
+    test('a reset game is a new game', () => {
+        const game = namedGame(8);
+        game.runGameLoop();
+        recordGame(game, storage);
+        const firstId = game.getGameId();
+
+        game.resetGame();
+        expect(game.getGameId()).not.toBe(firstId);
+        // Resetting puts the default names back
+        game.modifyPlayerName(0, 'Ann');
+        game.runGameLoop();
+        expect(recordGame(game, storage)).toBe(true);
+        expect(loadLeaderboard(storage).players.ann.gamesPlayed).toBe(2);
+    });
+
+    test('resumed saves keep their game id', () => {
+        const game = namedGame(8);
+        game.runGameLoop();
+        recordGame(game, storage);
+        const resumed = createGameLogic(JSON.parse(JSON.stringify(game.getSaveState())));
+        expect(resumed.getGameId()).toBe(game.getGameId());
+        expect(recordGame(resumed, storage)).toBe(false);
+    });
+
+    test('sorts by any column in either direction, then by name', () => {
+        let data = createEmptyLeaderboard();
+        data = addGameResult(data, result('a', { Ann: 5, Bob: 3, Cy: 1 }));
+        data = addGameResult(data, result('b', { Bob: 6, Cy: 2 }));
+        data = addGameResult(data, result('c', { Bob: 1, Cy: 4 }));
+        const names = (...args) => getLeaderboardRows(data, ...args).map((row) => row.name);
+
+        expect(getLeaderboardRows(data)[0]).toMatchObject({ name: 'Ann', winRate: 1 });
+        expect(names()).toEqual(['Ann', 'Bob', 'Cy']);
+        expect(names(LEADERBOARD_SORTS.GAMES_PLAYED)).toEqual(['Bob', 'Cy', 'Ann']);
+        expect(names(LEADERBOARD_SORTS.TOTAL_POINTS, 'ascending')).toEqual(['Ann', 'Cy', 'Bob']);
+        expect(names(LEADERBOARD_SORTS.NAME, 'ascending')).toEqual(['Ann', 'Bob', 'Cy']);
+        expect(names(LEADERBOARD_SORTS.NAME, 'descending')).toEqual(['Cy', 'Bob', 'Ann']);
+    });
+
+    test('clears stored data and starts over from unreadable or other versions', () => {
+        const game = namedGame(8);
+        game.runGameLoop();
+        recordGame(game, storage);
+        clearLeaderboard(storage);
+        expect(storage.getItem(LEADERBOARD_KEY)).toBeNull();
+        expect(loadLeaderboard(storage)).toEqual(createEmptyLeaderboard());
+
+        storage.setItem(LEADERBOARD_KEY, '{broken');
+        expect(loadLeaderboard(storage)).toEqual(createEmptyLeaderboard());
+        storage.setItem(LEADERBOARD_KEY, JSON.stringify({ ...createEmptyLeaderboard(), version: 99 }));
+        expect(loadLeaderboard(storage)).toEqual(createEmptyLeaderboard());
+    });
+
+    test('carries on when storage is unavailable', () => {
+        const game = namedGame(8);
+        game.runGameLoop();
+        const broken = {
+            getItem: () => { throw new Error('denied'); },
+            setItem: () => { throw new Error('denied'); },
+            removeItem: () => { throw new Error('denied'); },
+        };
+        expect(recordGame(game, broken)).toBe(false);
+        expect(loadLeaderboard(broken)).toEqual(createEmptyLeaderboard());
+        expect(() => clearLeaderboard(broken)).not.toThrow();
+    });
+});
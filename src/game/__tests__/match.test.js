@@ -0,0 +1,223 @@
+import { describe, test, expect } from 'vitest';
+import createGameLogic from '../gameLogic';
+import createMatch, { validateMatchOptions } from '../match';
+
+// Ends the match's current game with the given final scores
+const finishGame = (match, scores) => {
+    const game = match.getCurrentGame();
+    const state = game.getSaveState();
+    game.setGameState({
+        ...state,
+        players: state.players.map((player, index) => ({ ...player, score: scores[index] })),
+        currentRound: state.totalRounds,
+        deck: [],
+    });
+};
+
+/**
+ * Test suite for multi-game matches
+ * Tests cover:
+ * - Match options and validation
+ * - Recording finished games and aggregate standings
+ * - Best-of-N and fixed-length formats, and the match winner
+ * - Seeds and names carried from game to game
+ * - Saving and resuming a match part of the way through
+ */
+describe('Match', () => {
+    test('defaults to a single game', () => {
+        const match = createMatch();
+        expect(match.getFormat()).toBe('fixed');
+        expect(match.getGames()).toBe(1);
+        expect(match.getGameNumber()).toBe(1);
+        expect(match.isMatchOver()).toBe(false);
+    });
+
+    test('validates match options', () => {
+        expect(validateMatchOptions({ format: 'bestOf', games: 5 })).toEqual([]);
+        expect(validateMatchOptions({ format: 'knockout', games: 5 })).toHaveLength(1);
+        expect(validateMatchOptions({ format: 'fixed', games: 0 })).toHaveLength(1);
+        expect(() => createMatch({ games: 1.5 })).toThrow('Invalid game config');
+    });
+
+    test('only counts a game once it is finished', () => {
+        const match = createMatch({ games: 3 });
+        match.getCurrentGame().runRound();
+        expect(match.getResults()).toEqual([]);
+
+        finishGame(match, [1, 4, 2, 0]);
+        expect(match.getResults()).toMatchObject([{ gameNumber: 1, scores: [1, 4, 2, 0], winners: [1] }]);
+    });
+
+    test('undoing the last round takes the result back out', () => {
+        const match = createMatch({ games: 3, config: { totalRounds: 2 } });
+        match.getCurrentGame().runGameLoop();
+        expect(match.getResults()).toHaveLength(1);
+
+        match.getCurrentGame().undoLastRound();
+        expect(match.getResults()).toEqual([]);
+    });
+
+    test('nextGame requires the current game to be finished', () => {
+        const match = createMatch({ games: 3 });
+        expect(match.nextGame().error.code).toBe('WRONG_PHASE');
+
+        finishGame(match, [1, 0, 0, 0]);
+        expect(match.nextGame()).toEqual({ ok: true, gameNumber: 2 });
+        expect(match.getCurrentGame().getPhase()).toBe('setup');
+    });
+
+    test('standings add up games won, shared games and points', () => {
+        const match = createMatch({ games: 3 });
+        finishGame(match, [3, 1, 0, 0]);
+        match.nextGame();
+        finishGame(match, [2, 2, 1, 0]);
+
+        expect(match.getStandings()).toEqual([
+            { playerIndex: 0, name: 'Player 1', gamesWon: 1, gamesShared: 1, totalPoints: 5 },
+            { playerIndex: 1, name: 'Player 2', gamesWon: 0, gamesShared: 1, totalPoints: 3 },
+            { playerIndex: 2, name: 'Player 3', gamesWon: 0, gamesShared: 0, totalPoints: 1 },
+            { playerIndex: 3, name: 'Player 4', gamesWon: 0, gamesShared: 0, totalPoints: 0 },
+        ]);
+    });
+
+    test('a fixed match plays every game', () => {
+        const match = createMatch({ format: 'fixed', games: 3 });
+        finishGame(match, [5, 0, 0, 0]);
+        match.nextGame();
+        finishGame(match, [5, 0, 0, 0]);
+        expect(match.isMatchOver()).toBe(false);
+        expect(match.getMatchWinners()).toBe(null);
+
+        match.nextGame();
+        finishGame(match, [0, 5, 0, 0]);
+        expect(match.isMatchOver()).toBe(true);
+        expect(match.getMatchWinners()).toEqual([0]);
+        expect(match.nextGame().error.code).toBe('MATCH_OVER');
+    });
+
+    test('best-of ends once the leader cannot be caught', () => {
+        const match = createMatch({ format: 'bestOf', games: 3 });
+        finishGame(match, [5, 0, 0, 0]);
+        expect(match.isMatchOver()).toBe(false);
+
+        match.nextGame();
+        finishGame(match, [5, 0, 0, 0]);
+        expect(match.isMatchOver()).toBe(true);
+        expect(match.getMatchWinners()).toEqual([0]);
+    });
+
+    test('equal games won are settled by total points', () => {
+        const match = createMatch({ format: 'fixed', games: 2 });
+        finishGame(match, [5, 1, 0, 0]);
+        match.nextGame();
+        finishGame(match, [0, 2, 0, 0]);
+        expect(match.getMatchWinners()).toEqual([0]);
+    });
+
+    test('each game uses the next seed after the previous one', () => {
+        const match = createMatch({ games: 3, seed: 41 });
+        expect(match.getCurrentGame().getSeed()).toBe(41);
+        finishGame(match, [1, 0, 0, 0]);
+        match.nextGame();
+        expect(match.getCurrentGame().getSeed()).toBe(42);
+    });
+
+    test('later games keep the setup and players', () => {
+        const match = createMatch({ games: 2, config: { playerCount: 4, tiePolicy: 'split' } });
+        match.getCurrentGame().modifyPlayerName(0, 'Ada');
+        match.getCurrentGame().removePlayer(1);
+        finishGame(match, [1, 0, 0]);
+        match.nextGame();
+
+        const game = match.getCurrentGame();
+        expect(game.getConfig()).toMatchObject({ playerCount: 3, tiePolicy: 'split' });
+        expect(game.getPlayers().map(({ id, name }) => `${id} ${name}`)).toEqual([
+            'p1 Ada',
+            'p3 Player 3',
+            'p4 Player 4',
+        ]);
+    });
+
+    test('the first game can be given its players', () => {
+        const match = createMatch({ config: { playerCount: 2 }, players: [{ id: 'p4', name: 'Ann' }] });
+        expect(match.getCurrentGame().getPlayers().map(p => p.name)).toEqual(['Ann', 'Player 2']);
+    });
+
+    test('restartGame re-deals the current game and keeps earlier results', () => {
+        const match = createMatch({ games: 3 });
+        finishGame(match, [1, 0, 0, 0]);
+        match.nextGame();
+        match.getCurrentGame().runRound();
+
+        match.restartGame();
+        expect(match.getGameNumber()).toBe(2);
+        expect(match.getCurrentGame().getCurrentRound()).toBe(0);
+        expect(match.getResults()).toHaveLength(1);
+    });
+
+    test('restartGame cannot throw away a finished game that has not been counted', () => {
+        const match = createMatch({ games: 3 });
+        finishGame(match, [1, 4, 2, 0]);
+        const finished = match.getCurrentGame();
+
+        expect(match.restartGame().error.code).toBe('WRONG_PHASE');
+        expect(match.getCurrentGame()).toBe(finished);
+        match.nextGame();
+        expect(match.getStandings()[1].gamesWon).toBe(1);
+
+        // A single game has no standings to keep, so it can be dealt again
+        const single = createMatch();
+        finishGame(single, [1, 0, 0, 0]);
+        expect(single.restartGame().ok).toBe(true);
+        expect(single.getResults()).toEqual([]);
+    });
+
+    test('accepts an existing game as the first game', () => {
+        const game = createGameLogic(null, { seed: 7 });
+        game.runRound();
+        const match = createMatch({ games: 2, game });
+        expect(match.getCurrentGame()).toBe(game);
+    });
+
+    test('picks a saved match back up from its save state and current game', () => {
+        const match = createMatch({ format: 'bestOf', games: 3, seed: 5 });
+        finishGame(match, [4, 1, 0, 0]);
+        match.nextGame();
+        match.getCurrentGame().runRound();
+
+        const resumed = createMatch({
+            ...JSON.parse(JSON.stringify(match.getSaveState())),
+            game: createGameLogic(match.getCurrentGame().getSaveState())
+        });
+        expect(resumed.getSaveState()).toEqual(match.getSaveState());
+        expect(resumed.getGameNumber()).toBe(2);
+        finishGame(resumed, [3, 0, 0, 0]);
+        expect(resumed.isMatchOver()).toBe(true);
+        expect(resumed.getMatchWinners()).toEqual([0]);
+    });
+
+    test('refuses earlier results that do not fit the match', () => {
+        const result = { gameNumber: 1, seed: 1, scores: [1, 0, 0, 0], winners: [0] };
+        expect(() => createMatch({ games: 1, results: [result] })).toThrow('Invalid game config');
+        expect(() => createMatch({ games: 3, results: 'none' })).toThrow('Invalid game config');
+    });
+
+    test('subscribers hear about changes to the current game and new games', () => {
+        const match = createMatch({ games: 2 });
+        let calls = 0;
+        match.subscribe(() => calls++);
+
+        match.getCurrentGame().runRound();
+        expect(calls).toBe(1);
+        finishGame(match, [1, 0, 0, 0]);
+        const firstGame = match.getCurrentGame();
+        match.nextGame();
+
+        // The finished game no longer reaches the match's subscribers
+        calls = 0;
+        firstGame.setGameState(firstGame.getSaveState());
+        expect(calls).toBe(0);
+        match.getCurrentGame().runRound();
+        expect(calls).toBe(1);
+    });
+});
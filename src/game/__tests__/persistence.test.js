@@ -0,0 +1,223 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import createGameLogic from '../gameLogic';
+import createMatch from '../match';
+import {
+    SAVE_KEY,
+    SAVE_VERSION,
+    clearSave,
+    loadSave,
+    migrateSave,
+    saveGame,
+    saveMatch
+} from '../persistence';
+
+// A state as version 1 saved it: no hands, picks, turns, player ids or game id
+const VERSION_1_FIELDS = ['players', 'currentRound', 'totalRounds', 'deck', 'config', 'pot', 'roundHistory', 'seed'];
+const asVersion1State = (state) => ({
+    ...Object.fromEntries(VERSION_1_FIELDS.map((field) => [field, state[field]])),
+    players: state.players.map((player) => {
+        const legacy = { ...player };
+        delete legacy.id;
+        return legacy;
+    }),
+});
+
+// Minimal stand-in for window.localStorage
+const createMemoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+/**
+ * Test suite for saving and resuming games
+ * Tests cover:
+ * - Round-tripping a game through storage, including undo history
+ * - Saving a match's format and earlier results along with its current game
+ * - Migrating older save formats, including version 1 saves from before hands, turns,
+ *   player ids and game ids
+ * - Rejecting unreadable or newer saves
+ */
+describe('Persistence', () => {
+    let storage;
+    let game;
+
+    beforeEach(() => {
+        storage = createMemoryStorage();
+        game = createGameLogic(null, { seed: 321 });
+    });
+
+    test('saves and resumes a game in progress', () => {
+        game.runRound();
+        game.runRound();
+        expect(saveGame(game, storage)).toBe(true);
+
+        const save = loadSave(storage);
+        expect(save.version).toBe(SAVE_VERSION);
+
+        const resumed = createGameLogic(save.game);
+        expect(resumed.getSaveState()).toEqual(game.getSaveState());
+    });
+
+    test('undo and redo still work after a reload', () => {
+        game.runRound();
+        game.runRound();
+        game.runRound();
+        game.undoLastRound();
+        saveGame(game, storage);
+
+        const resumed = createGameLogic(loadSave(storage).game);
+        expect(resumed.redoRound().ok).toBe(true);
+        expect(resumed.getCurrentRound()).toBe(3);
+
+        expect(resumed.goToRound(0).ok).toBe(true);
+        game.goToRound(0);
+        expect(resumed.getSaveState()).toEqual(game.getSaveState());
+    });
+
+    test('saves a match with its earlier results and resumes it', () => {
+        const match = createMatch({ format: 'bestOf', games: 3, seed: 321, config: { totalRounds: 2 } });
+        match.getCurrentGame().runGameLoop();
+        match.nextGame();
+        match.getCurrentGame().runRound();
+        expect(saveMatch(match, storage)).toBe(true);
+
+        const save = loadSave(storage);
+        expect(save.match).toEqual({ format: 'bestOf', games: 3, results: match.getResults() });
+        const resumed = createMatch({ ...save.match, game: createGameLogic(save.game) });
+        expect(resumed.getGameNumber()).toBe(2);
+        expect(resumed.getStandings()).toEqual(match.getStandings());
+        expect(resumed.getCurrentGame().getSaveState()).toEqual(match.getCurrentGame().getSaveState());
+    });
+
+    test('a game saved on its own has no match', () => {
+        saveGame(game, storage);
+        expect(loadSave(storage).match).toBe(null);
+    });
+
+    test('returns null when nothing is saved', () => {
+        expect(loadSave(storage)).toBe(null);
+    });
+
+    test('clearSave removes the save', () => {
+        saveGame(game, storage);
+        clearSave(storage);
+        expect(loadSave(storage)).toBe(null);
+    });
+
+    test('ignores corrupt saves', () => {
+        storage.setItem(SAVE_KEY, '{not json');
+        expect(loadSave(storage)).toBe(null);
+    });
+
+    test('reports failure when storage is unavailable', () => {
+        const fullStorage = {
+            ...storage,
+            setItem: () => {
+                throw new Error('QuotaExceededError');
+            }
+        };
+        expect(saveGame(game, fullStorage)).toBe(false);
+        expect(loadSave(undefined)).toBe(null);
+    });
+
+    describe('migrateSave', () => {
+        test('upgrades an unversioned state object', () => {
+            const legacy = {
+                players: [
+                    { name: 'Ann', cardHeld: 5, score: 2 },
+                    { name: 'Ben', cardHeld: 3, score: 1 },
+                    { name: 'Cat', cardHeld: 4, score: 0 },
+                    { name: 'Dan', cardHeld: 2, score: 1 }
+                ],
+                currentRound: 3,
+                totalRounds: 10
+            };
+
+            const migrated = migrateSave(legacy);
+            expect(migrated.version).toBe(SAVE_VERSION);
+            expect(migrated.game).toEqual({
+                ...legacy,
+                players: legacy.players.map((player, seat) => ({ ...player, id: `p${seat + 1}` })),
+                hands: null,
+                pendingPlays: [null, null, null, null],
+                turnsTaken: 0,
+                turnHistory: [],
+                gameId: expect.any(String)
+            });
+            expect(migrated.match).toBe(null);
+
+            const resumed = createGameLogic(migrated.game);
+            expect(resumed.getCurrentRound()).toBe(3);
+            expect(resumed.getRemainingCards()).toBe(28);
+        });
+
+        test('upgrades a version 1 save with undo and redo history', () => {
+            game.runRound();
+            game.runRound();
+            game.runRound();
+            game.undoLastRound();
+            const { undoHistory, redoStack, ...state } = game.getSaveState();
+            const version1 = {
+                version: 1,
+                savedAt: 'x',
+                game: {
+                    ...asVersion1State(state),
+                    undoHistory: undoHistory.map(asVersion1State),
+                    redoStack: redoStack.map(asVersion1State)
+                }
+            };
+
+            const migrated = migrateSave(JSON.parse(JSON.stringify(version1)));
+            expect(migrated.version).toBe(SAVE_VERSION);
+            const { gameId } = migrated.game;
+            expect(migrated.game.undoHistory.every((snapshot) => snapshot.gameId === gameId)).toBe(true);
+
+            const resumed = createGameLogic(migrated.game);
+            expect(resumed.getGameId()).toBe(gameId);
+            expect(resumed.getPlayers().map((player) => player.id)).toEqual(['p1', 'p2', 'p3', 'p4']);
+            expect(resumed.getPlayers()).toEqual(game.getPlayers());
+            expect(resumed.redoRound().ok).toBe(true);
+            expect(resumed.undoLastRound().ok).toBe(true);
+            expect(resumed.goToRound(0).ok).toBe(true);
+            game.goToRound(0);
+            expect(resumed.getGameState()).toEqual({ ...game.getGameState(), gameId });
+        });
+
+        test('keeps newer fields in saves still labelled version 1', () => {
+            const handGame = createGameLogic(null, {
+                seed: 5,
+                config: { dealMode: 'hand', turnMode: 'turns', playerCount: 2, strategies: ['human', 'human'] }
+            });
+            handGame.takeTurn(0);
+            const save = { version: 1, savedAt: 'x', game: handGame.getSaveState() };
+
+            const migrated = migrateSave(JSON.parse(JSON.stringify(save)));
+            expect(migrated).toEqual({ ...save, version: SAVE_VERSION, match: null });
+            const resumed = createGameLogic(migrated.game);
+            expect(resumed.getSaveState()).toEqual(handGame.getSaveState());
+            expect(resumed.undoTurn().ok).toBe(true);
+        });
+
+        test('leaves current saves unchanged', () => {
+            game.runRound();
+            const save = { version: SAVE_VERSION, savedAt: 'x', game: game.getSaveState(), match: null };
+            expect(migrateSave(save)).toEqual(save);
+        });
+
+        test('rejects saves from a newer version', () => {
+            expect(migrateSave({ version: SAVE_VERSION + 1, game: game.getSaveState() })).toBe(null);
+        });
+
+        test('rejects saves without a usable game', () => {
+            expect(migrateSave(null)).toBe(null);
+            expect(migrateSave('save')).toBe(null);
+            expect(migrateSave({ version: SAVE_VERSION, game: {} })).toBe(null);
+            expect(migrateSave({ version: 'one', game: game.getSaveState() })).toBe(null);
+            expect(migrateSave({ version: SAVE_VERSION, game: game.getSaveState(), match: { results: 2 } })).toBe(null);
+        });
+    });
+});
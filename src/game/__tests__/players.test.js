@@ -0,0 +1,64 @@
+import { describe, test, expect } from 'vitest';
+import {
+    MAX_NAME_LENGTH,
+    isDefaultPlayerName,
+    nextPlayerId,
+    nextPlayerName,
+    normalizePlayerName,
+    playerNameKey,
+    validatePlayerName,
+    withPlayerIds,
+} from '../players';
+
+/**
+ * Test suite for player names and ids
+ * Tests cover:
+ * - Name normalizing and validation
+ * - Default names and ids for new players, and telling default names apart
+ * - Ids for players saved before ids existed
+ */
+describe('Players', () => {
+    test('names are trimmed and inner spaces squeezed', () => {
+        expect(normalizePlayerName('  Ann \t  Lee ')).toBe('Ann Lee');
+    });
+
+    test('validatePlayerName explains what is wrong', () => {
+        expect(validatePlayerName('Ann')).toBeNull();
+        expect(validatePlayerName(' \n ')).toBe('Player names cannot be empty');
+        expect(validatePlayerName(42)).toBe('Player names cannot be empty');
+        expect(validatePlayerName('x'.repeat(MAX_NAME_LENGTH + 1))).toBe('Player names can be at most 15 characters');
+        // Length is counted after trimming
+        expect(validatePlayerName(` ${'x'.repeat(MAX_NAME_LENGTH)} `)).toBeNull();
+    });
+
+    test('names must differ from the others, ignoring case and spacing', () => {
+        expect(validatePlayerName('bob', ['Ann', 'Bob'])).toBe('Another player is already called bob');
+        expect(validatePlayerName('Ann  Lee', ['ann lee'])).toBe('Another player is already called Ann Lee');
+        expect(validatePlayerName('Bobby', ['Ann', 'Bob'])).toBeNull();
+    });
+
+    test('playerNameKey is what names are compared by', () => {
+        expect(playerNameKey(' Ann   LEE ')).toBe('ann lee');
+        expect(playerNameKey('Ann Lee')).toBe(playerNameKey('ann  lee'));
+    });
+
+    test('default names are told apart from chosen ones', () => {
+        expect(isDefaultPlayerName('Player 3')).toBe(true);
+        expect(isDefaultPlayerName(' player  12 ')).toBe(true);
+        expect(isDefaultPlayerName('Player 0')).toBe(false);
+        expect(isDefaultPlayerName('Player One')).toBe(false);
+        expect(isDefaultPlayerName('Ann')).toBe(false);
+    });
+
+    test('new players get the next free default name and id', () => {
+        const players = [{ id: 'p1', name: 'Player 1' }, { id: 'p3', name: 'Player 3' }];
+        expect(nextPlayerName(players)).toBe('Player 4');
+        expect(nextPlayerName([{ name: 'Ann' }])).toBe('Player 2');
+        expect(nextPlayerId(players)).toBe('p2');
+    });
+
+    test('withPlayerIds only fills in missing ids', () => {
+        const players = withPlayerIds([{ name: 'Ann' }, { id: 'p1', name: 'Bob' }, { id: '', name: 'Cy' }]);
+        expect(players.map(player => player.id)).toEqual(['p2', 'p1', 'p3']);
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect } from 'vitest';
+import { createRandom, generateSeed, normalizeSeed, validateSeed } from '../random';
+
+/**
+ * Test suite for the seeded random number generator
+ * Tests cover:
+ * - Determinism for a given seed
+ * - Output range
+ * - Seed normalization and validation of user input
+ */
+describe('Random', () => {
+    test('same seed yields the same sequence', () => {
+        const first = createRandom(2024);
+        const second = createRandom(2024);
+        for (let i = 0; i < 20; i++) {
+            expect(first()).toBe(second());
+        }
+    });
+
+    test('values fall within [0, 1)', () => {
+        const random = createRandom(1);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    test('generateSeed returns a 32-bit unsigned integer', () => {
+        const seed = generateSeed();
+        expect(Number.isInteger(seed)).toBe(true);
+        expect(seed).toBeGreaterThanOrEqual(0);
+        expect(seed).toBeLessThan(2 ** 32);
+    });
+
+    test('normalizeSeed handles user input', () => {
+        expect(normalizeSeed(12)).toBe(12);
+        expect(normalizeSeed('12')).toBe(12);
+        expect(normalizeSeed(-1)).toBe(2 ** 32 - 1);
+        expect(normalizeSeed('')).toBe(null);
+        expect(normalizeSeed('abc')).toBe(null);
+        expect(normalizeSeed(undefined)).toBe(null);
+    });
+
+    test('validateSeed accepts blank or whole numbers and explains anything else', () => {
+        expect(validateSeed('')).toBe(null);
+        expect(validateSeed(' 42 ')).toBe(null);
+        expect(validateSeed('-7')).toBe(null);
+        for (const seed of ['abc', '4.5', '12abc', '1e3']) {
+            expect(validateSeed(seed)).toBe('Seed must be a whole number, or blank for a random one');
+        }
+    });
+});
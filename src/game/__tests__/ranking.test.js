@@ -0,0 +1,44 @@
+import { describe, test, expect } from 'vitest';
+import { ordinal, rankPlayers } from '../ranking';
+
+const players = (...scores) => scores.map((score, index) => ({ name: `P${index + 1}`, score }));
+
+/**
+ * Test suite for scoreboard ranking
+ * Tests cover:
+ * - Ordinal suffixes past 3rd, including the teens and 21st/22nd/23rd
+ * - Competition ranking with shared places
+ */
+describe('Ranking', () => {
+    test('ordinal suffixes', () => {
+        expect([1, 2, 3, 4, 10].map(ordinal)).toEqual(['1st', '2nd', '3rd', '4th', '10th']);
+        expect([11, 12, 13].map(ordinal)).toEqual(['11th', '12th', '13th']);
+        expect([21, 22, 23, 24].map(ordinal)).toEqual(['21st', '22nd', '23rd', '24th']);
+        expect([101, 111, 112].map(ordinal)).toEqual(['101st', '111th', '112th']);
+    });
+
+    test('sorts by score, highest first', () => {
+        const ranked = rankPlayers(players(1, 5, 3));
+        expect(ranked.map(p => p.name)).toEqual(['P2', 'P3', 'P1']);
+        expect(ranked.map(p => p.label)).toEqual(['1st', '2nd', '3rd']);
+        expect(ranked.map(p => p.playerIndex)).toEqual([1, 2, 0]);
+    });
+
+    test('equal scores share a place and the next place is skipped', () => {
+        const ranked = rankPlayers(players(4, 4, 2, 1));
+        expect(ranked.map(p => p.place)).toEqual([1, 1, 3, 4]);
+        expect(ranked.map(p => p.shared)).toEqual([true, true, false, false]);
+        expect(ranked.map(p => p.label)).toEqual(['=1st', '=1st', '3rd', '4th']);
+    });
+
+    test('shared places further down the table', () => {
+        const ranked = rankPlayers(players(5, 2, 2, 2, 0));
+        expect(ranked.map(p => p.label)).toEqual(['1st', '=2nd', '=2nd', '=2nd', '5th']);
+    });
+
+    test('does not modify the players passed in', () => {
+        const input = players(1, 2);
+        rankPlayers(input);
+        expect(input).toEqual(players(1, 2));
+    });
+});
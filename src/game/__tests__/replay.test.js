@@ -0,0 +1,148 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import createGameLogic from '../gameLogic';
+import { REPLAY_FORMAT, REPLAY_VERSION } from '../replay';
+
+/**
+ * Test suite for exporting and importing replay files
+ * Tests cover:
+ * - File contents (config, players, rounds, position)
+ * - Loading a replay back exactly, including undone rounds
+ * - Specific validation errors for bad files
+ */
+describe('Replay files', () => {
+    let game;
+
+    beforeEach(() => {
+        game = createGameLogic(null, { seed: 2468, config: { playerCount: 3, deckSize: 15 } });
+    });
+
+    test('export holds config, players, rounds and the current position', () => {
+        game.runRound();
+        game.runRound();
+        const file = JSON.parse(game.exportGame());
+
+        expect(file.format).toBe(REPLAY_FORMAT);
+        expect(file.version).toBe(REPLAY_VERSION);
+        expect(file.seed).toBe(2468);
+        expect(file.config).toEqual(game.getConfig());
+        expect(file.players).toHaveLength(3);
+        expect(file.currentRound).toBe(2);
+        expect(file.rounds).toEqual(game.getRoundHistory());
+    });
+
+    test('rounds include ones that were undone', () => {
+        game.runGameLoop();
+        game.goToRound(2);
+        const file = JSON.parse(game.exportGame());
+
+        expect(file.currentRound).toBe(2);
+        expect(file.rounds).toHaveLength(5);
+    });
+
+    test('import restores the game exactly', () => {
+        game.runGameLoop();
+        game.goToRound(3);
+        const json = game.exportGame();
+
+        const other = createGameLogic();
+        expect(other.importGame(json)).toEqual({ ok: true });
+        expect(other.getSaveState()).toEqual(game.getSaveState());
+        expect(other.getFurthestRound()).toBe(5);
+
+        other.redoRound();
+        game.redoRound();
+        expect(other.getSaveState()).toEqual(game.getSaveState());
+    });
+
+    test('import keeps a turn-based round under way', () => {
+        const turns = createGameLogic(null, { seed: 11, config: { playerCount: 3, turnMode: 'turns' } });
+        turns.takeTurn();
+        turns.takeTurn();
+
+        const other = createGameLogic();
+        expect(other.importGame(turns.exportGame()).ok).toBe(true);
+        expect(other.getCurrentTurn()).toBe(2);
+        expect(other.undoTurn().ok).toBe(true);
+        expect(other.getCurrentTurn()).toBe(1);
+    });
+
+    test('import accepts an already parsed object', () => {
+        game.runRound();
+        const other = createGameLogic();
+        expect(other.importGame(JSON.parse(game.exportGame())).ok).toBe(true);
+    });
+
+    describe('validation errors', () => {
+        const importing = (file) => createGameLogic().importGame(file).error;
+        const validFile = () => {
+            game.runRound();
+            return JSON.parse(game.exportGame());
+        };
+
+        test('invalid JSON', () => {
+            expect(importing('{oops').errors).toEqual(['File is not valid JSON']);
+        });
+
+        test('wrong file format', () => {
+            expect(importing({ players: [] }).errors).toEqual(['File is not a High Card Game replay']);
+        });
+
+        test('newer version', () => {
+            const file = { ...validFile(), version: REPLAY_VERSION + 1 };
+            expect(importing(file).errors[0]).toMatch(/newer than this app supports/);
+        });
+
+        test('invalid config', () => {
+            const file = validFile();
+            file.game.config.playerCount = 12;
+            expect(importing(file).errors[0]).toMatch(/^game\.config: Player count/);
+        });
+
+        test('points at the broken field', () => {
+            const file = validFile();
+            file.game.players[1].score = 'lots';
+            file.game.deck[0] = 99;
+            file.game.roundHistory = [];
+
+            const error = importing(file);
+            expect(error.code).toBe('INVALID_REPLAY');
+            expect(error.message).toBe('game.players[1].score must be a number');
+            expect(error.errors).toEqual([
+                'game.players[1].score must be a number',
+                'game.deck must only hold cards from 1 to 12',
+                'game.roundHistory must have one entry per round played (1)',
+            ]);
+        });
+
+        test('checks undo history snapshots', () => {
+            const file = validFile();
+            file.game.undoHistory[0].currentRound = -1;
+            expect(importing(file).errors).toContain(
+                'game.undoHistory[0].currentRound must be a whole number from 0 to 5'
+            );
+        });
+
+        test('checks turn progress', () => {
+            const file = validFile();
+            file.game.turnsTaken = 3;
+            expect(importing(file).errors).toEqual(['game.turnsTaken must be a whole number from 0 to 2']);
+        });
+
+        test('player ids are optional but must be strings', () => {
+            const file = validFile();
+            file.game.players.forEach(player => delete player.id);
+            expect(game.importGame(file).ok).toBe(true);
+            expect(game.getPlayers().map(player => player.id)).toEqual(['p1', 'p2', 'p3']);
+
+            file.game.players[2].id = 5;
+            expect(importing(file).errors).toEqual(['game.players[2].id must be a non-empty string when present']);
+        });
+
+        test('failed import leaves the game unchanged', () => {
+            game.runRound();
+            const before = game.getSaveState();
+            game.importGame('{oops');
+            expect(game.getSaveState()).toEqual(before);
+        });
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, test, expect } from 'vitest';
+import createGameLogic from '../gameLogic';
+import { SHARE_LINK_VERSION, createShareLink, openShareLink, parseShareLink } from '../shareLink';
+
+const roundTrip = (game) => {
+    const { link, error } = parseShareLink(`#${createShareLink(game)}`);
+    expect(error).toBeNull();
+    return openShareLink(link);
+};
+
+/**
+ * Test suite for share links
+ * Tests cover:
+ * - What a link holds and that opening it rebuilds the same game at the same round
+ * - Hand games with people in them, replayed from the recorded cards
+ * - Readable errors for malformed, older and newer links and for setups that no longer work
+ */
+describe('Share links', () => {
+    test('holds the version, seed, round, changed settings and names', () => {
+        const game = createGameLogic(null, { seed: 77, config: { playerCount: 3, scoringMode: 'margin' } });
+        game.modifyPlayerName(0, 'Ann');
+        game.runRound();
+        const params = new URLSearchParams(createShareLink(game));
+
+        expect(params.get('v')).toBe(String(SHARE_LINK_VERSION));
+        expect(params.get('seed')).toBe('77');
+        expect(params.get('round')).toBe('1');
+        // totalRounds still fills the deck, so it is left out like the other defaults
+        expect(JSON.parse(params.get('config'))).toEqual({ playerCount: 3, scoringMode: 'margin' });
+        expect(JSON.parse(params.get('names'))).toEqual(['Ann', 'Player 2', 'Player 3']);
+        expect(params.has('cards')).toBe(false);
+    });
+
+    test('opening a link deals the same game up to the same round', () => {
+        const game = createGameLogic(null, { seed: 1234, config: { tiePolicy: 'suddenDeath', totalRounds: 8 } });
+        game.modifyPlayerName(2, 'Cy');
+        for (let round = 0; round < 5; round++) {
+            game.runRound();
+        }
+
+        const { game: opened, error } = roundTrip(game);
+        expect(error).toBeNull();
+        expect(opened.getConfig()).toEqual(game.getConfig());
+        expect(opened.getCurrentRound()).toBe(5);
+        expect(opened.getRoundHistory()).toEqual(game.getRoundHistory());
+        expect(opened.getPlayers()).toEqual(game.getPlayers());
+        expect(opened.getDeck()).toEqual(game.getDeck());
+    });
+
+    test('hand games replay the cards people picked', () => {
+        const config = { dealMode: 'hand', playerCount: 3, strategies: ['human', 'highestFirst', 'human'] };
+        const game = createGameLogic(null, { seed: 9, config });
+        for (let round = 0; round < 3; round++) {
+            game.playCard(0, game.getHand(0).length - 1);
+            game.playCard(2, 0);
+            game.runRound();
+        }
+        game.playCard(0, 0);
+
+        const { game: opened } = roundTrip(game);
+        expect(opened.getRoundHistory()).toEqual(game.getRoundHistory());
+        // Equal cards may sit in a different order, which makes no difference to play
+        const sorted = (hand) => [...hand].sort((a, b) => a - b);
+        expect(sorted(opened.getHand(0))).toEqual(sorted(game.getHand(0)));
+        // Picks for the round not yet played are not part of the link
+        expect(opened.getAwaitingPlayers()).toEqual([0, 2]);
+    });
+
+    test('a hash without a game is not an error', () => {
+        expect(parseShareLink('')).toEqual({ link: null, error: null });
+        expect(parseShareLink('#section-2')).toEqual({ link: null, error: null });
+        expect(parseShareLink(undefined)).toEqual({ link: null, error: null });
+    });
+
+    test.each([
+        ['v=abc&seed=1', /damaged or incomplete/],
+        ['v=1&round=2', /damaged or incomplete/],
+        ['v=1&seed=5&round=-1', /damaged or incomplete/],
+        ['v=1&seed=5&config=%7Bbroken', /damaged or incomplete/],
+        ['v=1&seed=5&names=%22Ann%22', /damaged or incomplete/],
+        [`v=${SHARE_LINK_VERSION + 1}&seed=5`, /newer version/],
+        ['v=0&seed=5', /older version/],
+    ])('%s is turned away with a readable message', (hash, message) => {
+        const { link, error } = parseShareLink(hash);
+        expect(link).toBeNull();
+        expect(error).toMatch(message);
+    });
+
+    test('explains setups and rounds that no longer work', () => {
+        const badSetup = parseShareLink('v=1&seed=5&config=%7B%22playerCount%22%3A12%7D').link;
+        expect(openShareLink(badSetup).error).toBe(
+            "This link's game setup is not valid: Player count must be a whole number from 2 to 8"
+        );
+
+        const tooFar = parseShareLink('v=1&seed=5&round=11').link;
+        expect(openShareLink(tooFar).error).toBe('This link points at round 11, but its game only has 10');
+
+        const missingCards = parseShareLink('v=1&seed=5&round=1&config=%7B%22dealMode%22%3A%22hand%22%7D').link;
+        expect(openShareLink(missingCards).error).toBe("Round 1 of this link's game could not be played again");
+    });
+
+    test('games without a seed cannot be shared', () => {
+        expect(createShareLink(createGameLogic(null, { rng: () => 0.5 }))).toBeNull();
+    });
+});
@@ -0,0 +1,80 @@
+import { describe, test, expect } from 'vitest';
+import createGameLogic from '../gameLogic';
+import { createSimulation, simulateGames, validateSimulationOptions } from '../simulation';
+
+/**
+ * Test suite for Monte Carlo simulations
+ * Tests cover:
+ * - Option validation
+ * - Aggregates matching games played one by one
+ * - Reproducibility from the seed
+ * - Playing in batches
+ */
+describe('Simulation', () => {
+    test('validates the game count and config', () => {
+        expect(validateSimulationOptions({ games: 100 })).toEqual([]);
+        expect(validateSimulationOptions({ games: 0 })).toHaveLength(1);
+        expect(validateSimulationOptions({ games: 10, config: { playerCount: 1 } })).toHaveLength(1);
+        expect(() => simulateGames({ games: -1 })).toThrow('Invalid game config');
+        expect(validateSimulationOptions({ games: 10, config: { dealMode: 'hand' } })).toHaveLength(1);
+        expect(validateSimulationOptions({
+            games: 10, config: { dealMode: 'hand', playerCount: 2, strategies: ['random', 'saveHighCards'] }
+        })).toEqual([]);
+    });
+
+    test('aggregates match the same games played one by one', () => {
+        const results = simulateGames({ games: 20, seed: 5, config: { playerCount: 3 } });
+
+        const wins = [0, 0, 0];
+        let margins = 0;
+        for (let i = 0; i < 20; i++) {
+            const game = createGameLogic(null, { config: { playerCount: 3 }, seed: 5 + i });
+            game.runGameLoop();
+            const scores = game.getPlayers().map(p => p.score);
+            const sorted = [...scores].sort((a, b) => b - a);
+            if (sorted[0] !== sorted[1]) {
+                wins[scores.indexOf(sorted[0])]++;
+            }
+            margins += sorted[0] - sorted[1];
+        }
+
+        expect(results.gamesPlayed).toBe(20);
+        expect(results.bySeat.map(s => s.wins)).toEqual(wins);
+        expect(results.averageMargin).toBeCloseTo(margins / 20);
+    });
+
+    test('win rates add up to one and the distribution covers every final score', () => {
+        const results = simulateGames({ games: 200, seed: 1 });
+
+        const totalRate = results.bySeat.reduce((sum, seat) => sum + seat.winRate, 0);
+        expect(totalRate).toBeCloseTo(1);
+        const counted = results.scoreDistribution.reduce((sum, bucket) => sum + bucket.count, 0);
+        expect(counted).toBe(200 * 4);
+        expect(results.tieFrequency).toBeGreaterThan(0);
+        expect(results.tieFrequency).toBeLessThan(1);
+    });
+
+    test('the same seed gives the same results', () => {
+        const options = { games: 50, seed: 99, config: { tiePolicy: 'suddenDeath' } };
+        expect(simulateGames(options)).toEqual(simulateGames(options));
+    });
+
+    test('seat score ranges bracket the average score', () => {
+        const results = simulateGames({ games: 30, seed: 3, config: { scoringMode: 'cumulative' } });
+        for (const seat of results.bySeat) {
+            expect(seat.minScore).toBeLessThanOrEqual(seat.averageScore);
+            expect(seat.maxScore).toBeGreaterThanOrEqual(seat.averageScore);
+        }
+    });
+
+    test('plays in batches until done', () => {
+        const simulation = createSimulation({ games: 25, seed: 2 });
+        expect(simulation.step(10)).toBe(10);
+        expect(simulation.isDone()).toBe(false);
+        expect(simulation.getResults().gamesPlayed).toBe(10);
+        expect(simulation.step(100)).toBe(25);
+        expect(simulation.isDone()).toBe(true);
+
+        expect(simulation.getResults()).toEqual(simulateGames({ games: 25, seed: 2 }));
+    });
+});
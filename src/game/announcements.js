@@ -0,0 +1,40 @@
+// Sentences for the screen-reader live region, describing what just happened in a game
+
+import { describeCard } from "./cards.js";
+import { rankPlayers } from "./ranking.js";
+import { formatScore } from "./scoringRules.js";
+
+// "Ann", "Ann and Bob", "Ann, Bob and Cy"
+const joinNames = (names) =>
+    names.length > 1 ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}` : names[0] ?? "";
+
+// Every card played and who took the round, e.g.
+// "Round 3: Ann 7, Bob Queen of hearts. Bob wins the round."
+export const announceRound = (entry, players) => {
+    const nameOf = (playerIndex) => players[playerIndex].name;
+    const cards = entry.cards
+        .flatMap((card, playerIndex) => (card === null ? [] : [`${nameOf(playerIndex)} ${describeCard(card)}`]))
+        .join(", ");
+    const winners = entry.winners.map(nameOf);
+    const sentences = [`Round ${entry.round}: ${cards}.`];
+    if (winners.length === 0) {
+        sentences.push("Nobody scores this round.");
+    } else if (winners.length === 1) {
+        sentences.push(`${winners[0]} wins the round.`);
+    } else {
+        sentences.push(`${joinNames(winners)} share the round.`);
+    }
+    if (entry.eliminated?.length > 0) {
+        const out = entry.eliminated.map(nameOf);
+        sentences.push(`${joinNames(out)} ${out.length > 1 ? "are" : "is"} knocked out.`);
+    }
+    return sentences.join(" ");
+};
+
+// The winner or winners and their score, e.g. "Game over. Ann wins with 6 points."
+export const announceGameOver = (players) => {
+    const leaders = rankPlayers(players).filter((player) => player.place === 1);
+    const names = joinNames(leaders.map((player) => player.name));
+    const verb = leaders.length > 1 ? "share the win" : "wins";
+    return `Game over. ${names} ${verb} with ${formatScore(leaders[0].score)} points.`;
+};
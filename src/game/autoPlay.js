@@ -0,0 +1,146 @@
+// Auto-play: runs a game's rounds on a timer, with pause, single steps and a round to stop at
+
+import { GAME_EVENTS, createEmitter } from "./events.js";
+import { ERROR_CODES, PHASES, failure, success } from "./phases.js";
+
+// Speeds are in rounds per second
+export const MIN_SPEED = 0.5;
+export const MAX_SPEED = 5;
+export const DEFAULT_SPEED = 2;
+
+const clampSpeed = (speed) => Math.min(MAX_SPEED, Math.max(MIN_SPEED, Number(speed) || DEFAULT_SPEED));
+
+/**
+ * Creates an auto-play controller for a createGameLogic instance. While playing it calls
+ * runRound() once every 1 / speed seconds and pauses by itself when the game is over, a
+ * round cannot be played (e.g. a human still has to pick a card), the stop round is
+ * reached, or a round or turn is undone or the game reset.
+ * There is at most one timer at a time, set with the global setTimeout, so vitest's fake
+ * timers drive it in tests. Listeners hear about changes through subscribe, like the engine.
+ * @param {object} game - engine from createGameLogic
+ * @param {object} [options]
+ * @param {number} [options.speed] - rounds per second, from MIN_SPEED to MAX_SPEED
+ */
+const createAutoPlay = (game, { speed: initialSpeed = DEFAULT_SPEED } = {}) => {
+    const emitter = createEmitter([]);
+    let speed = clampSpeed(initialSpeed);
+    // Pauses once this many rounds have been played; null plays to the end
+    let stopRound = null;
+    let timer = null;
+    // Engine event listeners, only attached while playing
+    let stopListening = null;
+
+    const isPlaying = () => timer !== null;
+
+    const reachedStopRound = () => stopRound !== null && game.getCurrentRound() >= stopRound;
+
+    const halt = () => {
+        clearTimeout(timer);
+        timer = null;
+        stopListening?.();
+        stopListening = null;
+    };
+
+    const pause = () => {
+        if (!isPlaying()) return success();
+        halt();
+        emitter.notify();
+        return success();
+    };
+
+    const tick = () => {
+        const result = game.runRound();
+        const keepGoing =
+            result.ok &&
+            game.getPhase() !== PHASES.FINISHED &&
+            game.getAwaitingPlayers().length === 0 &&
+            !reachedStopRound();
+        if (keepGoing) {
+            timer = setTimeout(tick, 1000 / speed);
+            return;
+        }
+        // The stop round only applies once; playing on from it goes to the end
+        if (reachedStopRound()) {
+            stopRound = null;
+        }
+        halt();
+        emitter.notify();
+    };
+
+    const play = () => {
+        if (isPlaying()) return success();
+        const phase = game.getPhase();
+        if (phase === PHASES.FINISHED) {
+            return failure(ERROR_CODES.WRONG_PHASE, "There are no rounds left to play", { action: "play", phase });
+        }
+        const awaiting = game.getAwaitingPlayers();
+        if (awaiting.length > 0) {
+            const names = awaiting.map((playerIndex) => game.getPlayers()[playerIndex].name);
+            return failure(ERROR_CODES.AWAITING_PLAY, `Waiting for ${names.join(", ")} to pick a card`, {
+                players: awaiting,
+            });
+        }
+        if (reachedStopRound()) {
+            stopRound = null;
+        }
+
+        const unsubscribes = [GAME_EVENTS.ROUND_UNDONE, GAME_EVENTS.TURN_UNDONE, GAME_EVENTS.GAME_RESET].map(
+            (event) => game.on(event, pause)
+        );
+        stopListening = () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+        timer = setTimeout(tick, 1000 / speed);
+        emitter.notify();
+        return success();
+    };
+
+    // Plays one round straight away; auto-play is paused first if it was running
+    const step = () => {
+        pause();
+        return game.runRound();
+    };
+
+    // Takes effect from the next round; values outside MIN_SPEED to MAX_SPEED are clamped
+    const setSpeed = (nextSpeed) => {
+        speed = clampSpeed(nextSpeed);
+        if (isPlaying()) {
+            clearTimeout(timer);
+            timer = setTimeout(tick, 1000 / speed);
+        }
+        emitter.notify();
+        return success({ speed });
+    };
+
+    // null clears the stop round; a round already played pauses a running auto-play
+    const setStopRound = (round) => {
+        if (round !== null && (!Number.isInteger(round) || round < 1 || round > game.getTotalRounds())) {
+            return failure(
+                ERROR_CODES.INVALID_ROUND,
+                `Auto-play can stop after a round from 1 to ${game.getTotalRounds()}`
+            );
+        }
+        stopRound = round;
+        if (isPlaying() && reachedStopRound()) {
+            stopRound = null;
+            halt();
+        }
+        emitter.notify();
+        return success();
+    };
+
+    const getState = () => ({ playing: isPlaying(), speed, stopRound });
+
+    return {
+        play,
+        pause,
+        step,
+        setSpeed,
+        setStopRound,
+        getState,
+        // Stops the timer for good, e.g. when the game is replaced
+        dispose: halt,
+        subscribe: emitter.subscribe,
+        getVersion: emitter.getVersion,
+    };
+};
+
+export default createAutoPlay;
@@ -0,0 +1,103 @@
+// Card decks: the numbered deck (plain integers) and the standard 52-card deck (rank + suit)
+
+export const DECK_TYPES = Object.freeze({
+    NUMBERED: "numbered",
+    STANDARD: "standard",
+});
+
+export const SUITS = Object.freeze(["clubs", "diamonds", "hearts", "spades"]);
+
+export const SUIT_SYMBOLS = Object.freeze({
+    clubs: "♣",
+    diamonds: "♦",
+    hearts: "♥",
+    spades: "♠",
+});
+
+export const RED_SUITS = Object.freeze(["diamonds", "hearts"]);
+
+export const STANDARD_DECK_SIZE = 52;
+
+// Ranks are stored 1-13 (1 = Ace, 11 = Jack, 12 = Queen, 13 = King)
+const ACE = 1;
+const RANK_LABELS = { 1: "A", 11: "J", 12: "Q", 13: "K" };
+
+export const isStandardDeck = (config) => config.deckType === DECK_TYPES.STANDARD;
+
+// Numbered decks repeat 1..maxCardValue in order until deckSize cards, so unless deckSize
+// is a multiple of maxCardValue the lowest values come up once more than the rest: the
+// default 40 cards of 1-12 hold four each of 1-4 and three each of 5-12. Seeded games,
+// saves and share links all rely on this order, so it stays as it is.
+// The standard deck is every rank of every suit.
+export const buildDeck = (config) => {
+    const cards = [];
+    if (isStandardDeck(config)) {
+        for (const suit of SUITS) {
+            for (let rank = 1; rank <= 13; rank++) {
+                cards.push({ rank, suit });
+            }
+        }
+        return cards;
+    }
+    for (let i = 0; i < config.deckSize; i++) {
+        cards.push((i % config.maxCardValue) + 1);
+    }
+    return cards;
+};
+
+// Numeric value used for ranking and scoring; Aces count 14 when aceHigh is set
+export const cardValue = (card, config) => {
+    if (!isStandardDeck(config)) {
+        return card;
+    }
+    return card.rank === ACE && config.aceHigh ? 14 : card.rank;
+};
+
+/**
+ * Orders two cards: negative when a ranks below b, positive when above, 0 when tied.
+ * Standard decks with a suitOrder (lowest suit first) use it to break equal ranks.
+ */
+export const compareCards = (a, b, config) => {
+    const difference = cardValue(a, config) - cardValue(b, config);
+    if (difference !== 0 || !isStandardDeck(config) || !config.suitOrder) {
+        return difference;
+    }
+    return config.suitOrder.indexOf(a.suit) - config.suitOrder.indexOf(b.suit);
+};
+
+export const isValidCard = (card, config) => {
+    if (!isStandardDeck(config)) {
+        return Number.isInteger(card) && card >= 1 && card <= config.maxCardValue;
+    }
+    return (
+        card !== null &&
+        typeof card === "object" &&
+        Number.isInteger(card.rank) &&
+        card.rank >= 1 &&
+        card.rank <= 13 &&
+        SUITS.includes(card.suit)
+    );
+};
+
+export const rankLabel = (card) => RANK_LABELS[card.rank] ?? String(card.rank);
+
+const RANK_NAMES = { 1: "Ace", 11: "Jack", 12: "Queen", 13: "King" };
+
+// Spoken form for screen readers, e.g. "7" or "Queen of hearts"
+export const describeCard = (card) => {
+    if (typeof card === "number") {
+        return String(card);
+    }
+    return `${RANK_NAMES[card.rank] ?? card.rank} of ${card.suit}`;
+};
+
+// Short text form, e.g. "7" for numbered cards and "Q♥" for standard ones
+export const formatCard = (card) => {
+    if (card === null || card === undefined) {
+        return "";
+    }
+    if (typeof card === "number") {
+        return String(card);
+    }
+    return `${rankLabel(card)}${SUIT_SYMBOLS[card.suit]}`;
+};
@@ -0,0 +1,120 @@
+// Game setup options and their validation
+
+import { DECK_TYPES, STANDARD_DECK_SIZE, SUITS } from "./cards.js";
+import { DEAL_MODES, STRATEGIES } from "./hands.js";
+import { SCORING_MODES } from "./scoringRules.js";
+import { TIE_POLICIES } from "./tieRules.js";
+import { TURN_MODES } from "./turns.js";
+
+export const MIN_PLAYERS = 2;
+export const MAX_PLAYERS = 8;
+
+export const DEFAULT_CONFIG = Object.freeze({
+    playerCount: 4,
+    // Four each of 1-4 and three each of 5-12, see buildDeck
+    deckSize: 40,
+    maxCardValue: 12,
+    pointsPerScore: 1,
+    tiePolicy: TIE_POLICIES.AWARD_ALL,
+    scoringMode: SCORING_MODES.HIGHEST,
+    dealMode: DEAL_MODES.DRAW,
+    // Hand mode only: who plays each seat, see STRATEGIES; null uses defaultStrategies
+    strategies: null,
+    turnMode: TURN_MODES.SIMULTANEOUS,
+    // Standard-deck options; numbered decks ignore them
+    deckType: DECK_TYPES.NUMBERED,
+    aceHigh: true,
+    // Suits from lowest to highest, used to break equal ranks; null lets ties stand
+    suitOrder: null,
+});
+
+// Thrown by createGameLogic when it is given a config that fails validateConfig
+export class InvalidConfigError extends Error {
+    constructor(errors) {
+        super(`Invalid game config: ${errors.join("; ")}`);
+        this.name = "InvalidConfigError";
+        this.errors = errors;
+    }
+}
+
+// The most rounds a deck can deal when every player takes one card per round
+export const maxRoundsFor = (config) => Math.floor(config.deckSize / config.playerCount);
+
+// Fills in defaults; totalRounds defaults to as many rounds as the deck allows.
+// A standard deck always has 52 cards, whatever deckSize says.
+export const resolveConfig = (config = {}) => {
+    const resolved = { ...DEFAULT_CONFIG };
+    for (const [key, value] of Object.entries(config)) {
+        if (value !== undefined && value !== null && value !== "") {
+            resolved[key] = value;
+        }
+    }
+    if (resolved.deckType === DECK_TYPES.STANDARD) {
+        resolved.deckSize = STANDARD_DECK_SIZE;
+    }
+    if (resolved.totalRounds === undefined) {
+        resolved.totalRounds = maxRoundsFor(resolved);
+    }
+    return resolved;
+};
+
+const isIntegerInRange = (value, min, max = Infinity) =>
+    Number.isInteger(value) && value >= min && value <= max;
+
+// Returns a list of human-readable problems; an empty list means the config is usable
+export const validateConfig = (config) => {
+    const errors = [];
+    const { playerCount, deckSize, maxCardValue, pointsPerScore, totalRounds, tiePolicy } = config;
+    const { deckType, aceHigh, suitOrder, scoringMode, dealMode, strategies, turnMode } = config;
+
+    if (!isIntegerInRange(playerCount, MIN_PLAYERS, MAX_PLAYERS)) {
+        errors.push(`Player count must be a whole number from ${MIN_PLAYERS} to ${MAX_PLAYERS}`);
+    }
+    if (!isIntegerInRange(maxCardValue, 1)) {
+        errors.push("Highest card value must be a whole number of at least 1");
+    }
+    if (!isIntegerInRange(pointsPerScore, 1)) {
+        errors.push("Points per win must be a whole number of at least 1");
+    }
+    if (!isIntegerInRange(deckSize, 1)) {
+        errors.push("Deck size must be a whole number of at least 1");
+    } else if (Number.isInteger(playerCount) && deckSize < playerCount) {
+        errors.push("Deck size must be at least the number of players");
+    }
+    if (!Object.values(DECK_TYPES).includes(deckType)) {
+        errors.push(`Deck type must be one of: ${Object.values(DECK_TYPES).join(", ")}`);
+    }
+    if (typeof aceHigh !== "boolean") {
+        errors.push("Ace high must be true or false");
+    }
+    const isSuitPermutation =
+        Array.isArray(suitOrder) &&
+        suitOrder.length === SUITS.length &&
+        SUITS.every((suit) => suitOrder.includes(suit));
+    if (suitOrder !== null && !isSuitPermutation) {
+        errors.push(`Suit order must list each of ${SUITS.join(", ")} once, or be left empty`);
+    }
+    if (!Object.values(TIE_POLICIES).includes(tiePolicy)) {
+        errors.push(`Tie policy must be one of: ${Object.values(TIE_POLICIES).join(", ")}`);
+    }
+    if (!Object.values(SCORING_MODES).includes(scoringMode)) {
+        errors.push(`Scoring mode must be one of: ${Object.values(SCORING_MODES).join(", ")}`);
+    }
+    if (!Object.values(DEAL_MODES).includes(dealMode)) {
+        errors.push(`Deal mode must be one of: ${Object.values(DEAL_MODES).join(", ")}`);
+    }
+    if (!Object.values(TURN_MODES).includes(turnMode)) {
+        errors.push(`Turn mode must be one of: ${Object.values(TURN_MODES).join(", ")}`);
+    }
+    const isStrategyList =
+        Array.isArray(strategies) &&
+        strategies.length === playerCount &&
+        strategies.every((strategy) => Object.values(STRATEGIES).includes(strategy));
+    if (strategies !== null && !isStrategyList) {
+        errors.push(`Strategies must list one of ${Object.values(STRATEGIES).join(", ")} per player, or be left empty`);
+    }
+    if (errors.length === 0 && !isIntegerInRange(totalRounds, 1, maxRoundsFor(config))) {
+        errors.push(`Rounds must be a whole number from 1 to ${maxRoundsFor(config)}`);
+    }
+    return errors;
+};
@@ -0,0 +1,63 @@
+// Engine events, for components and tools that react to game changes
+
+export const GAME_EVENTS = Object.freeze({
+    ROUND_RESOLVED: "roundResolved",
+    ROUND_UNDONE: "roundUndone",
+    TURN_TAKEN: "turnTaken",
+    TURN_UNDONE: "turnUndone",
+    PLAYER_RENAMED: "playerRenamed",
+    PLAYER_ADDED: "playerAdded",
+    PLAYER_REMOVED: "playerRemoved",
+    GAME_FINISHED: "gameFinished",
+    GAME_RESET: "gameReset",
+});
+
+/**
+ * Two kinds of listeners:
+ * - subscribe(listener): called with no arguments after any change, which is what
+ *   React's useSyncExternalStore expects
+ * - on(event, handler): called with the event's payload for one of GAME_EVENTS
+ * Both return an unsubscribe function. `version` goes up on every change so callers
+ * can tell snapshots apart.
+ */
+export const createEmitter = (eventNames = Object.values(GAME_EVENTS)) => {
+    const listeners = new Set();
+    const handlers = new Map(eventNames.map((name) => [name, new Set()]));
+    let version = 0;
+
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    const on = (event, handler) => {
+        if (!handlers.has(event)) {
+            throw new Error(`Unknown event "${event}". Expected one of: ${eventNames.join(", ")}`);
+        }
+        handlers.get(event).add(handler);
+        return () => handlers.get(event).delete(handler);
+    };
+
+    // Tells subscribers something changed without a named event
+    const notify = () => {
+        version++;
+        for (const listener of [...listeners]) {
+            listener();
+        }
+    };
+
+    const emit = (event, payload) => {
+        for (const handler of [...handlers.get(event)]) {
+            handler(payload);
+        }
+        notify();
+    };
+
+    return {
+        subscribe,
+        on,
+        notify,
+        emit,
+        getVersion: () => version,
+    };
+};
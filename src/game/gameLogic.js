@@ -0,0 +1,746 @@
+import { buildDeck, cardValue, compareCards } from "./cards.js";
+import { GAME_EVENTS, createEmitter } from "./events.js";
+import { DEAL_MODES, STRATEGIES, botStrategies, dealHands, defaultStrategies } from "./hands.js";
+import { InvalidConfigError, MAX_PLAYERS, MIN_PLAYERS, maxRoundsFor, resolveConfig, validateConfig } from "./config.js";
+import { ERROR_CODES, PHASES, failure, guardPhase, phaseFor, success } from "./phases.js";
+import {
+    nextPlayerId,
+    nextPlayerName,
+    normalizePlayerName,
+    validatePlayerName,
+    withPlayerIds,
+} from "./players.js";
+import { createRandom, generateGameId, generateSeed, normalizeSeed } from "./random.js";
+import { parseReplay, serializeReplay } from "./replay.js";
+import { scoringRules } from "./scoringRules.js";
+import { computePlayerStats } from "./stats.js";
+import { tieRules } from "./tieRules.js";
+import { TURN_MODES } from "./turns.js";
+
+const createPlayer = (id, name) => ({
+    // Stays the same through renames, so UIs can tell players apart by it
+    id,
+    name,
+    cardHeld: null,
+    score: 0,
+    // Set once the player is knocked out in elimination scoring
+    eliminated: false,
+});
+
+// Seats can be carried over from another game with their ids and names; seats without
+// one, or whose name is already taken, get a fresh id and "Player N"
+const createInitialPlayers = (config, seats = []) => {
+    const players = [];
+    for (let index = 0; index < config.playerCount; index++) {
+        const seat = seats[index];
+        const takenIds = [...players, ...seats.slice(index + 1)];
+        const keepsId = typeof seat?.id === "string" && !players.some((player) => player.id === seat.id);
+        const keepsName = seat !== undefined && validatePlayerName(seat.name, players.map((player) => player.name)) === null;
+        players.push(
+            createPlayer(
+                keepsId ? seat.id : nextPlayerId(takenIds),
+                keepsName ? normalizePlayerName(seat.name) : nextPlayerName(players)
+            )
+        );
+    }
+    return players;
+};
+
+// Fisher-Yates shuffle driven by the given random function, returns a new array
+const shuffleDeck = (cards, random) => {
+    const shuffled = [...cards];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+// Uses the saved deck when present; older states without one get a fresh shuffle
+// with the cards already dealt in previous rounds removed from the top
+const restoreDeck = (state, config, random) => {
+    if (Array.isArray(state.deck)) {
+        return [...state.deck];
+    }
+    return shuffleDeck(buildDeck(config), random).slice(state.currentRound * state.players.length);
+};
+
+// Hand mode deals every hand up front; states saved without hands are dealt the rest of the game
+const restoreHands = (state, config, deck) => {
+    if (config.dealMode !== DEAL_MODES.HAND) {
+        return null;
+    }
+    if (Array.isArray(state.hands)) {
+        return JSON.parse(JSON.stringify(state.hands));
+    }
+    return dealHands(deck, state.players.length, config.totalRounds - state.currentRound);
+};
+
+/**
+ * Creates a game engine instance.
+ * @param {object|null} savedState - state from getSaveState() to resume from
+ * @param {object} options
+ * @param {object} [options.config] - setup options, see DEFAULT_CONFIG; ignored when savedState carries its own
+ * @param {number|string} [options.seed] - seed for the shuffle; the same seed always deals the same cards
+ * @param {function} [options.rng] - custom Math.random-like function, used instead of a seed
+ * @param {object[]} [options.players] - { id, name } for each seat of a new game, e.g. the
+ *   players of the game before; left out, the seats are "Player 1", "Player 2", ...
+ * @throws {InvalidConfigError} when the config fails validation
+ */
+const createGameLogic = (savedState = null, options = {}) => {
+
+    let config = resolveConfig(savedState?.config ?? options.config);
+    const configErrors = validateConfig(config);
+    if (configErrors.length > 0) {
+        throw new InvalidConfigError(configErrors);
+    }
+
+    // Seed precedence: explicit option, then the saved game's seed, then a fresh one.
+    // A custom rng has no seed to report, so it is recorded as null.
+    let seed = normalizeSeed(options.seed) ?? normalizeSeed(savedState?.seed);
+    if (seed === null && !options.rng) {
+        seed = generateSeed();
+    }
+    const createRng = () => options.rng ?? createRandom(seed);
+    let random = createRng();
+    // Stays the same through undo, redo and saves; resetting starts a new game with a new id
+    let gameId = savedState?.gameId ?? generateGameId();
+
+    let players;
+    let currentRound;
+    // Remaining cards in draw order; index 0 is the top of the deck
+    let deck;
+    // Points carried into the next round by the carry-over tie policy
+    let pot;
+    // Hand mode only: each player's unplayed cards, and the hand index each human has picked
+    // for the coming round (null until they pick). Kept off the player objects so a player's
+    // hand is only handed out through getHand.
+    let hands;
+    let pendingPlays;
+    // Turn-based games: how many players have flipped their card in the round under way,
+    // and the state before each of those turns so they can be undone one by one
+    let turnsTaken;
+    let turnHistory = [];
+    // One entry per round played: every player's card, the winners, score deltas and tie details
+    let roundHistory;
+    // History array to store game states before each round for undo functionality
+    let stateHistory = [];
+    // States undone by undoLastRound, most recent last, so redoRound can replay them exactly
+    let redoStack = [];
+    const emitter = createEmitter();
+    
+    if (savedState && savedState.players && typeof savedState.currentRound === 'number') {
+        // Load state from provided object
+        players = withPlayerIds(JSON.parse(JSON.stringify(savedState.players)));
+        currentRound = savedState.currentRound;
+        deck = restoreDeck(savedState, config, random);
+        hands = restoreHands(savedState, config, deck);
+        pendingPlays = savedState.pendingPlays ? [...savedState.pendingPlays] : players.map(() => null);
+        turnsTaken = savedState.turnsTaken ?? 0;
+        pot = savedState.pot ?? 0;
+        roundHistory = JSON.parse(JSON.stringify(savedState.roundHistory ?? []));
+        // Undo/redo stacks are only present in states from getSaveState(); otherwise they start fresh
+        stateHistory = JSON.parse(JSON.stringify(savedState.undoHistory ?? []));
+        redoStack = JSON.parse(JSON.stringify(savedState.redoStack ?? []));
+        turnHistory = JSON.parse(JSON.stringify(savedState.turnHistory ?? []));
+    } else {
+        // Initialize new game state
+        players = createInitialPlayers(config, options.players);
+        currentRound = 0;
+        deck = shuffleDeck(buildDeck(config), random);
+        hands = restoreHands({ players, currentRound }, config, deck);
+        pendingPlays = players.map(() => null);
+        turnsTaken = 0;
+        pot = 0;
+        roundHistory = [];
+    }
+
+    const isHandMode = () => config.dealMode === DEAL_MODES.HAND;
+
+    const isTurnMode = () => config.turnMode === TURN_MODES.TURNS;
+
+    const strategyFor = (playerIndex) => (config.strategies ?? defaultStrategies(players.length))[playerIndex];
+
+    // Indexes of the players still in the game; only elimination scoring ever removes anyone
+    const activePlayers = () =>
+        players.flatMap((player, playerIndex) => (player.eliminated ? [] : [playerIndex]));
+
+    // Whether a round can be dealt once `round` rounds have been played
+    const canDealRound = (round = currentRound) => {
+        const active = activePlayers();
+        const hasCards = isHandMode()
+            ? active.every((playerIndex) => hands[playerIndex].length > 0)
+            : deck.length >= active.length;
+        return round < config.totalRounds && active.length > 1 && hasCards;
+    };
+
+    // setup until the first round is played, finished once the deck cannot deal another round
+    const getPhase = () => phaseFor(currentRound, canDealRound(), turnsTaken);
+
+    // Turn-based games: the player who flips next, in seat order; null once the game is over
+    const getCurrentTurn = () =>
+        isTurnMode() && getPhase() !== PHASES.FINISHED ? activePlayers()[turnsTaken] : null;
+
+    const otherNames = (playerIndex) =>
+        players.filter((_, index) => index !== playerIndex).map((player) => player.name);
+
+    // Names can only change during setup. They are stored trimmed and must differ from
+    // every other player's name, ignoring case.
+    const modifyPlayerName = (playerIndex, newName) => {
+        const rejected = guardPhase("modifyPlayerName", getPhase());
+        if (rejected) return rejected;
+        if (!players[playerIndex]) {
+            return failure(ERROR_CODES.INVALID_PLAYER, `There is no player at index ${playerIndex}`);
+        }
+        const invalidName = validatePlayerName(newName, otherNames(playerIndex));
+        if (invalidName) {
+            return failure(ERROR_CODES.INVALID_NAME, invalidName);
+        }
+        const name = normalizePlayerName(newName);
+        if (players[playerIndex].name !== name) {
+            const previousName = players[playerIndex].name;
+            players[playerIndex].name = name;
+            emitter.emit(GAME_EVENTS.PLAYER_RENAMED, { playerIndex, name, previousName });
+        }
+        return success({ name });
+    };
+
+    // Seats the given players with the config for their number and deals again from the
+    // same seed, since who gets which card depends on how many share the deck. Rounds
+    // set to use the whole deck keep doing so; other round counts shrink to fit if needed.
+    const reseat = (nextPlayers, strategies) => {
+        const nextConfig = { ...config, playerCount: nextPlayers.length, strategies };
+        const maxRounds = maxRoundsFor(nextConfig);
+        nextConfig.totalRounds =
+            config.totalRounds === maxRoundsFor(config) ? maxRounds : Math.min(config.totalRounds, maxRounds);
+        const errors = validateConfig(nextConfig);
+        if (errors.length > 0) {
+            return failure(ERROR_CODES.INVALID_CONFIG, errors[0], { errors });
+        }
+
+        config = nextConfig;
+        players = nextPlayers;
+        random = createRng();
+        deck = shuffleDeck(buildDeck(config), random);
+        hands = restoreHands({ players, currentRound }, config, deck);
+        pendingPlays = players.map(() => null);
+        // Undone rounds were dealt to the old table
+        stateHistory = [];
+        redoStack = [];
+        return null;
+    };
+
+    // Setup only: seats a new player after the others; without a name they are "Player N"
+    const addPlayer = (name) => {
+        const rejected = guardPhase("addPlayer", getPhase());
+        if (rejected) return rejected;
+        if (players.length >= MAX_PLAYERS) {
+            return failure(ERROR_CODES.INVALID_CONFIG, `A game can have at most ${MAX_PLAYERS} players`);
+        }
+        const playerName = name ?? nextPlayerName(players);
+        const invalidName = validatePlayerName(playerName, otherNames(-1));
+        if (invalidName) {
+            return failure(ERROR_CODES.INVALID_NAME, invalidName);
+        }
+
+        const player = createPlayer(nextPlayerId(players), normalizePlayerName(playerName));
+        const playerIndex = players.length;
+        const strategies = config.strategies && [
+            ...config.strategies,
+            defaultStrategies(playerIndex + 1)[playerIndex],
+        ];
+        const reseatFailed = reseat([...players, player], strategies);
+        if (reseatFailed) return reseatFailed;
+        emitter.emit(GAME_EVENTS.PLAYER_ADDED, { playerIndex, player: { ...player } });
+        return success({ playerIndex, player: { ...player } });
+    };
+
+    // Setup only: takes a player away from the table; the players after them move up a seat
+    const removePlayer = (playerIndex) => {
+        const rejected = guardPhase("removePlayer", getPhase());
+        if (rejected) return rejected;
+        if (!players[playerIndex]) {
+            return failure(ERROR_CODES.INVALID_PLAYER, `There is no player at index ${playerIndex}`);
+        }
+        if (players.length <= MIN_PLAYERS) {
+            return failure(ERROR_CODES.INVALID_CONFIG, `A game needs at least ${MIN_PLAYERS} players`);
+        }
+
+        const player = players[playerIndex];
+        const strategies = config.strategies && config.strategies.filter((_, seat) => seat !== playerIndex);
+        const reseatFailed = reseat(
+            players.filter((_, index) => index !== playerIndex),
+            strategies
+        );
+        if (reseatFailed) return reseatFailed;
+        emitter.emit(GAME_EVENTS.PLAYER_REMOVED, { playerIndex, player: { ...player } });
+        return success({ playerIndex, player: { ...player } });
+    };
+
+    // Hand mode: a human picks the card they will play next round; they can change their
+    // mind until the round is played
+    const playCard = (playerIndex, handIndex) => {
+        const rejected = guardPhase("playCard", getPhase());
+        if (rejected) return rejected;
+        if (!isHandMode()) {
+            return failure(ERROR_CODES.WRONG_MODE, "Cards can only be picked when players are dealt hands");
+        }
+        if (!players[playerIndex] || players[playerIndex].eliminated) {
+            return failure(ERROR_CODES.INVALID_PLAYER, `There is no player at index ${playerIndex} still in the game`);
+        }
+        if (!Number.isInteger(handIndex) || handIndex < 0 || handIndex >= hands[playerIndex].length) {
+            return failure(
+                ERROR_CODES.INVALID_CARD,
+                `Player ${playerIndex} has no card at hand position ${handIndex}`
+            );
+        }
+        pendingPlays[playerIndex] = handIndex;
+        emitter.notify();
+        return success();
+    };
+
+    // Humans in hand mode who still have to pick a card for the coming round
+    const getAwaitingPlayers = () =>
+        isHandMode()
+            ? activePlayers().slice(turnsTaken).filter(
+                (playerIndex) => strategyFor(playerIndex) === STRATEGIES.HUMAN && pendingPlays[playerIndex] === null
+            )
+            : [];
+
+    // Bots get their own seeded random per round and seat, so their picks replay with the game
+    const botRandomFor = (playerIndex) =>
+        seed === null ? random : createRandom((seed + currentRound * players.length + playerIndex) >>> 0);
+
+    const pickFromHand = (playerIndex) => {
+        const hand = hands[playerIndex];
+        const strategy = strategyFor(playerIndex);
+        const handIndex =
+            strategy === STRATEGIES.HUMAN
+                ? pendingPlays[playerIndex]
+                : botStrategies[strategy]({
+                    hand,
+                    compare,
+                    random: botRandomFor(playerIndex),
+                    totalRounds: config.totalRounds,
+                });
+        pendingPlays[playerIndex] = null;
+        return hand.splice(handIndex, 1)[0];
+    };
+
+    const flipCard = (playerIndex) => (isHandMode() ? pickFromHand(playerIndex) : deck.shift());
+
+    // Flips the card of everyone who has not taken their turn this round;
+    // knocked-out players sit the round out with no card
+    const drawCards = () => {
+        const waiting = activePlayers().slice(turnsTaken);
+        players.forEach((player, playerIndex) => {
+            if (player.eliminated) {
+                player.cardHeld = null;
+            } else if (waiting.includes(playerIndex)) {
+                player.cardHeld = flipCard(playerIndex);
+            }
+        });
+    };
+
+    const compare = (a, b) => compareCards(a, b, config);
+
+    const resolveRound = () => {
+        const outcome = scoringRules[config.scoringMode]({
+            contenders: activePlayers(),
+            cards: players.map((player) => player.cardHeld),
+            compare,
+            value: (card) => cardValue(card, config),
+            pointsPerScore: config.pointsPerScore,
+            pot,
+            settleTie: (tied, stake, tieCompare) =>
+                tieRules[config.tiePolicy]({
+                    tied,
+                    stake,
+                    drawCard: () => deck.shift(),
+                    cardsLeft: () => deck.length,
+                    compare: tieCompare,
+                    lastRound: !canDealRound(currentRound + 1),
+                }),
+        });
+
+        const scoreDeltas = players.map(() => 0);
+        for (const { playerIndex, points } of outcome.awards) {
+            players[playerIndex].score += points;
+            scoreDeltas[playerIndex] += points;
+        }
+        for (const playerIndex of outcome.eliminated) {
+            players[playerIndex].eliminated = true;
+        }
+        pot = outcome.carry;
+        currentRound++;
+
+        roundHistory.push({
+            round: currentRound,
+            cards: players.map((player) => player.cardHeld),
+            winners: outcome.winners,
+            scoreDeltas,
+            tied: outcome.tied,
+            tiePolicy: outcome.tieSettled ? config.tiePolicy : null,
+            suitTiebreak: outcome.suitTiebreak,
+            redraws: outcome.redraws,
+            eliminated: outcome.eliminated,
+            pot,
+        });
+    };
+
+    const runRound = () => {
+        const rejected = guardPhase("runRound", getPhase());
+        if (rejected) return rejected;
+        const awaiting = getAwaitingPlayers();
+        if (awaiting.length > 0) {
+            return failure(
+                ERROR_CODES.AWAITING_PLAY,
+                `Waiting for ${awaiting.map((playerIndex) => players[playerIndex].name).join(", ")} to pick a card`,
+                { players: awaiting }
+            );
+        }
+
+        // A turn-based round already under way was saved before its first turn
+        const preRoundState = turnHistory[0] ?? captureState();
+        // Playing a new round starts a new timeline, so undone rounds can no longer be redone
+        redoStack = [];
+
+        drawCards();
+        return success({ round: finishRound(preRoundState) });
+    };
+
+    // Scores the cards on the table and records preRoundState for undoLastRound
+    const finishRound = (preRoundState) => {
+        stateHistory.push(preRoundState);
+        resolveRound();
+        turnsTaken = 0;
+        turnHistory = [];
+        const result = getLastRoundResult();
+        emitter.emit(GAME_EVENTS.ROUND_RESOLVED, result);
+        if (getPhase() === PHASES.FINISHED) {
+            emitter.emit(GAME_EVENTS.GAME_FINISHED, { players: JSON.parse(JSON.stringify(players)) });
+        }
+        return result;
+    };
+
+    // Turn-based games: the player whose turn it is flips their card, or in hand mode plays
+    // the card at handIndex (bots pick their own). The last turn of the round scores it.
+    const takeTurn = (handIndex) => {
+        const rejected = guardPhase("takeTurn", getPhase());
+        if (rejected) return rejected;
+        if (!isTurnMode()) {
+            return failure(ERROR_CODES.WRONG_MODE, "Turns can only be taken in turn-based games");
+        }
+        const playerIndex = getCurrentTurn();
+        const picksOwnCard = isHandMode() && strategyFor(playerIndex) === STRATEGIES.HUMAN;
+        const pick = handIndex ?? pendingPlays[playerIndex];
+        if (picksOwnCard && (!Number.isInteger(pick) || pick < 0 || pick >= hands[playerIndex].length)) {
+            return failure(
+                ERROR_CODES.INVALID_CARD,
+                `${players[playerIndex].name} has no card at hand position ${pick}`
+            );
+        }
+
+        turnHistory.push(captureState());
+        if (turnsTaken === 0) {
+            redoStack = [];
+            // Last round's cards leave the table as the new round starts
+            players.forEach((player) => {
+                player.cardHeld = null;
+            });
+        }
+        if (picksOwnCard) {
+            pendingPlays[playerIndex] = pick;
+        }
+        const card = flipCard(playerIndex);
+        players[playerIndex].cardHeld = card;
+        turnsTaken++;
+        emitter.emit(GAME_EVENTS.TURN_TAKEN, { playerIndex, card });
+
+        const round = turnsTaken === activePlayers().length ? finishRound(turnHistory[0]) : null;
+        return success({ playerIndex, card, round });
+    };
+
+    // Takes back the last turn of the round under way
+    const undoTurn = () => {
+        const rejected = guardPhase("undoTurn", getPhase());
+        if (rejected) return rejected;
+        if (turnHistory.length === 0) {
+            return failure(ERROR_CODES.NOTHING_TO_UNDO, "No turn has been taken this round");
+        }
+
+        loadState(turnHistory.pop());
+        emitter.emit(GAME_EVENTS.TURN_UNDONE, { playerIndex: getCurrentTurn() });
+        return success();
+    };
+
+    const undoLastRound = () => {
+        const rejected = guardPhase("undoLastRound", getPhase());
+        if (rejected) return rejected;
+        // A round under way is first taken back to before its first turn
+        if (turnHistory.length > 0) {
+            loadState(turnHistory[0]);
+            turnHistory = [];
+            emitter.emit(GAME_EVENTS.ROUND_UNDONE, { round: currentRound + 1 });
+            return success();
+        }
+        if (stateHistory.length === 0) {
+            return failure(ERROR_CODES.NOTHING_TO_UNDO, "There is no earlier round to go back to");
+        }
+
+        const previousState = stateHistory.pop();
+        const undoneRound = currentRound;
+        redoStack.push(captureState());
+        loadState(previousState);
+        emitter.emit(GAME_EVENTS.ROUND_UNDONE, { round: undoneRound });
+        return success();
+    };
+
+    // Restores the state from before the last undo, so the same cards come back
+    const redoRound = () => {
+        const rejected = guardPhase("redoRound", getPhase());
+        if (rejected) return rejected;
+        if (redoStack.length === 0) {
+            return failure(ERROR_CODES.NOTHING_TO_REDO, "There is no undone round to redo");
+        }
+
+        const nextState = redoStack.pop();
+        stateHistory.push(captureState());
+        loadState(nextState);
+        emitter.notify();
+        return success();
+    };
+
+    // Highest round reachable without drawing new cards
+    const getFurthestRound = () => currentRound + redoStack.length;
+
+    // Jumps to any round that has already been played, by undoing or redoing step by step.
+    // A game resumed without its history can only go back as far as the state it was loaded from.
+    const goToRound = (round) => {
+        const rejected = guardPhase("goToRound", getPhase());
+        if (rejected) return rejected;
+        const earliestRound = currentRound - stateHistory.length;
+        if (!Number.isInteger(round) || round < earliestRound || round > getFurthestRound()) {
+            return failure(
+                ERROR_CODES.INVALID_ROUND,
+                `Round ${round} has not been played; choose a round from ${earliestRound} to ${getFurthestRound()}`
+            );
+        }
+        while (currentRound > round) {
+            undoLastRound();
+        }
+        while (currentRound < round) {
+            redoRound();
+        }
+        return success();
+    };
+
+    const runGameLoop = () => {
+        const rejected = guardPhase("runGameLoop", getPhase());
+        if (rejected) return rejected;
+        while (canDealRound()) {
+            const result = runRound();
+            // Stops when a human has to pick a card in hand mode
+            if (!result.ok) return result;
+        }
+        return success({ players });
+    };
+    
+    // Everything needed to put the game back exactly as it is, hidden cards included
+    const captureState = () => {
+        return {
+            players: JSON.parse(JSON.stringify(players)),
+            currentRound: currentRound,
+            totalRounds: config.totalRounds,
+            deck: [...deck],
+            hands: JSON.parse(JSON.stringify(hands)),
+            pendingPlays: [...pendingPlays],
+            turnsTaken: turnsTaken,
+            gameId: gameId,
+            config: { ...config },
+            pot: pot,
+            roundHistory: JSON.parse(JSON.stringify(roundHistory)),
+            seed: seed
+        };
+    };
+
+    // What anyone at the table may see: no deck, no hands and no picks made for the coming
+    // round. Pass getSaveState() to createGameLogic or setGameState to restore a game.
+    const getGameState = () => {
+        const { deck: _deck, hands: _hands, pendingPlays: _pendingPlays, ...visible } = captureState();
+        return visible;
+    };
+
+    // Game state plus the undo/redo stacks, for saves that should keep undo working after a reload
+    const getSaveState = () => {
+        return {
+            ...captureState(),
+            undoHistory: JSON.parse(JSON.stringify(stateHistory)),
+            redoStack: JSON.parse(JSON.stringify(redoStack)),
+            turnHistory: JSON.parse(JSON.stringify(turnHistory))
+        };
+    };
+
+    // Replaces the current state without notifying listeners; used by undo/redo and the public setGameState
+    const loadState = (state) => {
+        if (state && state.players && typeof state.currentRound === 'number') {
+            // States without a config (from before configurable games) keep the current one
+            if (state.config) {
+                const stateConfig = resolveConfig(state.config);
+                if (validateConfig(stateConfig).length > 0) {
+                    return false;
+                }
+                config = stateConfig;
+            }
+            players = withPlayerIds(JSON.parse(JSON.stringify(state.players)));
+            currentRound = state.currentRound;
+            // States from before game ids existed stay part of the current game
+            gameId = state.gameId ?? gameId;
+            const stateSeed = normalizeSeed(state.seed);
+            if (stateSeed !== null && stateSeed !== seed) {
+                seed = stateSeed;
+                random = createRng();
+            }
+            deck = restoreDeck(state, config, random);
+            hands = restoreHands(state, config, deck);
+            pendingPlays = state.pendingPlays ? [...state.pendingPlays] : players.map(() => null);
+            turnsTaken = state.turnsTaken ?? 0;
+            pot = state.pot ?? 0;
+            roundHistory = JSON.parse(JSON.stringify(state.roundHistory ?? []));
+            return true;
+        }
+        return false;
+    };
+    
+    const setGameState = (state) => {
+        if (!loadState(state)) {
+            return failure(
+                ERROR_CODES.INVALID_STATE,
+                "State must have a players array, a numeric currentRound and a valid config"
+            );
+        }
+        // Turns taken before the new state no longer apply to it
+        turnHistory = [];
+        emitter.notify();
+        return success();
+    };
+
+    // Serializes the whole game as a JSON replay file: config, players, every round's
+    // cards and results, and the current position (undo/redo included)
+    const exportGame = () => serializeReplay(getSaveState());
+
+    // Loads a replay from exportGame. A failure lists every problem found in error.errors.
+    const importGame = (json) => {
+        const { state, errors } = parseReplay(json);
+        if (errors.length > 0) {
+            return failure(ERROR_CODES.INVALID_REPLAY, errors[0], { errors });
+        }
+        loadState(state);
+        stateHistory = JSON.parse(JSON.stringify(state.undoHistory));
+        redoStack = JSON.parse(JSON.stringify(state.redoStack));
+        turnHistory = JSON.parse(JSON.stringify(state.turnHistory ?? []));
+        emitter.notify();
+        return success();
+    };
+
+    // Restarts with the same seed, so the new game deals the same cards as the first one
+    const resetGame = () => {
+        // Everyone keeps their id, while the names go back to the defaults
+        players = createInitialPlayers(config, players.map(({ id }) => ({ id })));
+        gameId = generateGameId();
+        currentRound = 0;
+        random = createRng();
+        deck = shuffleDeck(buildDeck(config), random);
+        hands = restoreHands({ players, currentRound }, config, deck);
+        pendingPlays = players.map(() => null);
+        turnsTaken = 0;
+        pot = 0;
+        roundHistory = [];
+        stateHistory = []; // Clear history on reset
+        redoStack = [];
+        turnHistory = [];
+        emitter.emit(GAME_EVENTS.GAME_RESET);
+        return success();
+    };
+
+    // The unplayed cards of the viewer's own seat; the other seats are only shown how many
+    // cards each hand holds, through getHandSizes
+    const getHand = (viewer) =>
+        isHandMode() && hands[viewer] ? JSON.parse(JSON.stringify(hands[viewer])) : [];
+
+    // Hand games on a shared screen: the person whose cards may be shown now. That is the
+    // human whose turn it is in turn-based games, otherwise the first human still to pick.
+    // null when no person has a card to pick.
+    const getViewer = () => {
+        if (isTurnMode()) {
+            const turn = getCurrentTurn();
+            return turn !== null && turn !== undefined && getAwaitingPlayers().includes(turn) ? turn : null;
+        }
+        return getAwaitingPlayers()[0] ?? null;
+    };
+
+    const getHandSizes = () => players.map((_, playerIndex) => (isHandMode() ? hands[playerIndex].length : 0));
+
+    // Whether each player has picked a card for the coming round, without saying which
+    const getPendingPlays = () => pendingPlays.map((handIndex) => handIndex !== null);
+
+    const getLastRoundResult = () => {
+        const lastResult = roundHistory[roundHistory.length - 1];
+        return lastResult ? JSON.parse(JSON.stringify(lastResult)) : null;
+    };
+
+    // Indexes of the players who won the last round played, empty before the first round
+    const getLastRoundWinners = () => [...(roundHistory[roundHistory.length - 1]?.winners ?? [])];
+
+    // Rounds won, ties, average and highest card and longest win streak for each player so far
+    const getPlayerStats = () => computePlayerStats(roundHistory, players.length, config);
+
+    return {
+        modifyPlayerName,
+        addPlayer,
+        removePlayer,
+        runGameLoop,
+        runRound,
+        undoLastRound,
+        redoRound,
+        goToRound,
+        getFurthestRound,
+        getPlayers: () => players,
+        getGameState,
+        getSaveState,
+        setGameState,
+        exportGame,
+        importGame,
+        resetGame,
+        getTotalRounds: () => config.totalRounds,
+        getConfig: () => ({ ...config }),
+        getCurrentRound: () => currentRound,
+        getPhase,
+        getRemainingCards: () => deck.length,
+        getDeck: () => [...deck],
+        getSeed: () => seed,
+        getGameId: () => gameId,
+        getPot: () => pot,
+        getRoundHistory: () => JSON.parse(JSON.stringify(roundHistory)),
+        getLastRoundResult,
+        getLastRoundWinners,
+        getPlayerStats,
+        playCard,
+        getHand,
+        getViewer,
+        getHandSizes,
+        getPendingPlays,
+        getAwaitingPlayers,
+        getStrategies: () => players.map((_, playerIndex) => strategyFor(playerIndex)),
+        takeTurn,
+        undoTurn,
+        getCurrentTurn,
+        getTurnsTaken: () => turnsTaken,
+        isGameOver: () => !canDealRound(),
+        subscribe: emitter.subscribe,
+        on: emitter.on,
+        getVersion: emitter.getVersion
+    };
+};
+
+export default createGameLogic;
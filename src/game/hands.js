@@ -0,0 +1,65 @@
+// Hand-based play: players are dealt a hand up front and choose one card per round
+
+export const DEAL_MODES = Object.freeze({
+    // A fresh card from the deck for every player each round
+    DRAW: "draw",
+    // Each player is dealt a hand of one card per round and picks which card to play
+    HAND: "hand",
+});
+
+export const DEAL_MODE_LABELS = Object.freeze({
+    [DEAL_MODES.DRAW]: "Drawn each round",
+    [DEAL_MODES.HAND]: "Dealt as a hand",
+});
+
+// Who picks a seat's card in hand mode
+export const STRATEGIES = Object.freeze({
+    HUMAN: "human",
+    RANDOM: "random",
+    HIGHEST_FIRST: "highestFirst",
+    LOWEST_FIRST: "lowestFirst",
+    SAVE_HIGH_CARDS: "saveHighCards",
+});
+
+export const STRATEGY_LABELS = Object.freeze({
+    [STRATEGIES.HUMAN]: "Human",
+    [STRATEGIES.RANDOM]: "Bot: random",
+    [STRATEGIES.HIGHEST_FIRST]: "Bot: highest first",
+    [STRATEGIES.LOWEST_FIRST]: "Bot: lowest first",
+    [STRATEGIES.SAVE_HIGH_CARDS]: "Bot: save high cards",
+});
+
+// Seats without a configured strategy: the first seat is played by a person, the rest by bots
+export const defaultStrategies = (playerCount) =>
+    Array.from({ length: playerCount }, (_, seat) => (seat === 0 ? STRATEGIES.HUMAN : STRATEGIES.RANDOM));
+
+// Index of the card that ranks first by compare
+const bestIndex = (hand, compare) =>
+    hand.reduce((best, card, index) => (compare(card, hand[best]) > 0 ? index : best), 0);
+
+const lowFirst = (compare) => (a, b) => compare(b, a);
+
+/**
+ * Bot strategies pick the index of the card to play. Each receives:
+ * - hand: the bot's remaining cards
+ * - compare: card ordering for the game's config (highest ranks first)
+ * - random: Math.random-like function, seeded per round and seat
+ * - totalRounds: length of the game, which is also the size of a full hand
+ */
+export const botStrategies = {
+    [STRATEGIES.RANDOM]: ({ hand, random }) => Math.floor(random() * hand.length),
+
+    [STRATEGIES.HIGHEST_FIRST]: ({ hand, compare }) => bestIndex(hand, compare),
+
+    [STRATEGIES.LOWEST_FIRST]: ({ hand, compare }) => bestIndex(hand, lowFirst(compare)),
+
+    // Throws away its lowest cards and keeps its best third of the hand for the final rounds
+    [STRATEGIES.SAVE_HIGH_CARDS]: ({ hand, compare, totalRounds }) => {
+        const reserve = Math.ceil(totalRounds / 3);
+        return hand.length > reserve ? bestIndex(hand, lowFirst(compare)) : bestIndex(hand, compare);
+    },
+};
+
+// Deals `handSize` cards to each player from the top of the deck, one player at a time
+export const dealHands = (deck, playerCount, handSize) =>
+    Array.from({ length: playerCount }, () => deck.splice(0, handSize));
@@ -0,0 +1,179 @@
+// Lifetime leaderboard: every finished game's result, kept in localStorage by player name,
+// with head-to-head records between each pair of players
+
+import { PHASES } from "./phases.js";
+import { isDefaultPlayerName, playerNameKey } from "./players.js";
+
+export const LEADERBOARD_KEY = "highCardGame.leaderboard";
+
+// Bump this whenever the stored shape changes; boards in another version start over
+export const LEADERBOARD_VERSION = 1;
+
+// How many recorded game ids are kept to turn away repeats; the oldest go first
+export const MAX_RECORDED_GAMES = 1000;
+
+export const LEADERBOARD_SORTS = {
+    WIN_RATE: "winRate",
+    GAMES_WON: "gamesWon",
+    GAMES_PLAYED: "gamesPlayed",
+    TOTAL_POINTS: "totalPoints",
+    NAME: "name",
+};
+
+export const createEmptyLeaderboard = () => ({
+    version: LEADERBOARD_VERSION,
+    recordedGames: [],
+    players: {},
+    headToHead: {},
+});
+
+const isLeaderboard = (data) =>
+    Boolean(data) &&
+    typeof data === "object" &&
+    data.version === LEADERBOARD_VERSION &&
+    Array.isArray(data.recordedGames) &&
+    Boolean(data.players) &&
+    typeof data.players === "object" &&
+    Boolean(data.headToHead) &&
+    typeof data.headToHead === "object";
+
+/**
+ * Adds one finished game to a leaderboard without changing the one passed in.
+ * Games won only counts outright wins; a top score shared by several players counts as
+ * shared, as in match standings. Each pair of players in the game gets a head-to-head win
+ * and loss by final score, or a draw when their scores are equal. The last name used
+ * for a player is the one shown. Names match the way they do within a game, whatever
+ * their case, and seats still called "Player N" are left out: they are not anyone in
+ * particular, though their scores still decide who won.
+ * Returns the same leaderboard when this gameId has already been recorded, or when
+ * nobody in the game was named.
+ * @param {object} data - leaderboard from createEmptyLeaderboard or loadLeaderboard
+ * @param {object} result
+ * @param {string} result.gameId - from the engine's getGameId()
+ * @param {Array<{name: string, score: number}>} result.players - final scores
+ */
+export const addGameResult = (data, { gameId, players }) => {
+    const named = players.filter((player) => !isDefaultPlayerName(player.name));
+    if (data.recordedGames.includes(gameId) || named.length === 0) {
+        return data;
+    }
+    const topScore = Math.max(...players.map((player) => player.score));
+    const topCount = players.filter((player) => player.score === topScore).length;
+
+    const nextPlayers = { ...data.players };
+    for (const { name, score } of named) {
+        const previous = nextPlayers[playerNameKey(name)] ?? {
+            gamesPlayed: 0,
+            gamesWon: 0,
+            gamesShared: 0,
+            totalPoints: 0,
+        };
+        nextPlayers[playerNameKey(name)] = {
+            name,
+            gamesPlayed: previous.gamesPlayed + 1,
+            gamesWon: previous.gamesWon + (score === topScore && topCount === 1 ? 1 : 0),
+            gamesShared: previous.gamesShared + (score === topScore && topCount > 1 ? 1 : 0),
+            totalPoints: previous.totalPoints + score,
+        };
+    }
+
+    const nextHeadToHead = { ...data.headToHead };
+    for (const player of named) {
+        const key = playerNameKey(player.name);
+        const records = { ...nextHeadToHead[key] };
+        for (const opponent of named) {
+            if (opponent === player) continue;
+            const opponentKey = playerNameKey(opponent.name);
+            const record = records[opponentKey] ?? { wins: 0, losses: 0, draws: 0 };
+            records[opponentKey] = {
+                wins: record.wins + (player.score > opponent.score ? 1 : 0),
+                losses: record.losses + (player.score < opponent.score ? 1 : 0),
+                draws: record.draws + (player.score === opponent.score ? 1 : 0),
+            };
+        }
+        nextHeadToHead[key] = records;
+    }
+
+    return {
+        ...data,
+        recordedGames: [...data.recordedGames, gameId].slice(-MAX_RECORDED_GAMES),
+        players: nextPlayers,
+        headToHead: nextHeadToHead,
+    };
+};
+
+// Returns the stored leaderboard, or an empty one when there is none or it cannot be read
+export const loadLeaderboard = (storage = globalThis.localStorage) => {
+    try {
+        const raw = storage.getItem(LEADERBOARD_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        return isLeaderboard(data) ? data : createEmptyLeaderboard();
+    } catch {
+        return createEmptyLeaderboard();
+    }
+};
+
+/**
+ * Records a createGameLogic game once it is finished. Undoing the last round and playing
+ * it again, or redoing it, keeps the game's id, so it is still only recorded once.
+ * Returns true when the game was added, false when it is not finished, was already
+ * recorded, has no named players or storage is unavailable or full.
+ */
+export const recordGame = (game, storage = globalThis.localStorage) => {
+    if (game.getPhase() !== PHASES.FINISHED) {
+        return false;
+    }
+    const data = loadLeaderboard(storage);
+    const next = addGameResult(data, { gameId: game.getGameId(), players: game.getPlayers() });
+    if (next === data) {
+        return false;
+    }
+    try {
+        storage.setItem(LEADERBOARD_KEY, JSON.stringify(next));
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+export const clearLeaderboard = (storage = globalThis.localStorage) => {
+    try {
+        storage.removeItem(LEADERBOARD_KEY);
+    } catch {
+        // Nothing to clear if storage is unavailable
+    }
+};
+
+// Wins as a share of games played, from 0 to 1
+const winRateOf = ({ gamesWon, gamesPlayed }) => (gamesPlayed === 0 ? 0 : gamesWon / gamesPlayed);
+
+/**
+ * One row per player, sorted by one of LEADERBOARD_SORTS in the given direction ("ascending"
+ * or "descending", as aria-sort names them). Ties fall back to name order, A to Z.
+ */
+export const getLeaderboardRows = (data, sortBy = LEADERBOARD_SORTS.WIN_RATE, direction = "descending") => {
+    const sign = direction === "ascending" ? 1 : -1;
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const compare =
+        sortBy === LEADERBOARD_SORTS.NAME
+            ? (a, b) => sign * byName(a, b)
+            : (a, b) => sign * (a[sortBy] - b[sortBy]) || byName(a, b);
+    return Object.entries(data.players)
+        .map(([key, player]) => ({ key, ...player, winRate: winRateOf(player) }))
+        .sort(compare);
+};
+
+// Every pair of players who have met, once each, as { name, opponent, wins, losses, draws }
+export const getHeadToHeadRows = (data) =>
+    Object.entries(data.headToHead)
+        .flatMap(([key, records]) =>
+            Object.entries(records)
+                .filter(([opponentKey]) => key < opponentKey)
+                .map(([opponentKey, record]) => ({
+                    key: `${key}|${opponentKey}`,
+                    name: data.players[key]?.name ?? key,
+                    opponent: data.players[opponentKey]?.name ?? opponentKey,
+                    ...record,
+                }))
+        )
+        .sort((a, b) => a.name.localeCompare(b.name) || a.opponent.localeCompare(b.opponent));
@@ -0,0 +1,221 @@
+// Matches: a series of games with the same setup, scored by games won
+
+import createGameLogic from "./gameLogic.js";
+import { createEmitter } from "./events.js";
+import { InvalidConfigError } from "./config.js";
+import { ERROR_CODES, PHASES, failure, success } from "./phases.js";
+import { generateSeed, normalizeSeed } from "./random.js";
+
+export const MATCH_FORMATS = Object.freeze({
+    // Ends early once no other player can catch the leader's games won
+    BEST_OF: "bestOf",
+    // Always plays every game
+    FIXED: "fixed",
+});
+
+export const MATCH_FORMAT_LABELS = Object.freeze({
+    [MATCH_FORMATS.BEST_OF]: "Best of",
+    [MATCH_FORMATS.FIXED]: "Fixed games",
+});
+
+export const MAX_MATCH_GAMES = 25;
+
+// A single game is a fixed match of one
+export const DEFAULT_MATCH = Object.freeze({ format: MATCH_FORMATS.FIXED, games: 1 });
+
+// Returns a list of human-readable problems; an empty list means the options are usable
+export const validateMatchOptions = ({ format, games }) => {
+    const errors = [];
+    if (!Object.values(MATCH_FORMATS).includes(format)) {
+        errors.push(`Match format must be one of: ${Object.values(MATCH_FORMATS).join(", ")}`);
+    }
+    if (!Number.isInteger(games) || games < 1 || games > MAX_MATCH_GAMES) {
+        errors.push(`Games in a match must be a whole number from 1 to ${MAX_MATCH_GAMES}`);
+    }
+    return errors;
+};
+
+// e.g. "Game 2 · best of 5" or "Game 2 of 3", for status lines
+export const describeMatch = ({ format, games, gameNumber }) =>
+    format === MATCH_FORMATS.BEST_OF ? `Game ${gameNumber} · best of ${games}` : `Game ${gameNumber} of ${games}`;
+
+// Final scores of a finished game; a game shared at the top score has several winners
+const resultOf = (game, gameNumber) => {
+    const scores = game.getPlayers().map((player) => player.score);
+    const topScore = Math.max(...scores);
+    return {
+        gameNumber,
+        seed: game.getSeed(),
+        scores,
+        winners: scores.flatMap((score, playerIndex) => (score === topScore ? [playerIndex] : [])),
+    };
+};
+
+/**
+ * Creates a match: games are played one after another with createGameLogic, and a
+ * game only counts towards the standings once it is finished. Undoing the last round
+ * of a finished game takes its result back out until it finishes again.
+ * @param {object} options
+ * @param {string} [options.format] - one of MATCH_FORMATS
+ * @param {number} [options.games] - games in a fixed match, or the N in best-of-N
+ * @param {object} [options.config] - setup for every game, see DEFAULT_CONFIG
+ * @param {number|string} [options.seed] - seed of the first game; each later game uses the next seed
+ * @param {object[]} [options.players] - { id, name } for each seat, see createGameLogic
+ * @param {object} [options.game] - existing engine to use as the first game, e.g. a resumed save
+ * @param {object[]} [options.results] - results of the games before `game`, from getSaveState()
+ * @throws {InvalidConfigError} when the match options or the config fail validation
+ */
+const createMatch = (options = {}) => {
+    const format = options.format ?? DEFAULT_MATCH.format;
+    const games = options.games ?? DEFAULT_MATCH.games;
+    const matchErrors = validateMatchOptions({ format, games });
+    if (options.results && !(Array.isArray(options.results) && options.results.length < games)) {
+        matchErrors.push(`Earlier results must be a list of fewer than ${games} games`);
+    }
+    if (matchErrors.length > 0) {
+        throw new InvalidConfigError(matchErrors);
+    }
+
+    const emitter = createEmitter([]);
+    // Results of the games before the current one, in order
+    const results = (options.results ?? []).map((result) => ({ ...result }));
+    let current;
+    let stopRelay = () => {};
+
+    // Listeners of the match also hear about every change to the current game
+    const setCurrentGame = (game) => {
+        stopRelay();
+        current = game;
+        stopRelay = game.subscribe(emitter.notify);
+    };
+
+    // A later game keeps the setup and the players from the game before it
+    const createNextGame = (seed) =>
+        createGameLogic(null, { config: current.getConfig(), seed, players: current.getPlayers() });
+
+    setCurrentGame(
+        options.game ??
+            createGameLogic(null, { config: options.config, seed: options.seed, players: options.players })
+    );
+
+    const getGameNumber = () => results.length + 1;
+
+    const isGameFinished = () => current.getPhase() === PHASES.FINISHED;
+
+    // Every game that counts so far: the earlier games plus the current one once it is finished
+    const getResults = () => {
+        const decided = results.map((result) => ({ ...result }));
+        if (isGameFinished()) {
+            decided.push(resultOf(current, getGameNumber()));
+        }
+        return decided;
+    };
+
+    // One entry per seat: games won outright, games shared at the top and total points
+    const getStandings = () => {
+        const decided = getResults();
+        return current.getPlayers().map((player, playerIndex) => {
+            const gamesWon = decided.filter(
+                (result) => result.winners.length === 1 && result.winners[0] === playerIndex
+            ).length;
+            const gamesShared = decided.filter(
+                (result) => result.winners.length > 1 && result.winners.includes(playerIndex)
+            ).length;
+            const totalPoints = decided.reduce((sum, result) => sum + result.scores[playerIndex], 0);
+            return { playerIndex, name: player.name, gamesWon, gamesShared, totalPoints };
+        });
+    };
+
+    const isMatchOver = () => {
+        const played = getResults().length;
+        if (played >= games) {
+            return true;
+        }
+        if (format !== MATCH_FORMATS.BEST_OF) {
+            return false;
+        }
+        const wins = getStandings()
+            .map((standing) => standing.gamesWon)
+            .sort((a, b) => b - a);
+        return wins[0] - wins[1] > games - played;
+    };
+
+    // Seats with the most games won once the match is over, total points breaking ties; null before then
+    const getMatchWinners = () => {
+        if (!isMatchOver()) {
+            return null;
+        }
+        const standings = getStandings();
+        const best = standings.reduce((top, standing) =>
+            standing.gamesWon > top.gamesWon ||
+            (standing.gamesWon === top.gamesWon && standing.totalPoints > top.totalPoints)
+                ? standing
+                : top
+        );
+        return standings
+            .filter(
+                (standing) =>
+                    standing.gamesWon === best.gamesWon && standing.totalPoints === best.totalPoints
+            )
+            .map((standing) => standing.playerIndex);
+    };
+
+    // Locks in the finished game's result and deals the next game with the next seed
+    const nextGame = () => {
+        if (!isGameFinished()) {
+            return failure(ERROR_CODES.WRONG_PHASE, "The current game has to finish before the next one starts", {
+                action: "nextGame",
+                phase: current.getPhase(),
+            });
+        }
+        if (isMatchOver()) {
+            return failure(ERROR_CODES.MATCH_OVER, "The match is over; start a new match to keep playing");
+        }
+        const previousSeed = normalizeSeed(current.getSeed()) ?? generateSeed();
+        results.push(resultOf(current, getGameNumber()));
+        setCurrentGame(createNextGame((previousSeed + 1) >>> 0));
+        emitter.notify();
+        return success({ gameNumber: getGameNumber() });
+    };
+
+    // Replaces the current game with a fresh deal; earlier results are kept. In a longer match
+    // a finished game's result is still waiting to be counted, so nextGame has to come first;
+    // a match of one game simply starts over.
+    const restartGame = () => {
+        if (games > 1 && isGameFinished()) {
+            return failure(
+                ERROR_CODES.WRONG_PHASE,
+                "The finished game counts towards the match; start the next game instead",
+                { action: "restartGame", phase: current.getPhase() }
+            );
+        }
+        setCurrentGame(createNextGame(generateSeed()));
+        emitter.notify();
+        return success({ gameNumber: getGameNumber() });
+    };
+
+    // What a save needs besides the current game's own state to pick the match back up
+    const getSaveState = () => ({
+        format,
+        games,
+        results: results.map((result) => ({ ...result })),
+    });
+
+    return {
+        nextGame,
+        restartGame,
+        getCurrentGame: () => current,
+        getGameNumber,
+        getFormat: () => format,
+        getGames: () => games,
+        getResults,
+        getStandings,
+        isMatchOver,
+        getMatchWinners,
+        getSaveState,
+        subscribe: emitter.subscribe,
+        getVersion: emitter.getVersion,
+    };
+};
+
+export default createMatch;
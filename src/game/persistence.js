@@ -0,0 +1,154 @@
+// Saving games to localStorage in a versioned format, with migrations for older saves
+
+import { generateGameId } from "./random.js";
+
+export const SAVE_KEY = "highCardGame.save";
+
+// Bump this and add a migration below whenever the saved shape changes
+export const SAVE_VERSION = 6;
+
+// The saved states kept alongside the game for undo, redo and taking back turns
+const STATE_STACKS = ["undoHistory", "redoStack", "turnHistory"];
+
+// Applies a change to a saved game and to every state in its stacks
+const updateStates = (game, update) => {
+    const updated = update(game);
+    for (const stack of STATE_STACKS) {
+        if (Array.isArray(game[stack])) {
+            updated[stack] = game[stack].map(update);
+        }
+    }
+    return updated;
+};
+
+/**
+ * Each migration upgrades a save from the version it is keyed by to the next one.
+ * Version 0 is the unversioned state object that createGameLogic(savedState) has always
+ * accepted: just players, currentRound and totalRounds, with no undo history.
+ */
+const migrations = {
+    0: (save) => ({
+        version: 1,
+        savedAt: null,
+        game: save,
+    }),
+    // Hand mode. Version 1 was still written for a while after each of the changes below,
+    // so these keep whatever a save already has and only fill in what it is missing.
+    // Games without hands dealt from the deck, so nobody holds a hand or a pick.
+    1: (save) => ({
+        ...save,
+        version: 2,
+        game: updateStates(save.game, (state) => ({
+            ...state,
+            hands: state.hands ?? null,
+            pendingPlays: state.pendingPlays ?? state.players.map(() => null),
+        })),
+    }),
+    // Turn mode: games without turns were saved between rounds, with no turns taken
+    2: (save) => ({
+        ...save,
+        version: 3,
+        game: {
+            ...updateStates(save.game, (state) => ({ ...state, turnsTaken: state.turnsTaken ?? 0 })),
+            turnHistory: save.game.turnHistory ?? [],
+        },
+    }),
+    // Player ids: seats could not be added or removed before them, so seat n is player pn
+    3: (save) => ({
+        ...save,
+        version: 4,
+        game: updateStates(save.game, (state) => ({
+            ...state,
+            players: state.players.map((player, seat) => ({ ...player, id: player.id ?? `p${seat + 1}` })),
+        })),
+    }),
+    // Game ids: one id shared by the game and its stacks, so undo keeps it
+    4: (save) => {
+        const gameId = save.game.gameId ?? generateGameId();
+        return {
+            ...save,
+            version: 5,
+            game: updateStates(save.game, (state) => ({ ...state, gameId: state.gameId ?? gameId })),
+        };
+    },
+    // Matches: saves before them only kept the current game, which goes on as a match of one
+    5: (save) => ({
+        ...save,
+        version: 6,
+        match: null,
+    }),
+};
+
+// Brings any known save up to SAVE_VERSION; returns null for saves that cannot be used
+export const migrateSave = (save) => {
+    if (!save || typeof save !== "object") {
+        return null;
+    }
+    let version = save.version ?? 0;
+    if (!Number.isInteger(version) || version > SAVE_VERSION) {
+        return null;
+    }
+    let migrated = save;
+    while (version < SAVE_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            return null;
+        }
+        migrated = migrate(migrated);
+        version = migrated.version;
+    }
+    const { game, match } = migrated;
+    if (!game || !Array.isArray(game.players) || typeof game.currentRound !== "number") {
+        return null;
+    }
+    if (match !== null && !(match && typeof match === "object" && Array.isArray(match.results))) {
+        return null;
+    }
+    return migrated;
+};
+
+/**
+ * Wraps the engine's save state in the current versioned format. With a createMatch match,
+ * the save also keeps its format and the results of the games before this one; pass
+ * save.match to createMatch along with the resumed game to carry on with the match.
+ */
+export const createSave = (game, match = null) => ({
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    game: game.getSaveState(),
+    match: match ? match.getSaveState() : null,
+});
+
+const writeSave = (save, storage) => {
+    try {
+        storage.setItem(SAVE_KEY, JSON.stringify(save));
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+// Returns false when storage is unavailable or full, so callers can carry on unsaved
+export const saveGame = (game, storage = globalThis.localStorage) => writeSave(createSave(game), storage);
+
+// Saves a match's current game together with the match around it; returns false like saveGame
+export const saveMatch = (match, storage = globalThis.localStorage) =>
+    writeSave(createSave(match.getCurrentGame(), match), storage);
+
+// Returns the migrated save, or null when there is none or it cannot be read
+export const loadSave = (storage = globalThis.localStorage) => {
+    try {
+        const raw = storage.getItem(SAVE_KEY);
+        return raw ? migrateSave(JSON.parse(raw)) : null;
+    } catch {
+        return null;
+    }
+};
+
+export const clearSave = (storage = globalThis.localStorage) => {
+    try {
+        storage.removeItem(SAVE_KEY);
+    } catch {
+        // Nothing to clear if storage is unavailable
+    }
+};
@@ -0,0 +1,70 @@
+// Game phases, which engine actions each phase allows, and the results actions return
+
+export const PHASES = Object.freeze({
+    SETUP: "setup",
+    PLAYING: "playing",
+    FINISHED: "finished",
+});
+
+const { SETUP, PLAYING, FINISHED } = PHASES;
+
+// Guards: the phases in which each engine action may run
+export const ALLOWED_PHASES = Object.freeze({
+    modifyPlayerName: [SETUP],
+    addPlayer: [SETUP],
+    removePlayer: [SETUP],
+    runRound: [SETUP, PLAYING],
+    playCard: [SETUP, PLAYING],
+    takeTurn: [SETUP, PLAYING],
+    undoTurn: [PLAYING],
+    runGameLoop: [SETUP, PLAYING],
+    undoLastRound: [PLAYING, FINISHED],
+    redoRound: [SETUP, PLAYING],
+    goToRound: [SETUP, PLAYING, FINISHED],
+    setGameState: [SETUP, PLAYING, FINISHED],
+    importGame: [SETUP, PLAYING, FINISHED],
+    resetGame: [SETUP, PLAYING, FINISHED],
+});
+
+export const ERROR_CODES = Object.freeze({
+    WRONG_PHASE: "WRONG_PHASE",
+    NOTHING_TO_UNDO: "NOTHING_TO_UNDO",
+    NOTHING_TO_REDO: "NOTHING_TO_REDO",
+    INVALID_PLAYER: "INVALID_PLAYER",
+    INVALID_NAME: "INVALID_NAME",
+    INVALID_CONFIG: "INVALID_CONFIG",
+    INVALID_ROUND: "INVALID_ROUND",
+    INVALID_STATE: "INVALID_STATE",
+    INVALID_REPLAY: "INVALID_REPLAY",
+    MATCH_OVER: "MATCH_OVER",
+    WRONG_MODE: "WRONG_MODE",
+    INVALID_CARD: "INVALID_CARD",
+    AWAITING_PLAY: "AWAITING_PLAY",
+});
+
+// Round 0 is setup until someone takes the first turn; once the deck cannot deal
+// another round the game is finished
+export const phaseFor = (currentRound, canDealRound, turnsTaken = 0) => {
+    if (!canDealRound) {
+        return FINISHED;
+    }
+    return currentRound === 0 && turnsTaken === 0 ? SETUP : PLAYING;
+};
+
+export const success = (details = {}) => ({ ok: true, ...details });
+
+export const failure = (code, message, details = {}) => ({
+    ok: false,
+    error: { code, message, ...details },
+});
+
+// Returns a WRONG_PHASE failure when `action` is not allowed in `phase`, otherwise null
+export const guardPhase = (action, phase) => {
+    if (ALLOWED_PHASES[action].includes(phase)) {
+        return null;
+    }
+    return failure(ERROR_CODES.WRONG_PHASE, `${action} is not allowed during the ${phase} phase`, {
+        action,
+        phase,
+    });
+};
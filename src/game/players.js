@@ -0,0 +1,62 @@
+// Player identities and names: every seat gets an id that stays the same through renames,
+// added and removed seats and undo, so UIs can key on it instead of the name
+
+export const MAX_NAME_LENGTH = 15;
+
+export const defaultPlayerName = (seat) => `Player ${seat + 1}`;
+
+// Trims the ends and squeezes runs of spaces, so "  Ann   Lee " is stored as "Ann Lee"
+export const normalizePlayerName = (name) => name.trim().replace(/\s+/g, " ");
+
+// What names are compared by: normalized and without regard to case, so "bob " and "Bob" match
+export const playerNameKey = (name) => normalizePlayerName(name).toLocaleLowerCase();
+
+const sameName = (a, b) => playerNameKey(a) === playerNameKey(b);
+
+// True for the "Player N" names seats have until someone renames them, in any case
+export const isDefaultPlayerName = (name) => /^player [1-9]\d*$/.test(playerNameKey(name));
+
+/**
+ * Returns a human-readable problem with `name`, or null when it can be used.
+ * Names are compared after normalizing and without regard to case, so "bob " clashes with "Bob".
+ * @param {*} name - the name as entered
+ * @param {string[]} [otherNames] - names of the other players, which the name must not repeat
+ */
+export const validatePlayerName = (name, otherNames = []) => {
+    if (typeof name !== "string" || name.trim() === "") {
+        return "Player names cannot be empty";
+    }
+    const normalized = normalizePlayerName(name);
+    if (normalized.length > MAX_NAME_LENGTH) {
+        return `Player names can be at most ${MAX_NAME_LENGTH} characters`;
+    }
+    if (otherNames.some((other) => sameName(other, normalized))) {
+        return `Another player is already called ${normalized}`;
+    }
+    return null;
+};
+
+// Name for a player joining `players`: "Player N" for the new seat, or the next free one after it
+export const nextPlayerName = (players) => {
+    let seat = players.length;
+    while (players.some((player) => sameName(player.name, defaultPlayerName(seat)))) {
+        seat++;
+    }
+    return defaultPlayerName(seat);
+};
+
+// Ids are "p1", "p2", ...; a new player gets the lowest one not in use
+export const nextPlayerId = (players) => {
+    let number = 1;
+    while (players.some((player) => player.id === `p${number}`)) {
+        number++;
+    }
+    return `p${number}`;
+};
+
+// Gives players saved before ids existed one of their own; players that have one keep it
+export const withPlayerIds = (players) =>
+    players.reduce((withIds, player) => {
+        const id = typeof player.id === "string" && player.id !== "" ? player.id : nextPlayerId([...withIds, ...players]);
+        return [...withIds, { ...player, id }];
+    }, []);
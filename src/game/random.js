@@ -0,0 +1,41 @@
+// Seeded pseudo-random number generation so a game can be replayed from its seed
+
+const MAX_SEED = 2 ** 32;
+
+// Picks a fresh 32-bit seed for games created without one
+export const generateSeed = () => Math.floor(Math.random() * MAX_SEED);
+
+// Names one game apart from every other, e.g. so records of finished games never count it twice.
+// Unlike the seed it changes when the same cards are dealt again.
+export const generateGameId = () =>
+    `${Date.now().toString(36)}-${Math.floor(Math.random() * MAX_SEED).toString(36)}`;
+
+// Accepts numbers or numeric strings (e.g. from an input field); anything else yields null
+export const normalizeSeed = (seed) => {
+    if (seed === null || seed === undefined || seed === "") {
+        return null;
+    }
+    const value = Number(seed);
+    if (!Number.isFinite(value)) {
+        return null;
+    }
+    return Math.trunc(value) >>> 0;
+};
+
+// Returns a human-readable problem with a seed typed into a field, or null when it can be used.
+// Blank means a random seed; anything but a whole number would quietly become one too.
+export const validateSeed = (seed) =>
+    seed === "" || /^\s*-?\d+\s*$/.test(seed) ? null : "Seed must be a whole number, or blank for a random one";
+
+// mulberry32: small, fast and good enough for shuffling cards.
+// Returns a function that behaves like Math.random (floats in [0, 1)).
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / MAX_SEED;
+    };
+};
@@ -0,0 +1,28 @@
+// Placing players by score, shared between the scoreboard and the console script
+
+// 1st, 2nd, 3rd, 4th ... 11th, 12th, 13th ... 21st, 22nd
+export const ordinal = (place) => {
+    const lastTwo = place % 100;
+    if (lastTwo >= 11 && lastTwo <= 13) {
+        return `${place}th`;
+    }
+    const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+    return `${place}${suffixes[place % 10] ?? "th"}`;
+};
+
+/**
+ * Standard competition ranking ("1st, 1st, 3rd"): players with equal scores share a
+ * place and the next place skips the ones they used. Returns the players sorted by
+ * score, highest first, each with { place, shared, label } added and its seat index
+ * as playerIndex; equal scores keep their seat order.
+ */
+export const rankPlayers = (players) => {
+    const sorted = players
+        .map((player, playerIndex) => ({ ...player, playerIndex }))
+        .sort((a, b) => b.score - a.score || a.playerIndex - b.playerIndex);
+    return sorted.map((player) => {
+        const place = sorted.findIndex((other) => other.score === player.score) + 1;
+        const shared = sorted.filter((other) => other.score === player.score).length > 1;
+        return { ...player, place, shared, label: `${shared ? "=" : ""}${ordinal(place)}` };
+    });
+};
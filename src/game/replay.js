@@ -0,0 +1,187 @@
+// JSON replay files: a complete game that can be attached to a bug report and loaded back exactly
+
+import { isStandardDeck, isValidCard } from "./cards.js";
+import { resolveConfig, validateConfig } from "./config.js";
+
+export const REPLAY_FORMAT = "high-card-game-replay";
+export const REPLAY_VERSION = 1;
+
+/**
+ * Builds the replay file from the engine's save state.
+ * `rounds` lists every round played, including ones undone since, so the file reads
+ * on its own; `game` is what importGame restores from.
+ */
+export const serializeReplay = (saveState) => {
+    const furthestState = saveState.redoStack[0] ?? saveState;
+    return JSON.stringify(
+        {
+            format: REPLAY_FORMAT,
+            version: REPLAY_VERSION,
+            exportedAt: new Date().toISOString(),
+            seed: saveState.seed,
+            config: saveState.config,
+            players: saveState.players.map(({ name, score }) => ({ name, score })),
+            currentRound: saveState.currentRound,
+            rounds: furthestState.roundHistory,
+            game: saveState,
+        },
+        null,
+        2
+    );
+};
+
+const isInteger = (value, min = -Infinity, max = Infinity) =>
+    Number.isInteger(value) && value >= min && value <= max;
+
+const describeCards = (config) =>
+    isStandardDeck(config)
+        ? "standard cards ({ rank: 1-13, suit })"
+        : `cards from 1 to ${config.maxCardValue}`;
+
+// Checks one game state snapshot against its config; `path` prefixes each message
+const validateState = (state, config, path) => {
+    const errors = [];
+    if (!state || typeof state !== "object") {
+        return [`${path} must be an object`];
+    }
+
+    if (!Array.isArray(state.players)) {
+        errors.push(`${path}.players must be an array`);
+    } else {
+        if (state.players.length !== config.playerCount) {
+            errors.push(`${path}.players must have ${config.playerCount} entries, found ${state.players.length}`);
+        }
+        state.players.forEach((player, index) => {
+            const playerPath = `${path}.players[${index}]`;
+            // Replays from before players had ids are still accepted
+            if (player?.id !== undefined && (typeof player.id !== "string" || player.id === "")) {
+                errors.push(`${playerPath}.id must be a non-empty string when present`);
+            }
+            if (typeof player?.name !== "string" || player.name.trim() === "") {
+                errors.push(`${playerPath}.name must be a non-empty string`);
+            }
+            if (!Number.isFinite(player?.score)) {
+                errors.push(`${playerPath}.score must be a number`);
+            }
+            if (player?.cardHeld !== null && !isValidCard(player?.cardHeld, config)) {
+                errors.push(`${playerPath}.cardHeld must be null or ${describeCards(config)}`);
+            }
+        });
+    }
+
+    if (!isInteger(state.currentRound, 0, config.totalRounds)) {
+        errors.push(`${path}.currentRound must be a whole number from 0 to ${config.totalRounds}`);
+    }
+
+    if (!Array.isArray(state.deck)) {
+        errors.push(`${path}.deck must be an array`);
+    } else {
+        if (state.deck.length > config.deckSize) {
+            errors.push(`${path}.deck has ${state.deck.length} cards, more than the deck size of ${config.deckSize}`);
+        }
+        if (state.deck.some((card) => !isValidCard(card, config))) {
+            errors.push(`${path}.deck must only hold ${describeCards(config)}`);
+        }
+    }
+
+    // Hands are only kept in hand mode; older files and draw-mode games leave them out
+    if (state.hands !== undefined && state.hands !== null) {
+        const handsValid =
+            Array.isArray(state.hands) &&
+            state.hands.length === config.playerCount &&
+            state.hands.every((hand) => Array.isArray(hand) && hand.every((card) => isValidCard(card, config)));
+        if (!handsValid) {
+            errors.push(`${path}.hands must hold one list of ${describeCards(config)} per player`);
+        }
+    }
+    if (state.pendingPlays !== undefined) {
+        const playsValid =
+            Array.isArray(state.pendingPlays) &&
+            state.pendingPlays.length === config.playerCount &&
+            state.pendingPlays.every((play) => play === null || isInteger(play, 0));
+        if (!playsValid) {
+            errors.push(`${path}.pendingPlays must hold null or a hand position per player`);
+        }
+    }
+
+    // Only turn-based games save how far into the round they are
+    if (state.turnsTaken !== undefined && !isInteger(state.turnsTaken, 0, config.playerCount - 1)) {
+        errors.push(`${path}.turnsTaken must be a whole number from 0 to ${config.playerCount - 1}`);
+    }
+
+    if (!Number.isFinite(state.pot) || state.pot < 0) {
+        errors.push(`${path}.pot must be a number of at least 0`);
+    }
+
+    if (!Array.isArray(state.roundHistory)) {
+        errors.push(`${path}.roundHistory must be an array`);
+    } else {
+        if (isInteger(state.currentRound) && state.roundHistory.length !== state.currentRound) {
+            errors.push(`${path}.roundHistory must have one entry per round played (${state.currentRound})`);
+        }
+        state.roundHistory.forEach((entry, index) => {
+            if (entry?.round !== index + 1) {
+                errors.push(`${path}.roundHistory[${index}].round must be ${index + 1}`);
+            }
+            if (!Array.isArray(entry?.cards) || entry.cards.length !== config.playerCount) {
+                errors.push(`${path}.roundHistory[${index}].cards must have one card per player`);
+            }
+        });
+    }
+    return errors;
+};
+
+/**
+ * Parses and validates a replay file.
+ * Returns { state, errors }; state is only set when there are no errors.
+ */
+export const parseReplay = (json) => {
+    let file;
+    try {
+        file = typeof json === "string" ? JSON.parse(json) : json;
+    } catch {
+        return { state: null, errors: ["File is not valid JSON"] };
+    }
+
+    if (!file || typeof file !== "object" || file.format !== REPLAY_FORMAT) {
+        return { state: null, errors: ["File is not a High Card Game replay"] };
+    }
+    if (!isInteger(file.version, 1)) {
+        return { state: null, errors: ["Replay version is missing or invalid"] };
+    }
+    if (file.version > REPLAY_VERSION) {
+        return {
+            state: null,
+            errors: [`Replay version ${file.version} is newer than this app supports (${REPLAY_VERSION})`],
+        };
+    }
+
+    const { game } = file;
+    if (!game || typeof game !== "object") {
+        return { state: null, errors: ["game must be an object"] };
+    }
+
+    const config = resolveConfig(game.config);
+    const configErrors = validateConfig(config).map((error) => `game.config: ${error}`);
+    if (configErrors.length > 0) {
+        return { state: null, errors: configErrors };
+    }
+
+    const errors = validateState(game, config, "game");
+    if (game.seed !== null && !isInteger(game.seed, 0, 2 ** 32 - 1)) {
+        errors.push("game.seed must be null or a 32-bit whole number");
+    }
+    for (const stack of ["undoHistory", "redoStack", "turnHistory"]) {
+        // Files from before turn-based games have no turn history
+        if (stack === "turnHistory" && game[stack] === undefined) continue;
+        if (!Array.isArray(game[stack])) {
+            errors.push(`game.${stack} must be an array`);
+        } else {
+            game[stack].forEach((snapshot, index) => {
+                errors.push(...validateState(snapshot, config, `game.${stack}[${index}]`));
+            });
+        }
+    }
+
+    return errors.length > 0 ? { state: null, errors } : { state: game, errors: [] };
+};
@@ -0,0 +1,128 @@
+// Scoring modes: how resolveRound turns a round's cards into points
+
+export const SCORING_MODES = Object.freeze({
+    HIGHEST: "highest",
+    LOWEST: "lowest",
+    MARGIN: "margin",
+    CUMULATIVE: "cumulative",
+    ELIMINATION: "elimination",
+});
+
+// Split ties can leave fractional scores; those show two decimals, whole scores none
+export const formatScore = (score) => (Number.isInteger(score) ? String(score) : score.toFixed(2));
+
+export const SCORING_MODE_LABELS = Object.freeze({
+    [SCORING_MODES.HIGHEST]: "Highest card wins",
+    [SCORING_MODES.LOWEST]: "Lowest card wins",
+    [SCORING_MODES.MARGIN]: "Winning margin",
+    [SCORING_MODES.CUMULATIVE]: "Cumulative",
+    [SCORING_MODES.ELIMINATION]: "Elimination",
+});
+
+export const SCORING_MODE_DESCRIPTIONS = Object.freeze({
+    [SCORING_MODES.HIGHEST]: "The highest card scores the points each round.",
+    [SCORING_MODES.LOWEST]: "The lowest card scores the points each round.",
+    [SCORING_MODES.MARGIN]:
+        "The highest card scores the difference between it and the second-highest card.",
+    [SCORING_MODES.CUMULATIVE]: "Every player adds their card's value to their score.",
+    [SCORING_MODES.ELIMINATION]:
+        "The lowest card is knocked out each round; survivors score until one player is left.",
+});
+
+// Players in the given order whose cards rank first by compare, and whether a
+// suit order was needed to single them out from players with the same value
+const leadersOf = (contenders, cards, compare, value) => {
+    const top = contenders.reduce(
+        (best, playerIndex) => (compare(cards[playerIndex], cards[best]) > 0 ? playerIndex : best),
+        contenders[0]
+    );
+    const leaders = contenders.filter((playerIndex) => compare(cards[playerIndex], cards[top]) === 0);
+    const sameValue = contenders.filter((playerIndex) => value(cards[playerIndex]) === value(cards[top]));
+    return { leaders, bySuit: leaders.length === 1 && sameValue.length > 1 };
+};
+
+const reversed = (compare) => (a, b) => compare(b, a);
+
+// Hands a round with a single leader the whole stake, or lets the tie policy settle it
+const awardLeaders = ({ leaders, bySuit }, stake, settleTie, compare) => {
+    if (leaders.length > 1) {
+        const outcome = settleTie(leaders, stake, compare);
+        return {
+            ...outcome,
+            winners: outcome.awards.map((award) => award.playerIndex),
+            tied: leaders,
+            tieSettled: true,
+            suitTiebreak: false,
+            eliminated: [],
+        };
+    }
+    return {
+        awards: [{ playerIndex: leaders[0], points: stake }],
+        carry: 0,
+        redraws: [],
+        winners: leaders,
+        tied: [],
+        tieSettled: false,
+        suitTiebreak: bySuit,
+        eliminated: [],
+    };
+};
+
+/**
+ * Each rule receives:
+ * - contenders: indexes of the players dealt a card this round
+ * - cards: every player's card by index (null for players sitting out)
+ * - compare / value: card ordering and face value for the game's config
+ * - pointsPerScore, pot: points per win and points carried over from earlier ties
+ * - settleTie(tied, stake, compare): applies the game's tie policy
+ * and returns { awards, carry, redraws, winners, tied, tieSettled, suitTiebreak, eliminated },
+ * where tieSettled says whether the tie policy was used and eliminated lists
+ * players knocked out of the game this round.
+ */
+export const scoringRules = {
+    [SCORING_MODES.HIGHEST]: ({ contenders, cards, compare, value, pointsPerScore, pot, settleTie }) =>
+        awardLeaders(leadersOf(contenders, cards, compare, value), pointsPerScore + pot, settleTie, compare),
+
+    [SCORING_MODES.LOWEST]: ({ contenders, cards, compare, value, pointsPerScore, pot, settleTie }) => {
+        const lowFirst = reversed(compare);
+        return awardLeaders(leadersOf(contenders, cards, lowFirst, value), pointsPerScore + pot, settleTie, lowFirst);
+    },
+
+    // The margin is measured against the best card held by anyone else, so a tie is worth nothing but the pot
+    [SCORING_MODES.MARGIN]: ({ contenders, cards, compare, value, pot, settleTie }) => {
+        const top = leadersOf(contenders, cards, compare, value);
+        const others = contenders.filter((playerIndex) => playerIndex !== top.leaders[0]);
+        const runnerUp = Math.max(...others.map((playerIndex) => value(cards[playerIndex])));
+        const margin = value(cards[top.leaders[0]]) - runnerUp;
+        return awardLeaders(top, margin + pot, settleTie, compare);
+    },
+
+    // Nobody wins outright, so ties never arise; the top card is still reported as the round's winner
+    [SCORING_MODES.CUMULATIVE]: ({ contenders, cards, compare, value, pot }) => ({
+        awards: contenders.map((playerIndex) => ({ playerIndex, points: value(cards[playerIndex]) })),
+        carry: pot,
+        redraws: [],
+        winners: leadersOf(contenders, cards, compare, value).leaders,
+        tied: [],
+        tieSettled: false,
+        suitTiebreak: false,
+        eliminated: [],
+    }),
+
+    // Everyone holding the lowest card is knocked out, unless that would knock out every player left
+    [SCORING_MODES.ELIMINATION]: ({ contenders, cards, compare, value, pointsPerScore, pot }) => {
+        const { leaders: lowest, bySuit } = leadersOf(contenders, cards, reversed(compare), value);
+        const eliminated = lowest.length === contenders.length ? [] : lowest;
+        const survivors = contenders.filter((playerIndex) => !eliminated.includes(playerIndex));
+        return {
+            awards: survivors.map((playerIndex) => ({ playerIndex, points: pointsPerScore })),
+            carry: pot,
+            redraws: [],
+            winners: survivors,
+            tied: [],
+            tieSettled: false,
+            suitTiebreak: bySuit,
+            eliminated,
+        };
+    },
+};
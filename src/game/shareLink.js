@@ -0,0 +1,152 @@
+// Share links: a game's setup, seed and position in a URL hash, so opening the link deals the
+// same cards and plays up to the same round
+
+import createGameLogic from "./gameLogic.js";
+import { DEFAULT_CONFIG, InvalidConfigError, maxRoundsFor, resolveConfig } from "./config.js";
+import { DEAL_MODES, STRATEGIES } from "./hands.js";
+import { normalizeSeed } from "./random.js";
+
+// Bump this whenever the meaning of a parameter changes; older links are then turned away
+export const SHARE_LINK_VERSION = 1;
+
+const MALFORMED = "This link is damaged or incomplete, so its game could not be opened";
+const NEWER_VERSION = "This link was made by a newer version of the game; reload the page and try again";
+const OLDER_VERSION = "This link was made by an older version of the game and can no longer be opened";
+
+// Only settings that differ from the defaults go in the link, to keep it short
+const configOverrides = (config) =>
+    Object.fromEntries(
+        Object.entries(config).filter(([key, value]) =>
+            key === "totalRounds"
+                ? value !== maxRoundsFor(config)
+                : JSON.stringify(value) !== JSON.stringify(DEFAULT_CONFIG[key])
+        )
+    );
+
+const isHumanHandGame = (game) =>
+    game.getConfig().dealMode === DEAL_MODES.HAND && game.getStrategies().includes(STRATEGIES.HUMAN);
+
+/**
+ * Builds the hash (without "#") for a game: link version, seed, current round, the config
+ * settings that differ from the defaults and the player names. Hand games with people in
+ * them also list every round's cards, since the seed cannot tell which card a person picked.
+ * Returns null for games without a seed, e.g. ones driven by a custom rng.
+ */
+export const createShareLink = (game) => {
+    const seed = game.getSeed();
+    if (seed === null) {
+        return null;
+    }
+    const config = game.getConfig();
+    const params = new URLSearchParams({
+        v: String(SHARE_LINK_VERSION),
+        seed: String(seed),
+        round: String(game.getCurrentRound()),
+    });
+    const overrides = configOverrides(config);
+    if (Object.keys(overrides).length > 0) {
+        params.set("config", JSON.stringify(overrides));
+    }
+    params.set("names", JSON.stringify(game.getPlayers().map((player) => player.name)));
+    if (isHumanHandGame(game)) {
+        params.set("cards", JSON.stringify(game.getRoundHistory().map((entry) => entry.cards)));
+    }
+    return params.toString();
+};
+
+const parseJson = (text, fallback) => {
+    if (text === null) {
+        return fallback;
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        return undefined;
+    }
+};
+
+/**
+ * Reads a hash from createShareLink; a leading "#" is fine.
+ * Returns { link, error }: both null when the hash holds no game, otherwise either the
+ * link's { config, seed, round, names, cards } or a message saying why it cannot be used.
+ */
+export const parseShareLink = (hash) => {
+    const params = new URLSearchParams(String(hash ?? "").replace(/^#/, ""));
+    if (!params.has("v")) {
+        return { link: null, error: null };
+    }
+
+    const version = Number(params.get("v"));
+    if (!Number.isInteger(version) || version < 0) {
+        return { link: null, error: MALFORMED };
+    }
+    if (version > SHARE_LINK_VERSION) {
+        return { link: null, error: NEWER_VERSION };
+    }
+    if (version < SHARE_LINK_VERSION) {
+        return { link: null, error: OLDER_VERSION };
+    }
+
+    const seed = normalizeSeed(params.get("seed"));
+    const round = Number(params.get("round") ?? "0");
+    const config = parseJson(params.get("config"), {});
+    const names = parseJson(params.get("names"), []);
+    const cards = parseJson(params.get("cards"), null);
+    const isValid =
+        seed !== null &&
+        Number.isInteger(round) &&
+        round >= 0 &&
+        config !== null &&
+        typeof config === "object" &&
+        !Array.isArray(config) &&
+        Array.isArray(names) &&
+        (cards === null || Array.isArray(cards));
+    if (!isValid) {
+        return { link: null, error: MALFORMED };
+    }
+    return { link: { config, seed, round, names, cards }, error: null };
+};
+
+// In hand games, each person plays the card the link recorded for them in this round
+const pickRecordedCards = (game, recorded) => {
+    for (const playerIndex of game.getAwaitingPlayers()) {
+        const card = JSON.stringify(recorded?.[playerIndex]);
+        const handIndex = game.getHand(playerIndex).findIndex((held) => JSON.stringify(held) === card);
+        if (!game.playCard(playerIndex, handIndex).ok) {
+            return false;
+        }
+    }
+    return true;
+};
+
+/**
+ * Rebuilds a parsed link's game with createGameLogic and plays it up to the link's round.
+ * Returns { game, error }; error explains a setup that no longer validates or rounds that
+ * could not be played again.
+ */
+export const openShareLink = ({ config, seed, round, names, cards }) => {
+    let game;
+    try {
+        game = createGameLogic(null, {
+            config: resolveConfig(config),
+            seed,
+            players: names.map((name) => ({ name })),
+        });
+    } catch (error) {
+        if (!(error instanceof InvalidConfigError)) throw error;
+        return { game: null, error: `This link's game setup is not valid: ${error.errors.join("; ")}` };
+    }
+
+    if (round > game.getTotalRounds()) {
+        const error = `This link points at round ${round}, but its game only has ${game.getTotalRounds()}`;
+        return { game: null, error };
+    }
+    while (game.getCurrentRound() < round) {
+        const played = pickRecordedCards(game, cards?.[game.getCurrentRound()]) && game.runRound().ok;
+        if (!played) {
+            const error = `Round ${game.getCurrentRound() + 1} of this link's game could not be played again`;
+            return { game: null, error };
+        }
+    }
+    return { game, error: null };
+};
@@ -0,0 +1,135 @@
+// Headless Monte Carlo runs: play many games with one rule set and aggregate the outcomes
+
+import createGameLogic from "./gameLogic.js";
+import { InvalidConfigError, resolveConfig, validateConfig } from "./config.js";
+import { DEAL_MODES, STRATEGIES, defaultStrategies } from "./hands.js";
+import { generateSeed, normalizeSeed } from "./random.js";
+
+export const MAX_SIMULATION_GAMES = 100000;
+
+// Returns a list of human-readable problems; an empty list means the options are usable
+export const validateSimulationOptions = ({ games, config }) => {
+    const resolved = resolveConfig(config);
+    const errors = validateConfig(resolved);
+    const strategies = resolved.strategies ?? defaultStrategies(resolved.playerCount);
+    if (resolved.dealMode === DEAL_MODES.HAND && strategies.includes(STRATEGIES.HUMAN)) {
+        errors.push("Simulated hand games need a bot strategy for every seat");
+    }
+    if (!Number.isInteger(games) || games < 1 || games > MAX_SIMULATION_GAMES) {
+        errors.push(`Simulated games must be a whole number from 1 to ${MAX_SIMULATION_GAMES}`);
+    }
+    return errors;
+};
+
+/**
+ * Creates a simulation that plays `games` games one batch at a time, so callers such
+ * as a Web Worker can report progress and stop between batches. Game i is dealt with
+ * seed + i, so the same options always give the same results.
+ * @param {object} options
+ * @param {number} options.games - how many games to play
+ * @param {object} [options.config] - setup for every game, see DEFAULT_CONFIG
+ * @param {number|string} [options.seed] - seed of the first game; a fresh one when missing
+ * @throws {InvalidConfigError} when the options fail validation
+ */
+export const createSimulation = ({ games, config, seed } = {}) => {
+    const errors = validateSimulationOptions({ games, config });
+    if (errors.length > 0) {
+        throw new InvalidConfigError(errors);
+    }
+    const resolvedConfig = resolveConfig(config);
+    const baseSeed = normalizeSeed(seed) ?? generateSeed();
+    const seats = resolvedConfig.playerCount;
+
+    let played = 0;
+    // Outright wins per seat, and win shares where a shared top score splits the win
+    const wins = Array(seats).fill(0);
+    const winShares = Array(seats).fill(0);
+    const scoreTotals = Array(seats).fill(0);
+    const scoreMin = Array(seats).fill(Infinity);
+    const scoreMax = Array(seats).fill(-Infinity);
+    // Final score -> how many times any seat finished with it
+    const scoreCounts = new Map();
+    let roundsPlayed = 0;
+    let tiedRounds = 0;
+    let sharedGames = 0;
+    let marginTotal = 0;
+
+    const playOne = () => {
+        const game = createGameLogic(null, { config: resolvedConfig, seed: (baseSeed + played) >>> 0 });
+        game.runGameLoop();
+
+        const scores = game.getPlayers().map((player) => player.score);
+        const ordered = [...scores].sort((a, b) => b - a);
+        const winners = scores.flatMap((score, seat) => (score === ordered[0] ? [seat] : []));
+        for (const seat of winners) {
+            winShares[seat] += 1 / winners.length;
+        }
+        if (winners.length === 1) {
+            wins[winners[0]]++;
+        } else {
+            sharedGames++;
+        }
+        marginTotal += ordered[0] - ordered[1];
+
+        scores.forEach((score, seat) => {
+            scoreTotals[seat] += score;
+            scoreMin[seat] = Math.min(scoreMin[seat], score);
+            scoreMax[seat] = Math.max(scoreMax[seat], score);
+            scoreCounts.set(score, (scoreCounts.get(score) ?? 0) + 1);
+        });
+
+        const history = game.getRoundHistory();
+        roundsPlayed += history.length;
+        tiedRounds += history.filter((entry) => entry.tied.length > 1).length;
+        played++;
+    };
+
+    // Plays up to `count` more games; returns how many games have been played in total
+    const step = (count = games) => {
+        const target = Math.min(games, played + count);
+        while (played < target) {
+            playOne();
+        }
+        return played;
+    };
+
+    const isDone = () => played >= games;
+
+    /**
+     * Aggregates over the games played so far:
+     * - bySeat: wins, winRate (win shares / games), averageScore, minScore, maxScore per seat
+     * - scoreDistribution: [{ score, count }] over every seat's final score, lowest first
+     * - tieFrequency: share of rounds tied for the top card
+     * - sharedGameRate: share of games with more than one player on the top score
+     * - averageMargin: mean gap between the winning score and the runner-up
+     */
+    const getResults = () => ({
+        gamesPlayed: played,
+        gamesRequested: games,
+        seed: baseSeed,
+        config: { ...resolvedConfig },
+        bySeat: wins.map((seatWins, seat) => ({
+            seat,
+            wins: seatWins,
+            winRate: played > 0 ? winShares[seat] / played : 0,
+            averageScore: played > 0 ? scoreTotals[seat] / played : 0,
+            minScore: played > 0 ? scoreMin[seat] : null,
+            maxScore: played > 0 ? scoreMax[seat] : null,
+        })),
+        scoreDistribution: [...scoreCounts.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([score, count]) => ({ score, count })),
+        tieFrequency: roundsPlayed > 0 ? tiedRounds / roundsPlayed : 0,
+        sharedGameRate: played > 0 ? sharedGames / played : 0,
+        averageMargin: played > 0 ? marginTotal / played : 0,
+    });
+
+    return { step, isDone, getResults };
+};
+
+// Plays every game at once and returns the aggregates; see createSimulation
+export const simulateGames = (options) => {
+    const simulation = createSimulation(options);
+    simulation.step();
+    return simulation.getResults();
+};
@@ -0,0 +1,52 @@
+// Per-player statistics worked out from a game's round history
+
+import { cardValue, compareCards } from "./cards.js";
+
+/**
+ * Returns one entry per player:
+ * - roundsWon: rounds the player was among the winners
+ * - ties: rounds the player was tied for the top card
+ * - averageCard: mean value of the cards they were dealt, or null before any
+ * - highestCard: best card they were dealt, or null before any
+ * - longestWinStreak: most rounds won in a row
+ * Redraws from sudden-death ties are not counted as cards dealt.
+ */
+export const computePlayerStats = (roundHistory, playerCount, config) =>
+    Array.from({ length: playerCount }, (_, playerIndex) => {
+        let roundsWon = 0;
+        let ties = 0;
+        let cardTotal = 0;
+        let cardsDealt = 0;
+        let highestCard = null;
+        let streak = 0;
+        let longestWinStreak = 0;
+
+        for (const entry of roundHistory) {
+            const card = entry.cards[playerIndex];
+            if (card !== null && card !== undefined) {
+                cardTotal += cardValue(card, config);
+                cardsDealt++;
+                if (highestCard === null || compareCards(card, highestCard, config) > 0) {
+                    highestCard = card;
+                }
+            }
+            if ((entry.tied ?? []).includes(playerIndex)) {
+                ties++;
+            }
+            if (entry.winners.includes(playerIndex)) {
+                roundsWon++;
+                streak++;
+                longestWinStreak = Math.max(longestWinStreak, streak);
+            } else {
+                streak = 0;
+            }
+        }
+
+        return {
+            roundsWon,
+            ties,
+            averageCard: cardsDealt > 0 ? cardTotal / cardsDealt : null,
+            highestCard,
+            longestWinStreak,
+        };
+    });
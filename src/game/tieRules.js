@@ -0,0 +1,72 @@
+// Tie-resolution rules used by resolveRound when more than one player holds the top card
+
+export const TIE_POLICIES = Object.freeze({
+    AWARD_ALL: "awardAll",
+    SPLIT: "split",
+    CARRY_OVER: "carryOver",
+    SUDDEN_DEATH: "suddenDeath",
+});
+
+export const TIE_POLICY_LABELS = Object.freeze({
+    [TIE_POLICIES.AWARD_ALL]: "Award all tied players",
+    [TIE_POLICIES.SPLIT]: "Split the points",
+    [TIE_POLICIES.CARRY_OVER]: "Carry the points into the pot",
+    [TIE_POLICIES.SUDDEN_DEATH]: "Sudden-death re-draw",
+});
+
+const awardEach = (playerIndexes, points) =>
+    playerIndexes.map((playerIndex) => ({ playerIndex, points }));
+
+const splitBetween = (playerIndexes, stake) => awardEach(playerIndexes, stake / playerIndexes.length);
+
+/**
+ * Each rule receives:
+ * - tied: indexes of the players holding the top card
+ * - stake: points at stake this round (points per win plus anything in the pot)
+ * - drawCard / cardsLeft: access to the deck, for rules that deal extra cards
+ * - compare: orders two cards like Array#sort, for rules that rank extra cards
+ * - lastRound: whether this is the last round the game can deal
+ * and returns { awards: [{ playerIndex, points }], carry, redraws }, where carry is
+ * what goes into the pot for the next round and redraws lists any extra cards dealt.
+ */
+export const tieRules = {
+    [TIE_POLICIES.AWARD_ALL]: ({ tied, stake }) => ({
+        awards: awardEach(tied, stake),
+        carry: 0,
+        redraws: [],
+    }),
+
+    [TIE_POLICIES.SPLIT]: ({ tied, stake }) => ({
+        awards: splitBetween(tied, stake),
+        carry: 0,
+        redraws: [],
+    }),
+
+    // A tie in the last round has no next round to carry into, so the pot is split instead
+    [TIE_POLICIES.CARRY_OVER]: ({ tied, stake, lastRound }) => ({
+        awards: lastRound ? splitBetween(tied, stake) : [],
+        carry: lastRound ? 0 : stake,
+        redraws: [],
+    }),
+
+    // Tied players draw again until one is left; if the deck runs short the stake is split
+    [TIE_POLICIES.SUDDEN_DEATH]: ({ tied, stake, drawCard, cardsLeft, compare }) => {
+        let contenders = tied;
+        const redraws = [];
+        while (contenders.length > 1) {
+            if (cardsLeft() < contenders.length) {
+                return { awards: splitBetween(contenders, stake), carry: 0, redraws };
+            }
+            const draws = contenders.map((playerIndex) => ({ playerIndex, card: drawCard() }));
+            redraws.push(draws);
+            const topCard = draws.reduce(
+                (top, draw) => (compare(draw.card, top) > 0 ? draw.card : top),
+                draws[0].card
+            );
+            contenders = draws
+                .filter((draw) => compare(draw.card, topCard) === 0)
+                .map((draw) => draw.playerIndex);
+        }
+        return { awards: awardEach(contenders, stake), carry: 0, redraws };
+    },
+};
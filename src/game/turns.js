@@ -0,0 +1,14 @@
+// Turn modes: whether a round's cards are all flipped at once or one player at a time
+
+export const TURN_MODES = Object.freeze({
+    // runRound flips every player's card together
+    SIMULTANEOUS: "simultaneous",
+    // Hot seat: players take their turns one after another, in seat order, and the
+    // round is scored once the last player still in the game has flipped
+    TURNS: "turns",
+});
+
+export const TURN_MODE_LABELS = Object.freeze({
+    [TURN_MODES.SIMULTANEOUS]: "All at once",
+    [TURN_MODES.TURNS]: "Take turns",
+});
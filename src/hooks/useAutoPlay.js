@@ -0,0 +1,40 @@
+import { useEffect, useMemo, useState, useSyncExternalStore } from "react";
+import createAutoPlay, { DEFAULT_SPEED } from "../game/autoPlay";
+
+/**
+ * Gives a component an auto-play controller for `game` (see createAutoPlay) and its state.
+ * A new game gets a new controller and the old one's timer is stopped; the speed carries
+ * over from game to game.
+ */
+const useAutoPlay = (game) => {
+  const autoPlay = useMemo(() => createAutoPlay(game), [game]);
+  const [speed, setSpeed] = useState(DEFAULT_SPEED);
+
+  useEffect(() => {
+    autoPlay.setSpeed(speed);
+  }, [autoPlay, speed]);
+
+  useEffect(() => () => autoPlay.dispose(), [autoPlay]);
+
+  const version = useSyncExternalStore(
+    autoPlay.subscribe,
+    autoPlay.getVersion,
+    autoPlay.getVersion,
+  );
+
+  return useMemo(
+    () => ({
+      version,
+      ...autoPlay.getState(),
+      speed,
+      play: autoPlay.play,
+      pause: autoPlay.pause,
+      step: autoPlay.step,
+      setStopRound: autoPlay.setStopRound,
+      setSpeed,
+    }),
+    [autoPlay, version, speed],
+  );
+};
+
+export default useAutoPlay;
@@ -0,0 +1,46 @@
+import { useMemo, useSyncExternalStore } from "react";
+
+/**
+ * Subscribes a component to a createGameLogic instance and returns a snapshot of what
+ * the UI reads. The component re-renders whenever the engine changes, so callers can
+ * act on the engine directly without copying its state into React state.
+ */
+const useGame = (game) => {
+  const version = useSyncExternalStore(
+    game.subscribe,
+    game.getVersion,
+    game.getVersion,
+  );
+
+  return useMemo(
+    () => ({
+      version,
+      phase: game.getPhase(),
+      players: game.getPlayers().map((player) => ({ ...player })),
+      currentRound: game.getCurrentRound(),
+      totalRounds: game.getTotalRounds(),
+      furthestRound: game.getFurthestRound(),
+      remainingCards: game.getRemainingCards(),
+      config: game.getConfig(),
+      seed: game.getSeed(),
+      gameId: game.getGameId(),
+      pot: game.getPot(),
+      lastRound: game.getLastRoundResult(),
+      roundHistory: game.getRoundHistory(),
+      playerStats: game.getPlayerStats(),
+      // Only the seat looking at the screen gets to see its cards
+      viewer: game.getViewer(),
+      viewerHand:
+        game.getViewer() === null ? [] : game.getHand(game.getViewer()),
+      handSizes: game.getHandSizes(),
+      pendingPlays: game.getPendingPlays(),
+      awaitingPlayers: game.getAwaitingPlayers(),
+      strategies: game.getStrategies(),
+      currentTurn: game.getCurrentTurn(),
+      turnsTaken: game.getTurnsTaken(),
+    }),
+    [game, version],
+  );
+};
+
+export default useGame;
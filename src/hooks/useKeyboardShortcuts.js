@@ -0,0 +1,34 @@
+import { useEffect, useRef } from "react";
+
+// Typing into a field should never trigger a shortcut
+const isTypingTarget = (target) =>
+  Boolean(target?.isContentEditable) ||
+  ["INPUT", "SELECT", "TEXTAREA"].includes(target?.tagName);
+
+/**
+ * Calls bindings[key] when that key is pressed anywhere on the page. Keys are matched
+ * in lower case ("n", "?", "escape"); presses with Ctrl, Alt or Meta held, or while
+ * focus is in a form field, are left alone.
+ */
+const useKeyboardShortcuts = (bindings) => {
+  // Read at key-press time, so callers can pass a fresh object every render
+  const bindingsRef = useRef(bindings);
+  useEffect(() => {
+    bindingsRef.current = bindings;
+  });
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.ctrlKey || event.altKey || event.metaKey) return;
+      if (isTypingTarget(event.target)) return;
+      const handler = bindingsRef.current[event.key.toLowerCase()];
+      if (!handler) return;
+      event.preventDefault();
+      handler();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+};
+
+export default useKeyboardShortcuts;
@@ -0,0 +1,31 @@
+import { useMemo, useSyncExternalStore } from "react";
+
+/**
+ * Subscribes a component to a createMatch instance. Changes to the current game
+ * re-render too, since the match passes them on to its subscribers; read the game
+ * itself with useGame(snapshot.game).
+ */
+const useMatch = (match) => {
+  const version = useSyncExternalStore(
+    match.subscribe,
+    match.getVersion,
+    match.getVersion,
+  );
+
+  return useMemo(
+    () => ({
+      version,
+      game: match.getCurrentGame(),
+      gameNumber: match.getGameNumber(),
+      format: match.getFormat(),
+      games: match.getGames(),
+      results: match.getResults(),
+      standings: match.getStandings(),
+      isOver: match.isMatchOver(),
+      winners: match.getMatchWinners(),
+    }),
+    [match, version],
+  );
+};
+
+export default useMatch;
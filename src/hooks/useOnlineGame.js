@@ -0,0 +1,31 @@
+import { useEffect, useMemo, useSyncExternalStore } from "react";
+
+/**
+ * Connects a createGameClient instance while the component is mounted and returns what
+ * the UI reads: connection status, the seat held, the room view and the last error.
+ */
+const useOnlineGame = (client) => {
+  const version = useSyncExternalStore(
+    client.subscribe,
+    client.getVersion,
+    client.getVersion,
+  );
+
+  useEffect(() => {
+    client.connect();
+    return () => client.disconnect();
+  }, [client]);
+
+  return useMemo(
+    () => ({
+      version,
+      status: client.getStatus(),
+      membership: client.getMembership(),
+      room: client.getRoom(),
+      error: client.getError(),
+    }),
+    [client, version],
+  );
+};
+
+export default useOnlineGame;
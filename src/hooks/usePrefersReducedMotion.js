@@ -0,0 +1,17 @@
+import { useSyncExternalStore } from "react";
+
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+const subscribe = (onChange) => {
+  const media = window.matchMedia?.(QUERY);
+  media?.addEventListener("change", onChange);
+  return () => media?.removeEventListener("change", onChange);
+};
+
+const getSnapshot = () => window.matchMedia?.(QUERY).matches ?? false;
+
+// Whether the user asked the system for less motion; follows the setting as it changes
+const usePrefersReducedMotion = () =>
+  useSyncExternalStore(subscribe, getSnapshot, () => false);
+
+export default usePrefersReducedMotion;
@@ -0,0 +1,79 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+export const SIMULATION_STATUS = Object.freeze({
+  IDLE: "idle",
+  RUNNING: "running",
+  DONE: "done",
+  CANCELLED: "cancelled",
+  FAILED: "failed",
+});
+
+const createWorker = () =>
+  new Worker(new URL("../workers/simulation.worker.js", import.meta.url), {
+    type: "module",
+  });
+
+/**
+ * Runs simulations in a Web Worker so the page stays responsive. Each run gets its
+ * own worker; cancelling terminates it, and so does unmounting.
+ */
+const useSimulation = () => {
+  const workerRef = useRef(null);
+  const [status, setStatus] = useState(SIMULATION_STATUS.IDLE);
+  const [progress, setProgress] = useState({
+    gamesPlayed: 0,
+    gamesRequested: 0,
+  });
+  const [results, setResults] = useState(null);
+  const [errors, setErrors] = useState([]);
+
+  const stopWorker = () => {
+    workerRef.current?.terminate();
+    workerRef.current = null;
+  };
+
+  const start = useCallback((options) => {
+    stopWorker();
+    const worker = createWorker();
+    workerRef.current = worker;
+    setStatus(SIMULATION_STATUS.RUNNING);
+    setProgress({ gamesPlayed: 0, gamesRequested: options.games });
+    setResults(null);
+    setErrors([]);
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === "progress") {
+        setProgress({
+          gamesPlayed: data.gamesPlayed,
+          gamesRequested: data.gamesRequested,
+        });
+      } else if (data.type === "done") {
+        setResults(data.results);
+        setStatus(SIMULATION_STATUS.DONE);
+        stopWorker();
+      } else if (data.type === "error") {
+        setErrors(data.errors);
+        setStatus(SIMULATION_STATUS.FAILED);
+        stopWorker();
+      }
+    };
+    worker.onerror = (event) => {
+      setErrors([event.message || "The simulation stopped unexpectedly"]);
+      setStatus(SIMULATION_STATUS.FAILED);
+      stopWorker();
+    };
+    worker.postMessage({ options });
+  }, []);
+
+  const cancel = useCallback(() => {
+    if (!workerRef.current) return;
+    stopWorker();
+    setStatus(SIMULATION_STATUS.CANCELLED);
+  }, []);
+
+  useEffect(() => stopWorker, []);
+
+  return { status, progress, results, errors, start, cancel };
+};
+
+export default useSimulation;
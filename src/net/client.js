@@ -0,0 +1,169 @@
+// Browser side of online play: one WebSocket to the game server, the seat it holds and
+// the latest room view the server sent. Reconnects on its own and takes the seat back.
+
+import { createEmitter } from "../game/events.js";
+import { CLIENT_MESSAGES, NETWORK_ERRORS, SERVER_MESSAGES, decodeMessage, encodeMessage } from "./protocol.js";
+
+export const CONNECTION_STATUS = Object.freeze({
+    CONNECTING: "connecting",
+    OPEN: "open",
+    RECONNECTING: "reconnecting",
+    CLOSED: "closed",
+});
+
+// Where the seat is remembered, so a reload rejoins the same game
+const MEMBERSHIP_KEY = "high-card-game:online-seat";
+
+export const RECONNECT_DELAY = 1000;
+
+const readMembership = (storage) => {
+    try {
+        const membership = JSON.parse(storage?.getItem(MEMBERSHIP_KEY) ?? "null");
+        return membership?.roomId && membership?.token ? membership : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Creates a connection to a game server. Call connect() to open it.
+ * @param {object} options
+ * @param {string} options.url - ws:// or wss:// address of the server
+ * @param {function} [options.WebSocket] - WebSocket class; the browser's by default
+ * @param {Storage} [options.storage] - remembers the seat across reloads, e.g. sessionStorage
+ * @param {number} [options.reconnectDelay] - ms to wait before reconnecting after a drop
+ */
+const createGameClient = ({
+    url,
+    WebSocket = globalThis.WebSocket,
+    storage = null,
+    reconnectDelay = RECONNECT_DELAY,
+}) => {
+    const emitter = createEmitter([]);
+    let socket = null;
+    let status = CONNECTION_STATUS.CLOSED;
+    // { roomId, seat, token } of the seat this client holds
+    let membership = readMembership(storage);
+    let room = null;
+    let error = null;
+    let reconnectTimer = null;
+    let stopped = false;
+    // Set while the server has not yet answered a rejoin
+    let rejoining = false;
+
+    const setMembership = (next) => {
+        membership = next;
+        if (next) {
+            storage?.setItem(MEMBERSHIP_KEY, JSON.stringify(next));
+        } else {
+            storage?.removeItem(MEMBERSHIP_KEY);
+        }
+    };
+
+    const send = (type, payload) => {
+        if (socket?.readyState !== WebSocket.OPEN) {
+            error = { code: NETWORK_ERRORS.NOT_CONNECTED, message: "Not connected to the game server" };
+            emitter.notify();
+            return false;
+        }
+        socket.send(encodeMessage(type, payload));
+        return true;
+    };
+
+    const handleMessage = (message) => {
+        if (message?.type === SERVER_MESSAGES.JOINED) {
+            setMembership({ roomId: message.roomId, seat: message.seat, token: message.token });
+            rejoining = false;
+            error = null;
+        } else if (message?.type === SERVER_MESSAGES.STATE) {
+            room = message.room;
+        } else if (message?.type === SERVER_MESSAGES.ERROR) {
+            error = { code: message.code, message: message.message };
+            // The seat is gone, e.g. the room closed while this client was away
+            if (rejoining) {
+                rejoining = false;
+                setMembership(null);
+                room = null;
+            }
+        }
+        emitter.notify();
+    };
+
+    const connect = () => {
+        clearTimeout(reconnectTimer);
+        stopped = false;
+        status = membership ? CONNECTION_STATUS.RECONNECTING : CONNECTION_STATUS.CONNECTING;
+        socket = new WebSocket(url);
+        const current = socket;
+
+        current.onopen = () => {
+            status = CONNECTION_STATUS.OPEN;
+            if (membership) {
+                rejoining = true;
+                send(CLIENT_MESSAGES.REJOIN_ROOM, { roomId: membership.roomId, token: membership.token });
+            }
+            emitter.notify();
+        };
+        current.onmessage = (event) => handleMessage(decodeMessage(String(event.data)));
+        current.onclose = () => {
+            if (socket !== current) return;
+            socket = null;
+            if (stopped) {
+                status = CONNECTION_STATUS.CLOSED;
+            } else {
+                status = CONNECTION_STATUS.RECONNECTING;
+                reconnectTimer = setTimeout(connect, reconnectDelay);
+            }
+            emitter.notify();
+        };
+        emitter.notify();
+    };
+
+    // Closes the connection for good; the seat stays reserved on the server
+    const disconnect = () => {
+        stopped = true;
+        clearTimeout(reconnectTimer);
+        const current = socket;
+        socket = null;
+        current?.close();
+        status = CONNECTION_STATUS.CLOSED;
+        emitter.notify();
+    };
+
+    const createRoom = (name, config) => send(CLIENT_MESSAGES.CREATE_ROOM, { name, config });
+
+    const joinRoom = (roomId, name) => send(CLIENT_MESSAGES.JOIN_ROOM, { roomId: roomId.trim().toUpperCase(), name });
+
+    // Asks the server to run one of ROOM_ACTIONS for this seat
+    const act = (action, ...args) => send(CLIENT_MESSAGES.ACTION, { action, args });
+
+    const leaveRoom = () => {
+        send(CLIENT_MESSAGES.LEAVE_ROOM);
+        setMembership(null);
+        room = null;
+        emitter.notify();
+    };
+
+    const dismissError = () => {
+        error = null;
+        emitter.notify();
+    };
+
+    return {
+        connect,
+        disconnect,
+        createRoom,
+        joinRoom,
+        act,
+        leaveRoom,
+        dismissError,
+        getStatus: () => status,
+        getRoom: () => room,
+        getMembership: () => membership,
+        getError: () => error,
+        subscribe: emitter.subscribe,
+        getVersion: emitter.getVersion,
+    };
+};
+
+export default createGameClient;
@@ -0,0 +1,77 @@
+// Messages between the game server and the browser. Every message is a JSON object
+// with a `type`; the server answers bad requests with an "error" message.
+
+export const DEFAULT_SERVER_PORT = 8787;
+
+// Sent by the browser
+export const CLIENT_MESSAGES = Object.freeze({
+    // { name, config? }: opens a room and takes its first seat
+    CREATE_ROOM: "createRoom",
+    // { roomId, name }: takes the first free seat in a room
+    JOIN_ROOM: "joinRoom",
+    // { roomId, token }: takes back a seat after a dropped connection
+    REJOIN_ROOM: "rejoinRoom",
+    // { action, args? }: one of ROOM_ACTIONS, run by the server for this seat
+    ACTION: "action",
+    // Gives up the seat for good
+    LEAVE_ROOM: "leaveRoom",
+});
+
+// Sent by the server
+export const SERVER_MESSAGES = Object.freeze({
+    // { roomId, seat, token }: the seat is yours; keep the token to rejoin
+    JOINED: "joined",
+    // { room }: the room as this seat may see it, after every change
+    STATE: "state",
+    // { code, message }
+    ERROR: "error",
+});
+
+// Engine actions a seat may ask for; the host (seat 0) runs the game for everyone,
+// other seats only play their own cards
+export const ROOM_ACTIONS = Object.freeze({
+    RUN_ROUND: "runRound",
+    RUN_GAME: "runGameLoop",
+    UNDO_ROUND: "undoLastRound",
+    REDO_ROUND: "redoRound",
+    RESET_GAME: "resetGame",
+    TAKE_TURN: "takeTurn",
+    UNDO_TURN: "undoTurn",
+    PLAY_CARD: "playCard",
+});
+
+export const HOST_ACTIONS = Object.freeze([
+    ROOM_ACTIONS.RUN_ROUND,
+    ROOM_ACTIONS.RUN_GAME,
+    ROOM_ACTIONS.UNDO_ROUND,
+    ROOM_ACTIONS.REDO_ROUND,
+    ROOM_ACTIONS.RESET_GAME,
+    ROOM_ACTIONS.UNDO_TURN,
+]);
+
+export const NETWORK_ERRORS = Object.freeze({
+    INVALID_MESSAGE: "INVALID_MESSAGE",
+    ROOM_NOT_FOUND: "ROOM_NOT_FOUND",
+    ROOM_FULL: "ROOM_FULL",
+    NOT_SEATED: "NOT_SEATED",
+    BAD_TOKEN: "BAD_TOKEN",
+    NOT_ALLOWED: "NOT_ALLOWED",
+    NOT_YOUR_TURN: "NOT_YOUR_TURN",
+    INVALID_CONFIG: "INVALID_CONFIG",
+    // Something went wrong on the server while handling the message; the server keeps running
+    SERVER_ERROR: "SERVER_ERROR",
+    // Reported by the client itself when it has no open connection
+    NOT_CONNECTED: "NOT_CONNECTED",
+});
+
+export const encodeMessage = (type, payload = {}) => JSON.stringify({ ...payload, type });
+
+// Returns the message object, or null when the text is not a JSON object with a type
+export const decodeMessage = (text) => {
+    try {
+        const message = JSON.parse(text);
+        return message && typeof message === "object" && typeof message.type === "string" ? message : null;
+    } catch {
+        return null;
+    }
+};
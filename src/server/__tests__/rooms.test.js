@@ -0,0 +1,218 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import createRoomManager from '../rooms';
+
+/**
+ * Test suite for online rooms
+ * Tests cover:
+ * - Creating and joining rooms, seat assignment and full rooms
+ * - Rejoining a seat with its token
+ * - Which seat may run which action
+ * - Resetting a room with a fresh seed and the seated names
+ * - What each seat is allowed to see, and seeds only the server picks
+ */
+describe('Room manager', () => {
+    let rooms;
+    let ids;
+    let seeds;
+
+    beforeEach(() => {
+        ids = 0;
+        seeds = 0;
+        rooms = createRoomManager({
+            createId: () => `ROOM${++ids}`,
+            createToken: () => `token-${Math.random()}`,
+            createSeed: () => 42 + seeds++,
+        });
+    });
+
+    const openRoom = (config = { playerCount: 3 }) => rooms.createRoom({ name: 'Ann', config });
+
+    describe('seats', () => {
+        test('the creator takes the first seat and joiners take the next free one', () => {
+            const created = openRoom();
+            expect(created).toMatchObject({ ok: true, roomId: 'ROOM1', seat: 0 });
+
+            const joined = rooms.joinRoom({ roomId: 'room1', name: ' Bob ' });
+            expect(joined).toMatchObject({ ok: true, roomId: 'ROOM1', seat: 1 });
+            expect(rooms.getRoomView('ROOM1', 1).game.players[1].name).toBe('Bob');
+        });
+
+        test('a full room turns joiners away', () => {
+            openRoom({ playerCount: 2 });
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            expect(rooms.joinRoom({ roomId: 'ROOM1', name: 'Cy' }).error.code).toBe('ROOM_FULL');
+        });
+
+        test('rejects unknown rooms, bad names and bad configs', () => {
+            expect(rooms.joinRoom({ roomId: 'NOPE', name: 'Bob' }).error.code).toBe('ROOM_NOT_FOUND');
+            expect(rooms.createRoom({ name: '  ' }).error.code).toBe('INVALID_NAME');
+            expect(rooms.createRoom({ name: 'A very long name indeed' }).error.code).toBe('INVALID_NAME');
+
+            const badConfig = rooms.createRoom({ name: 'Ann', config: { playerCount: 12 } });
+            expect(badConfig.error.code).toBe('INVALID_CONFIG');
+            expect(badConfig.error.errors).toHaveLength(1);
+        });
+
+        test.each([
+            ['null', null],
+            ['a string', 'hand'],
+            ['a list', [1, 2]],
+            ['a negative hand-mode player count', { dealMode: 'hand', playerCount: -1 }],
+            ['a huge hand-mode player count', { dealMode: 'hand', playerCount: 1e10 }],
+        ])('settings that are %s are refused without throwing', (_, config) => {
+            const created = rooms.createRoom({ name: 'Ann', config });
+            expect(created.error.code).toBe('INVALID_CONFIG');
+            expect(rooms.getRoomIds()).toEqual([]);
+        });
+
+        test('names already at the table are turned away', () => {
+            openRoom();
+            expect(rooms.joinRoom({ roomId: 'ROOM1', name: 'ann' }).error).toMatchObject({
+                code: 'INVALID_NAME',
+                message: 'Another player is already called ann',
+            });
+            // A free seat still has its default name on the engine
+            expect(rooms.joinRoom({ roomId: 'ROOM1', name: 'Player 3' }).error.code).toBe('INVALID_NAME');
+            expect(rooms.getRoomView('ROOM1', 0).seats.filter(seat => seat.taken)).toHaveLength(1);
+            expect(rooms.createRoom({ name: 'Player 2' }).error.code).toBe('INVALID_NAME');
+            expect(rooms.getRoomIds()).toEqual(['ROOM1']);
+        });
+
+        test('a dropped player rejoins their own seat with their token', () => {
+            openRoom();
+            const { token } = rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            rooms.disconnect('ROOM1', 1);
+            expect(rooms.getRoomView('ROOM1', 0).seats[1]).toMatchObject({ taken: true, connected: false });
+
+            expect(rooms.rejoinRoom({ roomId: 'ROOM1', token })).toMatchObject({ ok: true, seat: 1 });
+            expect(rooms.getRoomView('ROOM1', 0).seats[1].connected).toBe(true);
+            expect(rooms.rejoinRoom({ roomId: 'ROOM1', token: 'guess' }).error.code).toBe('BAD_TOKEN');
+        });
+
+        test('leaving frees the seat, and the room closes once everyone has left', () => {
+            openRoom();
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            rooms.leaveRoom('ROOM1', 1);
+            expect(rooms.joinRoom({ roomId: 'ROOM1', name: 'Cy' }).seat).toBe(1);
+
+            rooms.leaveRoom('ROOM1', 0);
+            rooms.leaveRoom('ROOM1', 1);
+            expect(rooms.getRoomIds()).toEqual([]);
+        });
+
+        test('subscribers hear about seat and game changes', () => {
+            openRoom();
+            let changes = 0;
+            rooms.subscribe('ROOM1', () => changes++);
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            rooms.performAction('ROOM1', 0, 'runRound');
+            expect(changes).toBeGreaterThanOrEqual(2);
+        });
+    });
+
+    describe('actions', () => {
+        test('the host runs rounds for everyone', () => {
+            openRoom();
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            expect(rooms.performAction('ROOM1', 0, 'runRound').ok).toBe(true);
+            expect(rooms.getRoomView('ROOM1', 1).game.currentRound).toBe(1);
+        });
+
+        test('other seats cannot run the game', () => {
+            openRoom();
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            expect(rooms.performAction('ROOM1', 1, 'runRound').error.code).toBe('NOT_ALLOWED');
+            expect(rooms.performAction('ROOM1', 2, 'runRound').error.code).toBe('NOT_SEATED');
+            expect(rooms.performAction('ROOM1', 0, 'exportGame').error.code).toBe('INVALID_MESSAGE');
+        });
+
+        test('in turn-based rooms each seat flips only on its own turn', () => {
+            openRoom({ playerCount: 2, turnMode: 'turns' });
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            expect(rooms.performAction('ROOM1', 1, 'takeTurn').error.code).toBe('NOT_YOUR_TURN');
+            expect(rooms.performAction('ROOM1', 0, 'takeTurn').ok).toBe(true);
+            expect(rooms.performAction('ROOM1', 1, 'takeTurn').round.round).toBe(1);
+        });
+
+        test('a reset deals from a fresh seed, so the finished game\'s seed tells nothing', () => {
+            openRoom({ playerCount: 2 });
+            rooms.performAction('ROOM1', 0, 'runGameLoop');
+            const finished = rooms.getRoomView('ROOM1', 0).game;
+            expect(finished.seed).toBe(42);
+
+            expect(rooms.performAction('ROOM1', 0, 'resetGame').ok).toBe(true);
+            const reset = rooms.getRoomView('ROOM1', 0).game;
+            expect(reset).toMatchObject({ phase: 'setup', currentRound: 0, seed: null });
+            let changes = 0;
+            rooms.subscribe('ROOM1', () => changes++);
+            rooms.performAction('ROOM1', 0, 'runGameLoop');
+            expect(changes).toBeGreaterThan(0);
+            const replayed = rooms.getRoomView('ROOM1', 0).game;
+            expect(replayed.seed).toBe(43);
+            const cards = (game) => game.roundHistory.map((entry) => entry.cards);
+            expect(cards(replayed)).not.toEqual(cards(finished));
+        });
+
+        test('a reset keeps the names of the people in the seats', () => {
+            openRoom();
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            rooms.performAction('ROOM1', 0, 'runRound');
+            // Joining mid-game keeps the seat's engine name until the next reset
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Cy' });
+            rooms.leaveRoom('ROOM1', 1);
+            const names = () => rooms.getRoomView('ROOM1', 0).game.players.map((player) => player.name);
+            const ids = () => rooms.getRoomView('ROOM1', 0).game.players.map((player) => player.id);
+            const before = ids();
+
+            rooms.performAction('ROOM1', 0, 'resetGame');
+            expect(names()).toEqual(['Ann', 'Player 2', 'Cy']);
+            expect(ids()).toEqual(before);
+        });
+
+        test('hand rooms seat people everywhere and play the round after the last pick', () => {
+            openRoom({ playerCount: 2, totalRounds: 3, dealMode: 'hand' });
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            expect(rooms.getRoomView('ROOM1', 0).game.strategies).toEqual(['human', 'human']);
+
+            rooms.performAction('ROOM1', 0, 'playCard', [0]);
+            expect(rooms.getRoomView('ROOM1', 0).game.currentRound).toBe(0);
+            rooms.performAction('ROOM1', 1, 'playCard', [2]);
+            expect(rooms.getRoomView('ROOM1', 0).game.currentRound).toBe(1);
+        });
+    });
+
+    describe('room views', () => {
+        test('never include the deck, and show the seed only once the game is over', () => {
+            openRoom();
+            const view = rooms.getRoomView('ROOM1', 0);
+            expect(view.game).not.toHaveProperty('deck');
+            expect(view.game.seed).toBeNull();
+
+            rooms.performAction('ROOM1', 0, 'runGameLoop');
+            expect(rooms.getRoomView('ROOM1', 0).game.seed).toBe(42);
+        });
+
+        test('the seed is picked by the server, never by the room creator', () => {
+            rooms.createRoom({ name: 'Ann', config: { playerCount: 2 }, seed: 7 });
+            rooms.performAction('ROOM1', 0, 'runGameLoop');
+            expect(rooms.getRoomView('ROOM1', 0).game.seed).toBe(42);
+
+            const random = createRoomManager({ createId: () => 'ROOM1' });
+            random.createRoom({ name: 'Ann', config: { playerCount: 2 }, seed: 7 });
+            random.performAction('ROOM1', 0, 'runGameLoop');
+            expect(random.getRoomView('ROOM1', 0).game.seed).not.toBe(7);
+        });
+
+        test('show each seat only its own hand', () => {
+            openRoom({ playerCount: 2, totalRounds: 3, dealMode: 'hand' });
+            rooms.joinRoom({ roomId: 'ROOM1', name: 'Bob' });
+            const host = rooms.getRoomView('ROOM1', 0).game;
+            const guest = rooms.getRoomView('ROOM1', 1).game;
+
+            expect(host.hand).toHaveLength(3);
+            expect(guest.hand).toHaveLength(3);
+            expect(host.hand).not.toEqual(guest.hand);
+            expect(JSON.stringify(host)).not.toContain(JSON.stringify(guest.hand));
+        });
+    });
+});
@@ -0,0 +1,167 @@
+import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebSocket } from 'ws';
+import { createGameServer } from '../server';
+import createRoomManager from '../rooms';
+import createGameClient from '../../net/client';
+
+// sessionStorage stand-in for Node
+const createStorage = () => {
+    const items = new Map();
+    return {
+        getItem: (key) => items.get(key) ?? null,
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+    };
+};
+
+/**
+ * Test suite for the WebSocket game server, driven through the browser client
+ * Tests cover:
+ * - Creating and joining a room over real sockets on localhost
+ * - State broadcast to every seat after a round
+ * - Errors sent back for refused actions
+ * - Reconnecting to the same seat after the connection drops
+ * - Staying up when a message is bad or handling it fails
+ */
+describe('Game server', () => {
+    let server;
+    let clients;
+
+    const connectClient = (options = {}) => {
+        const client = createGameClient({
+            url: `ws://127.0.0.1:${server.port}`,
+            WebSocket,
+            reconnectDelay: 20,
+            ...options,
+        });
+        clients.push(client);
+        client.connect();
+        return client;
+    };
+
+    const waitUntil = (check) => vi.waitFor(() => expect(check()).toBeTruthy(), { timeout: 2000, interval: 10 });
+
+    const openRoom = async () => {
+        const host = connectClient();
+        const guest = connectClient();
+        await waitUntil(() => host.getStatus() === 'open' && guest.getStatus() === 'open');
+        host.createRoom('Ann', { playerCount: 2 });
+        await waitUntil(() => host.getRoom());
+        guest.joinRoom(host.getRoom().roomId.toLowerCase(), 'Bob');
+        await waitUntil(() => guest.getRoom());
+        return { host, guest };
+    };
+
+    beforeEach(async () => {
+        clients = [];
+        server = await createGameServer({ port: 0, host: '127.0.0.1' });
+    });
+
+    afterEach(async () => {
+        clients.forEach((client) => client.disconnect());
+        await server.close();
+    });
+
+    test('players create and join a room and get seats in order', async () => {
+        const { host, guest } = await openRoom();
+        expect(host.getMembership().seat).toBe(0);
+        expect(guest.getMembership().seat).toBe(1);
+        await waitUntil(() => host.getRoom().seats[1].taken);
+        expect(host.getRoom().game.players.map((player) => player.name)).toEqual(['Ann', 'Bob']);
+    });
+
+    test('every seat gets the new state after a round', async () => {
+        const { host, guest } = await openRoom();
+        host.act('runRound');
+        await waitUntil(() => guest.getRoom().game.currentRound === 1);
+        expect(guest.getRoom().game.lastRound).toEqual(host.getRoom().game.lastRound);
+        expect(guest.getRoom().game).not.toHaveProperty('deck');
+    });
+
+    test('refused actions come back as errors', async () => {
+        const { guest } = await openRoom();
+        guest.act('runRound');
+        await waitUntil(() => guest.getError());
+        expect(guest.getError().code).toBe('NOT_ALLOWED');
+        expect(guest.getRoom().game.currentRound).toBe(0);
+    });
+
+    test('a reloaded page rejoins its seat', async () => {
+        const storage = createStorage();
+        const host = connectClient({ storage });
+        await waitUntil(() => host.getStatus() === 'open');
+        host.createRoom('Ann', { playerCount: 2 });
+        await waitUntil(() => host.getRoom());
+        const { roomId } = host.getRoom();
+        host.disconnect();
+        await waitUntil(() => server.rooms.getRoomView(roomId, 0).seats[0].connected === false);
+
+        const reloaded = connectClient({ storage });
+        await waitUntil(() => reloaded.getRoom());
+        expect(reloaded.getMembership()).toMatchObject({ roomId, seat: 0 });
+        expect(server.rooms.getRoomView(roomId, 0).seats[0].connected).toBe(true);
+    });
+
+    test('clients reconnect by themselves when the server comes back', async () => {
+        const rooms = createRoomManager();
+        await server.close();
+        server = await createGameServer({ port: 0, host: '127.0.0.1', rooms });
+        const { host, guest } = await openRoom();
+        host.act('runRound');
+        await waitUntil(() => guest.getRoom().game.currentRound === 1);
+
+        const { port } = server;
+        await server.close();
+        await waitUntil(() => guest.getStatus() === 'reconnecting');
+        server = await createGameServer({ port, host: '127.0.0.1', rooms });
+
+        await waitUntil(() => guest.getStatus() === 'open' && host.getStatus() === 'open');
+        host.act('runRound');
+        await waitUntil(() => guest.getRoom().game.currentRound === 2);
+        expect(guest.getMembership().seat).toBe(1);
+    });
+
+    test('a rejoin for a room that has closed forgets the seat', async () => {
+        const storage = createStorage();
+        storage.setItem('high-card-game:online-seat', JSON.stringify({ roomId: 'GONE', seat: 0, token: 'x' }));
+        const client = connectClient({ storage });
+        await waitUntil(() => client.getError());
+        expect(client.getError().code).toBe('ROOM_NOT_FOUND');
+        expect(client.getMembership()).toBeNull();
+    });
+
+    test('a room with settings that are not an object is refused', async () => {
+        const host = connectClient();
+        await waitUntil(() => host.getStatus() === 'open');
+        host.createRoom('A', null);
+        await waitUntil(() => host.getError());
+        expect(host.getError().code).toBe('INVALID_CONFIG');
+
+        host.createRoom('A', { playerCount: 2 });
+        await waitUntil(() => host.getRoom());
+    });
+
+    test('a message that fails on the server gets an error and the server keeps running', async () => {
+        const rooms = createRoomManager();
+        const failingRooms = {
+            ...rooms,
+            joinRoom: () => {
+                throw new Error('broken');
+            },
+        };
+        const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+        await server.close();
+        server = await createGameServer({ port: 0, host: '127.0.0.1', rooms: failingRooms });
+
+        const guest = connectClient();
+        await waitUntil(() => guest.getStatus() === 'open');
+        guest.joinRoom('ROOM', 'Bob');
+        await waitUntil(() => guest.getError());
+        expect(guest.getError().code).toBe('SERVER_ERROR');
+        expect(consoleError).toHaveBeenCalled();
+        consoleError.mockRestore();
+
+        guest.createRoom('Bob', { playerCount: 2 });
+        await waitUntil(() => guest.getRoom());
+    });
+});
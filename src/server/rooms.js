@@ -0,0 +1,289 @@
+// Rooms for online play: each room is one engine instance with a seat per player.
+// Nothing here knows about sockets; server.js connects rooms to WebSocket clients.
+// The engine only ever runs here, so every card is drawn on the server.
+
+import { randomBytes, randomUUID } from "node:crypto";
+import createGameLogic from "../game/gameLogic.js";
+import { InvalidConfigError, MAX_PLAYERS, MIN_PLAYERS, resolveConfig } from "../game/config.js";
+import { createEmitter } from "../game/events.js";
+import { DEAL_MODES, STRATEGIES } from "../game/hands.js";
+import { ERROR_CODES, PHASES, failure, success } from "../game/phases.js";
+import { normalizePlayerName, validatePlayerName } from "../game/players.js";
+import { TURN_MODES } from "../game/turns.js";
+import { HOST_ACTIONS, NETWORK_ERRORS, ROOM_ACTIONS } from "../net/protocol.js";
+
+// Letters only, without I and O, so codes are easy to read out
+const ROOM_ID_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ";
+const ROOM_ID_LENGTH = 5;
+
+export const createRoomId = () =>
+    Array.from(randomBytes(ROOM_ID_LENGTH), (byte) => ROOM_ID_ALPHABET[byte % ROOM_ID_ALPHABET.length]).join("");
+
+// Seeds are only ever picked here: whoever knows a seed knows every card before it is dealt
+export const createRoomSeed = () => randomBytes(4).readUInt32LE(0);
+
+// Online hand games have a person in every seat unless the config picks bots.
+// Configs come straight from the socket, so anything that is not a plain object is turned
+// away here, and the seats are only filled once the player count is known to be usable;
+// validateConfig reports a bad count when the engine is created.
+const roomConfig = (config = {}) => {
+    if (config === null || typeof config !== "object" || Array.isArray(config)) {
+        throw new InvalidConfigError(["Room settings must be an object"]);
+    }
+    const resolved = resolveConfig(config);
+    const { playerCount } = resolved;
+    const isPlayerCount = Number.isInteger(playerCount) && playerCount >= MIN_PLAYERS && playerCount <= MAX_PLAYERS;
+    if (resolved.dealMode === DEAL_MODES.HAND && resolved.strategies === null && isPlayerCount) {
+        return { ...config, strategies: Array(resolved.playerCount).fill(STRATEGIES.HUMAN) };
+    }
+    return config;
+};
+
+const validateName = (name, otherNames) => {
+    const invalidName = validatePlayerName(name, otherNames);
+    return invalidName ? failure(ERROR_CODES.INVALID_NAME, invalidName) : null;
+};
+
+/**
+ * Creates the set of rooms a server hosts.
+ * Every method returns the engine's result shape: { ok: true, ... } or { ok: false, error }.
+ * @param {object} [options]
+ * @param {function} [options.createId] - makes room codes; random by default
+ * @param {function} [options.createToken] - makes the secret a seat rejoins with; random by default
+ * @param {function} [options.createSeed] - seeds each room's deck; random by default
+ */
+const createRoomManager = ({ createId = createRoomId, createToken = randomUUID, createSeed = createRoomSeed } = {}) => {
+    const rooms = new Map();
+
+    const findRoom = (roomId) => rooms.get(typeof roomId === "string" ? roomId.toUpperCase() : roomId);
+
+    const roomNotFound = (roomId) => failure(NETWORK_ERRORS.ROOM_NOT_FOUND, `There is no room ${roomId}`);
+
+    // Names only change on the engine during setup, where it also turns away a name that
+    // another seat still has by default; later joiners keep the seat's current name
+    const takeSeat = (room, seat, name) => {
+        const seatedNames = room.seats.flatMap((entry) => (entry ? [entry.name] : []));
+        const invalidName = validateName(name, seatedNames);
+        if (invalidName) return invalidName;
+        if (room.game.getPhase() === PHASES.SETUP) {
+            const renamed = room.game.modifyPlayerName(seat, name);
+            if (!renamed.ok) return renamed;
+        }
+        const token = createToken();
+        room.seats[seat] = { token, name: normalizePlayerName(name), connected: true };
+        room.emitter.notify();
+        return success({ roomId: room.id, seat, token });
+    };
+
+    // Listeners of a room hear about every change to its current engine
+    const setGame = (room, game) => {
+        room.stopRelay();
+        room.game = game;
+        room.stopRelay = game.subscribe(room.emitter.notify);
+    };
+
+    // The engine's own resetGame deals from the same seed again, which every seat was sent
+    // once the game finished, and puts the default names back. A new engine gets a fresh
+    // seed and the names of the people in the seats instead.
+    const resetRoom = (room) => {
+        const { game } = room;
+        setGame(
+            room,
+            createGameLogic(null, {
+                config: game.getConfig(),
+                seed: createSeed(),
+                players: game.getPlayers().map(({ id }, seat) => ({ id, name: room.seats[seat]?.name })),
+            })
+        );
+        room.emitter.notify();
+        return success();
+    };
+
+    // Only the name and settings are taken from the client; the seed always comes from createSeed
+    const createRoom = ({ name, config } = {}) => {
+        const invalidName = validateName(name);
+        if (invalidName) return invalidName;
+
+        let game;
+        try {
+            game = createGameLogic(null, { config: roomConfig(config), seed: createSeed() });
+        } catch (error) {
+            if (!(error instanceof InvalidConfigError)) throw error;
+            return failure(NETWORK_ERRORS.INVALID_CONFIG, error.message, { errors: error.errors });
+        }
+
+        let id = createId();
+        while (rooms.has(id)) {
+            id = createId();
+        }
+        const room = {
+            id,
+            game: null,
+            seats: game.getPlayers().map(() => null),
+            emitter: createEmitter([]),
+            stopRelay: () => {},
+        };
+        setGame(room, game);
+        const seated = takeSeat(room, 0, name);
+        if (seated.ok) {
+            rooms.set(id, room);
+        }
+        return seated;
+    };
+
+    const joinRoom = ({ roomId, name } = {}) => {
+        const room = findRoom(roomId);
+        if (!room) return roomNotFound(roomId);
+        const invalidName = validateName(name);
+        if (invalidName) return invalidName;
+
+        const seat = room.seats.indexOf(null);
+        if (seat === -1) {
+            return failure(NETWORK_ERRORS.ROOM_FULL, `Room ${room.id} has no free seats`);
+        }
+        return takeSeat(room, seat, name);
+    };
+
+    // A dropped player comes back to their own seat with the token they were given
+    const rejoinRoom = ({ roomId, token } = {}) => {
+        const room = findRoom(roomId);
+        if (!room) return roomNotFound(roomId);
+        const seat = room.seats.findIndex((entry) => entry !== null && entry.token === token);
+        if (seat === -1) {
+            return failure(NETWORK_ERRORS.BAD_TOKEN, `That seat in room ${room.id} is no longer yours`);
+        }
+        room.seats[seat].connected = true;
+        room.emitter.notify();
+        return success({ roomId: room.id, seat, token });
+    };
+
+    // The seat stays reserved so the player can rejoin
+    const disconnect = (roomId, seat) => {
+        const room = findRoom(roomId);
+        if (!room?.seats[seat]) return;
+        room.seats[seat].connected = false;
+        room.emitter.notify();
+    };
+
+    // Frees the seat for someone else; the room closes once every seat is free
+    const leaveRoom = (roomId, seat) => {
+        const room = findRoom(roomId);
+        if (!room?.seats[seat]) return;
+        room.seats[seat] = null;
+        if (room.seats.every((entry) => entry === null)) {
+            rooms.delete(room.id);
+        }
+        room.emitter.notify();
+    };
+
+    const removeRoom = (roomId) => {
+        rooms.delete(findRoom(roomId)?.id);
+    };
+
+    // Whether nobody is connected to the room any more
+    const isIdle = (roomId) => {
+        const room = findRoom(roomId);
+        return !room || room.seats.every((entry) => !entry?.connected);
+    };
+
+    // Runs an engine action for a seat. The host runs the game for everyone; other seats can
+    // only play their own card, and in turn-based games only on their turn.
+    const performAction = (roomId, seat, action, args = []) => {
+        const room = findRoom(roomId);
+        if (!room) return roomNotFound(roomId);
+        if (!room.seats[seat]) {
+            return failure(NETWORK_ERRORS.NOT_SEATED, `Seat ${seat} in room ${room.id} is not yours`);
+        }
+        if (!Object.values(ROOM_ACTIONS).includes(action)) {
+            return failure(NETWORK_ERRORS.INVALID_MESSAGE, `Unknown action "${action}"`);
+        }
+        if (HOST_ACTIONS.includes(action) && seat !== 0) {
+            return failure(NETWORK_ERRORS.NOT_ALLOWED, `Only the host can use ${action}`);
+        }
+
+        const { game } = room;
+        if (action === ROOM_ACTIONS.TAKE_TURN) {
+            if (game.getCurrentTurn() !== seat) {
+                return failure(NETWORK_ERRORS.NOT_YOUR_TURN, "Wait for your turn");
+            }
+            return game.takeTurn(args[0]);
+        }
+        if (action === ROOM_ACTIONS.PLAY_CARD) {
+            const result = game.playCard(seat, args[0]);
+            // As in the local game, the round plays once the last person has picked
+            if (result.ok && game.getConfig().turnMode !== TURN_MODES.TURNS && game.getAwaitingPlayers().length === 0) {
+                game.runRound();
+            }
+            return result;
+        }
+        if (action === ROOM_ACTIONS.RESET_GAME) {
+            return resetRoom(room);
+        }
+        return game[action]();
+    };
+
+    /**
+     * The room as one seat sees it: seats, scores and every card on the table, but only
+     * that seat's own hand. The deck is never sent, and neither is the seed until the game
+     * is over, since either would tell players which cards are coming.
+     */
+    const getRoomView = (roomId, seat) => {
+        const room = findRoom(roomId);
+        if (!room) return null;
+        const { game } = room;
+        const phase = game.getPhase();
+        return {
+            roomId: room.id,
+            seat,
+            isHost: seat === 0,
+            seats: room.seats.map((entry, index) => ({
+                seat: index,
+                name: entry?.name ?? null,
+                taken: entry !== null,
+                connected: entry?.connected ?? false,
+            })),
+            game: {
+                phase,
+                players: game.getPlayers().map((player) => ({ ...player })),
+                currentRound: game.getCurrentRound(),
+                totalRounds: game.getTotalRounds(),
+                furthestRound: game.getFurthestRound(),
+                remainingCards: game.getRemainingCards(),
+                config: game.getConfig(),
+                seed: phase === PHASES.FINISHED ? game.getSeed() : null,
+                pot: game.getPot(),
+                lastRound: game.getLastRoundResult(),
+                roundHistory: game.getRoundHistory(),
+                hand: game.getHand(seat),
+                handSizes: game.getHandSizes(),
+                pendingPlays: game.getPendingPlays(),
+                awaitingPlayers: game.getAwaitingPlayers(),
+                strategies: game.getStrategies(),
+                currentTurn: game.getCurrentTurn(),
+                turnsTaken: game.getTurnsTaken(),
+            },
+        };
+    };
+
+    // Calls listener after any change to the room's game or seats; returns an unsubscribe function
+    const subscribe = (roomId, listener) => {
+        const room = findRoom(roomId);
+        return room ? room.emitter.subscribe(listener) : () => {};
+    };
+
+    return {
+        createRoom,
+        joinRoom,
+        rejoinRoom,
+        disconnect,
+        leaveRoom,
+        removeRoom,
+        isIdle,
+        performAction,
+        getRoomView,
+        subscribe,
+        getRoomIds: () => [...rooms.keys()],
+    };
+};
+
+export default createRoomManager;
@@ -0,0 +1,176 @@
+// WebSocket front end for the room manager: one connection per browser tab, holding at
+// most one seat. After every change to a room each connected seat is sent its own view.
+
+import { WebSocket, WebSocketServer } from "ws";
+import {
+    CLIENT_MESSAGES,
+    DEFAULT_SERVER_PORT,
+    NETWORK_ERRORS,
+    SERVER_MESSAGES,
+    decodeMessage,
+    encodeMessage,
+} from "../net/protocol.js";
+import createRoomManager from "./rooms.js";
+
+// Rooms nobody is connected to are closed after this long
+export const ROOM_IDLE_TIMEOUT = 10 * 60 * 1000;
+
+/**
+ * Starts a game server.
+ * @param {object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.host]
+ * @param {object} [options.rooms] - a createRoomManager instance, e.g. to keep rooms across restarts
+ * @param {number} [options.idleTimeout] - ms before a room with nobody connected is closed
+ * @returns {Promise<{ port: number, rooms: object, close: function }>} resolves once listening
+ */
+export const createGameServer = ({
+    port = DEFAULT_SERVER_PORT,
+    host,
+    rooms = createRoomManager(),
+    idleTimeout = ROOM_IDLE_TIMEOUT,
+} = {}) =>
+    new Promise((resolve, reject) => {
+        const server = new WebSocketServer({ port, host });
+        const idleTimers = new Map();
+        let closing = false;
+
+        const clearIdleTimer = (roomId) => {
+            clearTimeout(idleTimers.get(roomId));
+            idleTimers.delete(roomId);
+        };
+
+        const scheduleIdleCheck = (roomId) => {
+            clearIdleTimer(roomId);
+            const timer = setTimeout(() => {
+                idleTimers.delete(roomId);
+                if (rooms.isIdle(roomId)) {
+                    rooms.removeRoom(roomId);
+                }
+            }, idleTimeout);
+            timer.unref?.();
+            idleTimers.set(roomId, timer);
+        };
+
+        server.on("connection", (socket) => {
+            // { roomId, seat } once this connection holds a seat
+            let membership = null;
+            let unsubscribe = () => {};
+
+            const send = (type, payload) => {
+                if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(encodeMessage(type, payload));
+                }
+            };
+
+            const sendState = () => {
+                const room = rooms.getRoomView(membership.roomId, membership.seat);
+                if (room) {
+                    send(SERVER_MESSAGES.STATE, { room });
+                }
+            };
+
+            const releaseSeat = () => {
+                unsubscribe();
+                unsubscribe = () => {};
+                membership = null;
+            };
+
+            // A connection that takes a new seat gives up the one it had
+            const seat = (result) => {
+                if (!result.ok) {
+                    send(SERVER_MESSAGES.ERROR, result.error);
+                    return;
+                }
+                if (membership) {
+                    rooms.leaveRoom(membership.roomId, membership.seat);
+                    releaseSeat();
+                }
+                const { roomId, seat: seatIndex, token } = result;
+                membership = { roomId, seat: seatIndex };
+                clearIdleTimer(roomId);
+                unsubscribe = rooms.subscribe(roomId, sendState);
+                send(SERVER_MESSAGES.JOINED, { roomId, seat: seatIndex, token });
+                sendState();
+            };
+
+            const handlers = {
+                // Only the fields each message is meant to carry reach the rooms
+                [CLIENT_MESSAGES.CREATE_ROOM]: ({ name, config }) => seat(rooms.createRoom({ name, config })),
+                [CLIENT_MESSAGES.JOIN_ROOM]: ({ roomId, name }) => seat(rooms.joinRoom({ roomId, name })),
+                [CLIENT_MESSAGES.REJOIN_ROOM]: ({ roomId, token }) => seat(rooms.rejoinRoom({ roomId, token })),
+                [CLIENT_MESSAGES.ACTION]: ({ action, args }) => {
+                    if (!membership) {
+                        send(SERVER_MESSAGES.ERROR, { code: NETWORK_ERRORS.NOT_SEATED, message: "Join a room first" });
+                        return;
+                    }
+                    const result = rooms.performAction(
+                        membership.roomId,
+                        membership.seat,
+                        action,
+                        Array.isArray(args) ? args : []
+                    );
+                    if (!result.ok) {
+                        send(SERVER_MESSAGES.ERROR, result.error);
+                    }
+                },
+                [CLIENT_MESSAGES.LEAVE_ROOM]: () => {
+                    if (!membership) return;
+                    const { roomId, seat: seatIndex } = membership;
+                    releaseSeat();
+                    rooms.leaveRoom(roomId, seatIndex);
+                },
+            };
+
+            socket.on("message", (data) => {
+                const message = decodeMessage(String(data));
+                const handler = message && handlers[message.type];
+                if (!handler) {
+                    send(SERVER_MESSAGES.ERROR, {
+                        code: NETWORK_ERRORS.INVALID_MESSAGE,
+                        message: "Messages must be JSON objects with a known type",
+                    });
+                    return;
+                }
+                // One bad message must not take the server down for every other room
+                try {
+                    handler(message);
+                } catch (error) {
+                    console.error("Failed to handle a message:", error);
+                    send(SERVER_MESSAGES.ERROR, {
+                        code: NETWORK_ERRORS.SERVER_ERROR,
+                        message: "The server could not handle that message",
+                    });
+                }
+            });
+
+            // The seat is kept for a rejoin; the room closes if nobody comes back
+            socket.on("close", () => {
+                if (!membership) return;
+                const { roomId, seat: seatIndex } = membership;
+                releaseSeat();
+                rooms.disconnect(roomId, seatIndex);
+                if (!closing && rooms.isIdle(roomId)) {
+                    scheduleIdleCheck(roomId);
+                }
+            });
+        });
+
+        const close = () =>
+            new Promise((resolveClose) => {
+                closing = true;
+                for (const timer of idleTimers.values()) {
+                    clearTimeout(timer);
+                }
+                idleTimers.clear();
+                for (const client of server.clients) {
+                    client.terminate();
+                }
+                server.close(() => resolveClose());
+            });
+
+        server.once("error", reject);
+        server.once("listening", () => {
+            resolve({ port: server.address().port, rooms, close });
+        });
+    });
@@ -0,0 +1,25 @@
+// Runs a simulation off the main thread. Expects { options } (see createSimulation) and
+// posts { type: "progress", gamesPlayed, gamesRequested } after each batch, then
+// { type: "done", results } or { type: "error", errors }. Cancel by terminating the worker.
+
+import { createSimulation } from "../game/simulation";
+
+// Games per progress message; small enough to keep the progress bar moving
+const BATCH_SIZE = 250;
+
+self.onmessage = ({ data }) => {
+    let simulation;
+    try {
+        simulation = createSimulation(data.options);
+    } catch (error) {
+        self.postMessage({ type: "error", errors: error.errors ?? [error.message] });
+        return;
+    }
+
+    const gamesRequested = data.options.games;
+    while (!simulation.isDone()) {
+        const gamesPlayed = simulation.step(BATCH_SIZE);
+        self.postMessage({ type: "progress", gamesPlayed, gamesRequested });
+    }
+    self.postMessage({ type: "done", results: simulation.getResults() });
+};